@@ -0,0 +1,130 @@
+/**
+ * Account deletion. Deleting an account removes everything the user owns —
+ * their ideas with every subcollection, voice notes, profile and usage
+ * records — and then the Auth user itself, so nothing is left orphaned.
+ *
+ * The work is split into STEPS, run in order. The job document
+ * `accountDeletions/{uid}` records the step in progress, so a run that is
+ * interrupted or runs out of time carries on from there. Each step must be
+ * safe to repeat.
+ */
+
+const admin = require('firebase-admin');
+
+const ACCOUNT_DELETION_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+};
+
+// Ideas deleted per query; each one is a recursive delete
+const IDEA_PAGE_SIZE = 25;
+
+/**
+ * Delete the user's ideas with all their subcollections
+ * @param {string} uid - User ID
+ * @param {number} deadline - Time in ms to stop by
+ * @returns {Promise<boolean>} - false when time ran out with ideas left
+ */
+async function deleteIdeas(uid, deadline) {
+  const db = admin.firestore();
+
+  while (Date.now() < deadline) {
+    const page = await db.collection('ideas')
+      .where('userId', '==', uid)
+      .limit(IDEA_PAGE_SIZE)
+      .get();
+    if (page.empty) return true;
+
+    for (const ideaDoc of page.docs) {
+      await db.recursiveDelete(ideaDoc.ref);
+    }
+  }
+  return false;
+}
+
+/**
+ * Delete voice notes the user uploaded that were never transcribed
+ * @param {string} uid - User ID
+ * @returns {Promise<boolean>}
+ */
+async function deleteVoiceNotes(uid) {
+  await admin.storage().bucket().deleteFiles({ prefix: `voiceNotes/${uid}/` });
+  return true;
+}
+
+/**
+ * Delete the user's profile document and their usage ledger
+ * @param {string} uid - User ID
+ * @returns {Promise<boolean>}
+ */
+async function deleteUserDocuments(uid) {
+  const db = admin.firestore();
+  await db.recursiveDelete(db.collection('users').doc(uid));
+  await db.recursiveDelete(db.collection('usage').doc(uid));
+  return true;
+}
+
+/**
+ * Delete the Auth user, last so the account can be found until its data is gone
+ * @param {string} uid - User ID
+ * @returns {Promise<boolean>}
+ */
+async function deleteAuthUser(uid) {
+  try {
+    await admin.auth().deleteUser(uid);
+  } catch (error) {
+    // Deleted by an earlier run that stopped before saving its progress
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+  return true;
+}
+
+const STEPS = [
+  { name: 'ideas', run: deleteIdeas },
+  { name: 'voiceNotes', run: deleteVoiceNotes },
+  { name: 'userDocuments', run: deleteUserDocuments },
+  { name: 'authUser', run: deleteAuthUser },
+];
+
+/**
+ * Run an account deletion job from the step it is on
+ * @param {Object} jobRef - accountDeletions/{uid} document reference
+ * @param {number} deadline - Time in ms to stop by
+ * @returns {Promise<boolean>} - true once the account is fully deleted,
+ *   false when time ran out and the job needs another run
+ */
+async function runAccountDeletionSteps(jobRef, deadline) {
+  const uid = jobRef.id;
+  const job = (await jobRef.get()).data() || {};
+  if (job.status === ACCOUNT_DELETION_STATUS.COMPLETED) return true;
+
+  const firstStep = Math.max(STEPS.findIndex((step) => step.name === job.step), 0);
+
+  for (const step of STEPS.slice(firstStep)) {
+    await jobRef.update({
+      step: step.name,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const finished = await step.run(uid, deadline);
+    if (!finished) return false;
+  }
+
+  await jobRef.update({
+    status: ACCOUNT_DELETION_STATUS.COMPLETED,
+    step: null,
+    error: admin.firestore.FieldValue.delete(),
+    completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`Deleted account ${uid}`);
+  return true;
+}
+
+module.exports = {
+  ACCOUNT_DELETION_STATUS,
+  runAccountDeletionSteps,
+};
@@ -0,0 +1,107 @@
+/**
+ * Assumptions register: what an idea depends on being true, each with a risk
+ * level, a way to test it, a status and evidence. Stored per idea in the
+ * `assumptions` subcollection ({ statement, risk, validationMethod, status,
+ * evidence, source, sourceCard, createdAt, updatedAt }). The AI extracts them
+ * from the cards and the chat; users test them in the app, and what they find
+ * goes back into the chat and card prompts.
+ */
+
+const admin = require('firebase-admin');
+
+const ASSUMPTION_STATUS = {
+  UNTESTED: 'untested',
+  VALIDATED: 'validated',
+  INVALIDATED: 'invalidated',
+};
+
+const RISK_LEVELS = ['high', 'medium', 'low'];
+const DEFAULT_RISK = 'medium';
+
+// Keeps the register (and the prompts that include it) to a manageable size
+const MAX_ASSUMPTIONS = 30;
+
+// How the chat and card prompts should treat the register
+const ASSUMPTIONS_GUIDANCE = 'Validated assumptions have evidence behind them and can be relied on. Invalidated assumptions have been shown to be false: do not build on them, and adjust the advice to work around them. Untested assumptions are still open questions.';
+
+const statementKey = (statement) => String(statement || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Load an idea's assumptions, oldest first
+ * @param {Object} ideaRef - Idea document reference
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadAssumptions(ideaRef) {
+  const snapshot = await ideaRef.collection('assumptions').orderBy('createdAt', 'asc').get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Register as prompt text, most settled first so the model sees what is known
+ * @param {Array<Object>} assumptions - From loadAssumptions
+ * @returns {string}
+ */
+function formatAssumptions(assumptions) {
+  const order = [ASSUMPTION_STATUS.INVALIDATED, ASSUMPTION_STATUS.VALIDATED, ASSUMPTION_STATUS.UNTESTED];
+
+  return [...assumptions]
+    .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status))
+    .map((assumption) => {
+      const evidence = assumption.evidence ? ` Evidence: ${assumption.evidence}` : '';
+      return `• [${assumption.status || ASSUMPTION_STATUS.UNTESTED}, ${assumption.risk || DEFAULT_RISK} risk] ${assumption.statement}${evidence}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Add newly extracted assumptions to the register, skipping any it already
+ * has so the user's statuses and evidence are never overwritten
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Array<Object>} extracted - [{ statement, risk, validationMethod, sourceCard }]
+ * @param {Array<Object>} existing - From loadAssumptions
+ * @returns {Promise<number>} - How many were added
+ */
+async function addExtractedAssumptions(ideaRef, extracted, existing) {
+  const seen = new Set(existing.map((assumption) => statementKey(assumption.statement)));
+  const room = Math.max(0, MAX_ASSUMPTIONS - existing.length);
+
+  const additions = extracted
+    .filter((assumption) => {
+      const key = statementKey(assumption.statement);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, room);
+
+  if (additions.length === 0) return 0;
+
+  const batch = admin.firestore().batch();
+  additions.forEach((assumption) => {
+    batch.set(ideaRef.collection('assumptions').doc(), {
+      statement: assumption.statement,
+      risk: assumption.risk,
+      validationMethod: assumption.validationMethod,
+      status: ASSUMPTION_STATUS.UNTESTED,
+      evidence: '',
+      source: 'ai',
+      sourceCard: assumption.sourceCard || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+  await batch.commit();
+
+  return additions.length;
+}
+
+module.exports = {
+  ASSUMPTIONS_GUIDANCE,
+  ASSUMPTION_STATUS,
+  DEFAULT_RISK,
+  MAX_ASSUMPTIONS,
+  RISK_LEVELS,
+  addExtractedAssumptions,
+  formatAssumptions,
+  loadAssumptions,
+};
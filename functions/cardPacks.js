@@ -0,0 +1,54 @@
+/**
+ * Card packs: which analysis cards an idea gets, by category. Every pack has
+ * the base cards; some categories add cards of their own. Categories users
+ * have added themselves get the general pack. Must match src/constants/cards.js.
+ */
+
+const { DEFAULT_CATEGORY } = require('./cardSchemas');
+
+// Every idea gets these, in display order
+const BASE_CARDS = [
+  'summary',
+  'actionableInsights',
+  'similarConcepts',
+  'userScenarios',
+  'monetization',
+  'marketSizing',
+  'mvp',
+];
+
+// Keyed by category name; extra cards go after the base ones
+const CARD_PACKS = {
+  [DEFAULT_CATEGORY]: { id: 'general', extraCards: [] },
+  Product: { id: 'product', extraCards: ['manufacturing'] },
+  Service: { id: 'service', extraCards: ['serviceBlueprint'] },
+  Software: { id: 'software', extraCards: ['techArchitecture'] },
+};
+
+// Every card type any pack can generate
+const ALL_CARD_TYPES = [
+  ...BASE_CARDS,
+  ...Object.values(CARD_PACKS).flatMap((pack) => pack.extraCards),
+];
+
+/**
+ * Card pack for a category, falling back to the general one
+ * @param {string} category - Category name
+ * @returns {Object} - { id, category, cards }
+ */
+function getCardPack(category) {
+  const key = Object.keys(CARD_PACKS).find((name) => name.toLowerCase() === String(category || '').toLowerCase());
+  const pack = CARD_PACKS[key || DEFAULT_CATEGORY];
+
+  return {
+    id: pack.id,
+    category: key || DEFAULT_CATEGORY,
+    cards: [...BASE_CARDS, ...pack.extraCards],
+  };
+}
+
+module.exports = {
+  ALL_CARD_TYPES,
+  BASE_CARDS,
+  getCardPack,
+};
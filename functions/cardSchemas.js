@@ -0,0 +1,486 @@
+/**
+ * Schemas for the JSON returned by each card generator, with normalization
+ * of known legacy and near-miss shapes. Keyed by LLM call type; the Core
+ * Concept card is assembled from the `businessName` and `mvp` responses.
+ */
+
+const { MARKET_ASSUMPTIONS, normalizeAssumptionValue } = require('./marketSizing');
+const { DEFAULT_RISK, RISK_LEVELS } = require('./assumptions');
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const optional = (schema) => ({ ...schema, optional: true });
+const arrayOf = (items, minItems = 0) => ({ type: 'array', items, minItems });
+const objectOf = (properties) => ({ type: 'object', properties });
+const marketAssumption = objectOf({ value: number, rationale: optional(string) });
+
+// Built-in categories for users who have not set their own; must match src/constants/categories.js
+const IDEA_CATEGORIES = ['App', 'Product', 'Service', 'Software'];
+const DEFAULT_CATEGORY = 'General';
+const MAX_SECONDARY_TAGS = 3;
+const MAX_TAG_LENGTH = 24;
+
+const SCHEMAS = {
+  summary: objectOf({
+    problem: string,
+    audience: string,
+    features: arrayOf(string, 1),
+    valueProp: string,
+    realityCheck: arrayOf(string, 1),
+  }),
+  actionableInsights: objectOf({
+    insights: arrayOf(objectOf({
+      title: string,
+      advice: string,
+      category: string,
+    }), 1),
+  }),
+  similarConcepts: objectOf({
+    concepts: arrayOf(objectOf({
+      name: string,
+      type: string,
+      description: string,
+      gap: string,
+    }), 1),
+    differentiation: string,
+  }),
+  userScenarios: objectOf({
+    scenarios: arrayOf(objectOf({
+      persona: string,
+      context: string,
+      journey: string,
+      outcome: string,
+    }), 1),
+  }),
+  monetization: objectOf({
+    primaryModel: string,
+    modelRationale: string,
+    pricingTiers: arrayOf(objectOf({
+      name: string,
+      price: string,
+      features: arrayOf(string),
+    }), 1),
+    alternativeModels: optional(arrayOf(objectOf({
+      name: string,
+      description: string,
+    }))),
+    assumptions: objectOf({
+      currency: string,
+      tiers: arrayOf(objectOf({
+        name: string,
+        monthlyPrice: number,
+        mix: number,
+      }), 1),
+      monthlyChurnRate: number,
+      cac: number,
+    }),
+  }),
+  marketSizing: objectOf({
+    segment: string,
+    currency: string,
+    assumptions: objectOf(Object.fromEntries(MARKET_ASSUMPTIONS.map((key) => [key, marketAssumption]))),
+    caveats: optional(arrayOf(string)),
+  }),
+  businessName: objectOf({
+    name: string,
+    rationale: string,
+  }),
+  mvp: objectOf({
+    sections: arrayOf(objectOf({
+      title: string,
+      description: string,
+      points: arrayOf(string, 1),
+    }), 1),
+  }),
+  manufacturing: objectOf({
+    billOfMaterials: arrayOf(objectOf({
+      part: string,
+      specification: string,
+      sourcing: string,
+      unitCost: number,
+    }), 1),
+    currency: string,
+    productionSteps: arrayOf(string, 1),
+    considerations: arrayOf(string),
+  }),
+  serviceBlueprint: objectOf({
+    stages: arrayOf(objectOf({
+      name: string,
+      customerActions: string,
+      frontstage: string,
+      backstage: string,
+    }), 1),
+    failPoints: arrayOf(string),
+  }),
+  techArchitecture: objectOf({
+    components: arrayOf(objectOf({
+      name: string,
+      responsibility: string,
+      technology: string,
+    }), 1),
+    dataStores: arrayOf(string),
+    integrations: arrayOf(string),
+    risks: arrayOf(string),
+  }),
+  assumptions: objectOf({
+    assumptions: arrayOf(objectOf({
+      statement: string,
+      risk: string,
+      validationMethod: string,
+      sourceCard: optional(string),
+    })),
+  }),
+  classification: objectOf({
+    category: string,
+    confidence: number,
+    secondaryTags: arrayOf(string),
+  }),
+  intakeCoverage: objectOf({
+    coveredTopics: arrayOf(string),
+    category: optional(string),
+  }),
+};
+
+// Field names older prompts (or a model that drifts) use for the same data
+const FIELD_ALIASES = {
+  summary: {
+    targetAudience: 'audience',
+    coreFeatures: 'features',
+    valueProposition: 'valueProp',
+    realityChecks: 'realityCheck',
+  },
+  actionableInsights: {
+    recommendations: 'insights',
+  },
+  similarConcepts: {
+    similarConcepts: 'concepts',
+    competitors: 'concepts',
+  },
+  userScenarios: {
+    userScenarios: 'scenarios',
+  },
+  monetization: {
+    tiers: 'pricingTiers',
+    alternatives: 'alternativeModels',
+  },
+  marketSizing: {
+    audience: 'segment',
+    market: 'segment',
+    risks: 'caveats',
+  },
+  businessName: {
+    businessName: 'name',
+    nameRationale: 'rationale',
+  },
+  manufacturing: {
+    bom: 'billOfMaterials',
+    materials: 'billOfMaterials',
+    steps: 'productionSteps',
+    risks: 'considerations',
+  },
+  serviceBlueprint: {
+    blueprint: 'stages',
+    steps: 'stages',
+  },
+  techArchitecture: {
+    architecture: 'components',
+    databases: 'dataStores',
+  },
+  assumptions: {
+    register: 'assumptions',
+    items: 'assumptions',
+  },
+  classification: {
+    primaryCategory: 'category',
+    tags: 'secondaryTags',
+    secondaryCategories: 'secondaryTags',
+  },
+  intakeCoverage: {
+    covered: 'coveredTopics',
+    topics: 'coveredTopics',
+  },
+};
+
+// The wrapping key an array response belongs under, e.g. [..] -> { scenarios: [..] }
+const ARRAY_ROOTS = {
+  actionableInsights: 'insights',
+  similarConcepts: 'concepts',
+  userScenarios: 'scenarios',
+  mvp: 'sections',
+  serviceBlueprint: 'stages',
+  assumptions: 'assumptions',
+};
+
+class CardValidationError extends Error {
+  constructor(callType, errors) {
+    super(`The AI returned an incomplete ${callType} card: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'CardValidationError';
+    this.callType = callType;
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const splitList = (text) => text
+  .split(/\n|;|•/)
+  .map((item) => item.replace(/^\s*[-*\d.)]+\s*/, '').trim())
+  .filter(Boolean);
+
+/**
+ * Coerce a value toward its schema: numbers in string fields become strings,
+ * "$4.99" in number fields becomes 4.99, a bulleted string in a list field
+ * becomes an array, and a single object in a list field becomes a list of one.
+ */
+function coerce(schema, value) {
+  if (value === undefined || value === null) return value;
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return typeof value === 'string' ? value.trim() : value;
+    case 'number': {
+      if (typeof value === 'number') return value;
+      if (typeof value !== 'string') return value;
+      const isPercent = value.includes('%');
+      const parsed = parseFloat(value.replace(/[^0-9.-]/g, ''));
+      if (!Number.isFinite(parsed)) return value;
+      return isPercent ? parsed / 100 : parsed;
+    }
+    case 'array': {
+      let list = value;
+      if (typeof list === 'string' && schema.items.type === 'string') list = splitList(list);
+      if (isPlainObject(list) && schema.items.type === 'object') list = [list];
+      return Array.isArray(list) ? list.map((item) => coerce(schema.items, item)) : list;
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return value;
+      const result = { ...value };
+      Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+        if (key in result) result[key] = coerce(propertySchema, result[key]);
+      });
+      return result;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @returns {Array<string>} - Human-readable problems; empty when valid
+ */
+function validate(schema, value, path = '') {
+  const label = path || 'response';
+
+  if (value === undefined || value === null || value === '') {
+    return schema.optional ? [] : [`${label} is required`];
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string' ? [] : [`${label} must be text`];
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? [] : [`${label} must be a number`];
+    case 'array': {
+      if (!Array.isArray(value)) return [`${label} must be a list`];
+      if (value.length < schema.minItems) return [`${label} must have at least ${schema.minItems} item(s)`];
+      return value.flatMap((item, index) => validate(schema.items, item, `${label}[${index}]`));
+    }
+    case 'object': {
+      if (!isPlainObject(value)) return [`${label} must be an object`];
+      return Object.entries(schema.properties)
+        .flatMap(([key, propertySchema]) => validate(propertySchema, value[key], path ? `${path}.${key}` : key));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Keep the mix shares summing to 1 and rates within range so projections add up
+ */
+function normalizeRevenueAssumptions(assumptions) {
+  if (!isPlainObject(assumptions) || !Array.isArray(assumptions.tiers)) return assumptions;
+
+  const tiers = assumptions.tiers.map((tier) => ({
+    ...tier,
+    monthlyPrice: Math.max(0, tier.monthlyPrice),
+    mix: Math.max(0, tier.mix),
+  }));
+  const totalMix = tiers.reduce((total, tier) => total + (Number.isFinite(tier.mix) ? tier.mix : 0), 0);
+
+  return {
+    ...assumptions,
+    currency: assumptions.currency || 'USD',
+    tiers: tiers.map((tier) => ({
+      ...tier,
+      mix: totalMix > 0 ? tier.mix / totalMix : 1 / tiers.length,
+    })),
+    // A churn of 5 almost always means 5%, not 500%
+    monthlyChurnRate: Math.min(Math.max(
+      assumptions.monthlyChurnRate > 1 ? assumptions.monthlyChurnRate / 100 : assumptions.monthlyChurnRate,
+      0
+    ), 1),
+    cac: Math.max(0, assumptions.cac),
+  };
+}
+
+const tidyLabel = (label) => label
+  .replace(/[^\p{L}\p{N}&+\- ]/gu, '')
+  .trim()
+  .slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Tidy the category and secondary tags into short, distinct labels; tags are
+ * Title Cased. Which categories are allowed depends on the user, so snapping
+ * onto a known one happens in taxonomy.js.
+ */
+function normalizeClassification(classification) {
+  const category = typeof classification.category === 'string'
+    ? tidyLabel(classification.category)
+    : null;
+  const confidence = Number.isFinite(classification.confidence)
+    ? Math.min(Math.max(classification.confidence > 1 ? classification.confidence / 100 : classification.confidence, 0), 1)
+    : classification.confidence;
+
+  const seen = new Set([(category || DEFAULT_CATEGORY).toLowerCase()]);
+  const secondaryTags = (Array.isArray(classification.secondaryTags) ? classification.secondaryTags : [])
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tidyLabel(tag).replace(/\b\p{L}/gu, (letter) => letter.toUpperCase()))
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_SECONDARY_TAGS);
+
+  return {
+    ...classification,
+    category: category || DEFAULT_CATEGORY,
+    confidence,
+    secondaryTags,
+  };
+}
+
+/**
+ * Accept bare values like 1200 or "$4.99" for market assumptions and keep
+ * each one in range
+ */
+function normalizeMarketSizing(marketSizing) {
+  if (!isPlainObject(marketSizing.assumptions)) return marketSizing;
+
+  const assumptions = { ...marketSizing.assumptions };
+  MARKET_ASSUMPTIONS.forEach((key) => {
+    const assumption = isPlainObject(assumptions[key])
+      ? assumptions[key]
+      : { value: coerce(number, assumptions[key]) };
+    if (isPlainObject(assumption) && typeof assumption.value === 'number') {
+      assumptions[key] = { ...assumption, value: normalizeAssumptionValue(key, assumption.value) };
+    }
+  });
+
+  return {
+    ...marketSizing,
+    currency: marketSizing.currency || 'USD',
+    assumptions,
+  };
+}
+
+/**
+ * Map known legacy and near-miss shapes onto the current schema
+ * @param {string} callType - Key in SCHEMAS
+ * @param {*} value - Parsed model output
+ * @returns {*}
+ */
+function normalizeResponse(callType, value) {
+  let result = value;
+
+  if (Array.isArray(result) && ARRAY_ROOTS[callType]) {
+    result = { [ARRAY_ROOTS[callType]]: result };
+  }
+  if (!isPlainObject(result)) return result;
+
+  // Unwrap { "summary": { ... } } or { "card": { ... } }
+  const keys = Object.keys(result);
+  if (keys.length === 1 && (keys[0] === callType || keys[0] === 'card') && isPlainObject(result[keys[0]])) {
+    result = result[keys[0]];
+  }
+
+  const aliases = FIELD_ALIASES[callType] || {};
+  result = { ...result };
+  Object.entries(aliases).forEach(([alias, field]) => {
+    if (result[field] === undefined && result[alias] !== undefined) {
+      result[field] = result[alias];
+      delete result[alias];
+    }
+  });
+
+  result = coerce(SCHEMAS[callType], result);
+
+  if (callType === 'actionableInsights' && Array.isArray(result.insights)) {
+    result.insights = result.insights.map((insight) => (
+      typeof insight.category === 'string'
+        ? { ...insight, category: insight.category.toLowerCase().replace(/\s+/g, '-') }
+        : insight
+    ));
+  }
+
+  if (callType === 'monetization') {
+    if (Array.isArray(result.pricingTiers)) {
+      // Tiers with no features listed are still usable
+      result.pricingTiers = result.pricingTiers.map((tier) => (
+        isPlainObject(tier) && tier.features === undefined ? { ...tier, features: [] } : tier
+      ));
+    }
+    result.assumptions = normalizeRevenueAssumptions(result.assumptions);
+  }
+
+  if (callType === 'marketSizing') {
+    result = normalizeMarketSizing(result);
+  }
+
+  if (callType === 'assumptions' && Array.isArray(result.assumptions)) {
+    // Anything but a known risk level is treated as medium
+    result.assumptions = result.assumptions.map((assumption) => {
+      if (!isPlainObject(assumption)) return assumption;
+      const risk = typeof assumption.risk === 'string' ? assumption.risk.toLowerCase().trim() : '';
+      return { ...assumption, risk: RISK_LEVELS.includes(risk) ? risk : DEFAULT_RISK };
+    });
+  }
+
+  if (callType === 'classification') {
+    result = normalizeClassification(result);
+  }
+
+  return result;
+}
+
+/**
+ * Parse, normalize and validate a model response for one call type
+ * @param {string} callType - Key in SCHEMAS
+ * @param {string} content - Raw message content from the model
+ * @returns {Object} - { value, errors }
+ */
+function parseCardResponse(callType, content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return { value: null, errors: ['response is not valid JSON'] };
+  }
+
+  const value = normalizeResponse(callType, parsed);
+  return { value, errors: validate(SCHEMAS[callType], value) };
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  IDEA_CATEGORIES,
+  SCHEMAS,
+  CardValidationError,
+  normalizeResponse,
+  parseCardResponse,
+  validate,
+};
@@ -0,0 +1,205 @@
+/**
+ * Token-budgeted chat context. The newest turns are sent to the model
+ * verbatim; older turns are folded into a rolling summary stored on the idea
+ * as `chatMemory` ({ summary, summarizedThrough, messageCount, updatedAt }).
+ */
+
+const admin = require('firebase-admin');
+const { createChatCompletion, estimateTokens } = require('./llm');
+const {
+  UNTRUSTED_CONTENT_RULE,
+  sanitizeText,
+  withUntrustedContentRule,
+  wrapUntrusted,
+} = require('./promptSafety');
+
+// Verbatim history sent with each chat turn
+const HISTORY_TOKEN_BUDGET = 3000;
+// Turns are folded into the summary once they are older than half the budget,
+// so they are summarized before the chat window stops sending them verbatim
+const SUMMARY_WINDOW_TOKENS = HISTORY_TOKEN_BUDGET / 2;
+// Summarize in batches so every turn does not cost a summary call
+const SUMMARY_BATCH_MIN_MESSAGES = 6;
+// Turns waiting for the summary are sent on top of the budget up to this
+// many tokens, so a summary that keeps failing cannot grow prompts forever
+const PENDING_TOKEN_CAP = HISTORY_TOKEN_BUDGET * 2;
+const MAX_SUMMARY_CHARS = 4000;
+// Longest single chat message the assistant will accept
+const MAX_CHAT_MESSAGE_CHARS = 2000;
+
+const toMillis = (timestamp) => {
+  if (!timestamp) return 0;
+  return timestamp.toMillis ? timestamp.toMillis() : new Date(timestamp).getTime();
+};
+
+/**
+ * Load the conversation of an idea in chronological order, without the
+ * status notices the app adds or replies that are still streaming
+ * @param {Object} ideaRef - Idea document reference
+ * @returns {Promise<Array<Object>>} - [{ role, content, timestamp, tokens }]
+ */
+async function loadConversation(ideaRef) {
+  const historySnapshot = await ideaRef.collection('chatHistory').orderBy('timestamp', 'asc').get();
+
+  return historySnapshot.docs
+    .map((doc) => doc.data())
+    .filter((msg) => msg.content && !msg.notice && !msg.streaming && (msg.role === 'user' || msg.role === 'assistant'))
+    .map((msg) => {
+      const content = sanitizeText(msg.content, MAX_CHAT_MESSAGE_CHARS);
+      return { role: msg.role, content, timestamp: msg.timestamp, tokens: estimateTokens(content) };
+    });
+}
+
+/**
+ * Split a conversation into the recent turns that fit the token budget and
+ * the older turns not yet folded into the summary. Chat turns send both until
+ * the summary has the older ones, so no turn is ever left out of both.
+ * @param {Array<Object>} conversation - From loadConversation
+ * @param {Object} memory - The idea's chatMemory, if any
+ * @param {number} budget - Tokens available for verbatim history
+ * @returns {Object} - { recent, pending }
+ */
+function splitConversation(conversation, memory, budget = HISTORY_TOKEN_BUDGET) {
+  const summarizedThrough = toMillis(memory?.summarizedThrough);
+  const unsummarized = conversation.filter((msg) => toMillis(msg.timestamp) > summarizedThrough);
+
+  let start = unsummarized.length;
+  let tokens = 0;
+  while (start > 0 && tokens + unsummarized[start - 1].tokens <= budget) {
+    start -= 1;
+    tokens += unsummarized[start].tokens;
+  }
+
+  return {
+    recent: unsummarized.slice(start),
+    pending: unsummarized.slice(0, start),
+  };
+}
+
+/**
+ * Turns to send verbatim with a chat turn: the recent turns that fit the
+ * budget, then as many of the newest turns still waiting for the summary as
+ * fit PENDING_TOKEN_CAP. Only if summarizing falls that far behind are the
+ * oldest waiting turns left out.
+ * @param {Array<Object>} conversation - From loadConversation
+ * @param {Object} memory - The idea's chatMemory, if any
+ * @returns {Array<Object>} - Turns in chronological order
+ */
+function selectChatHistory(conversation, memory) {
+  const { recent, pending } = splitConversation(conversation, memory);
+
+  let start = pending.length;
+  let tokens = 0;
+  while (start > 0 && tokens + pending[start - 1].tokens <= PENDING_TOKEN_CAP) {
+    start -= 1;
+    tokens += pending[start].tokens;
+  }
+
+  if (start > 0) {
+    console.warn(`Chat summary is behind; leaving out ${start} older turn(s)`);
+  }
+  return [...pending.slice(start), ...recent];
+}
+
+/**
+ * Assemble the messages for a chat turn: system prompt with the rolling
+ * summary, the recent turns verbatim, then the new user message
+ * @param {Object} options - { systemPrompt, memory, recent, userMessage }
+ * @returns {Array<Object>}
+ */
+function buildChatMessages({ systemPrompt, memory, recent, userMessage }) {
+  const memorySection = memory?.summary
+    ? `\n\nEARLIER IN THIS CONVERSATION (summary of older messages):\n${wrapUntrusted('chat-memory', memory.summary, MAX_SUMMARY_CHARS)}`
+    : '';
+
+  return withUntrustedContentRule([
+    { role: 'system', content: `${systemPrompt}${memorySection}` },
+    ...recent.map((msg) => ({ role: msg.role, content: msg.content })),
+    { role: 'user', content: userMessage },
+  ]);
+}
+
+/**
+ * Fold turns that have dropped out of the verbatim window into the idea's
+ * rolling summary. Does nothing until enough turns are waiting, unless some
+ * are already past the history budget.
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Object} idea - Idea document data
+ * @param {Object} meter - Usage meter from quota.js
+ * @returns {Promise<Object|null>} - The new chatMemory, or null when unchanged
+ */
+async function refreshChatMemory(ideaRef, idea, meter = null) {
+  const memory = idea.chatMemory || {};
+  const conversation = await loadConversation(ideaRef);
+  const { pending } = splitConversation(conversation, memory, SUMMARY_WINDOW_TOKENS);
+  // Turns past the budget are sent over it until summarized, so don't wait for a batch
+  const { pending: overBudget } = splitConversation(conversation, memory);
+
+  if (pending.length < SUMMARY_BATCH_MIN_MESSAGES && overBudget.length === 0) {
+    return null;
+  }
+
+  const transcript = pending
+    .map((msg) => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n\n');
+
+  const response = await createChatCompletion('chatSummary', {
+    messages: [
+      {
+        role: 'system',
+        content: `You maintain the memory of a conversation between a user and an idea development assistant. Update the summary with the new messages.
+
+Keep every concrete fact about the idea: the problem, audience, features, decisions made, open questions and anything the user asked the assistant to remember. Drop small talk. Write short plain-text bullet points, at most 250 words in total.
+
+Return ONLY the updated summary.
+
+${UNTRUSTED_CONTENT_RULE}`,
+      },
+      {
+        role: 'user',
+        content: `PREVIOUS SUMMARY
+${memory.summary ? wrapUntrusted('chat-memory', memory.summary, MAX_SUMMARY_CHARS) : 'None yet.'}
+
+NEW MESSAGES
+${wrapUntrusted('conversation', transcript, pending.length * MAX_CHAT_MESSAGE_CHARS)}`,
+      },
+    ],
+    temperature: 0.3,
+    max_tokens: 600,
+  }, meter);
+
+  const summary = sanitizeText(response.choices[0].message.content, MAX_SUMMARY_CHARS);
+  if (!summary) {
+    return null;
+  }
+
+  const chatMemory = {
+    summary,
+    summarizedThrough: pending[pending.length - 1].timestamp,
+    messageCount: (memory.messageCount || 0) + pending.length,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  // Another refresh may have finished first; keep whichever started from the newer summary
+  const saved = await admin.firestore().runTransaction(async (transaction) => {
+    const latest = await transaction.get(ideaRef);
+    const latestMemory = latest.data()?.chatMemory;
+    if (toMillis(latestMemory?.summarizedThrough) !== toMillis(memory.summarizedThrough)) {
+      return false;
+    }
+    transaction.update(ideaRef, { chatMemory });
+    return true;
+  });
+
+  return saved ? chatMemory : null;
+}
+
+module.exports = {
+  HISTORY_TOKEN_BUDGET,
+  MAX_CHAT_MESSAGE_CHARS,
+  buildChatMessages,
+  loadConversation,
+  refreshChatMemory,
+  selectChatHistory,
+  splitConversation,
+};
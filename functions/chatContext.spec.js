@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('./llm');
+
+// chatContext takes createChatCompletion when it loads, so stub it first
+let summaryCalls = 0;
+llm.createChatCompletion = async () => {
+  summaryCalls += 1;
+  throw new Error('Summary model unavailable');
+};
+
+const {
+  HISTORY_TOKEN_BUDGET,
+  loadConversation,
+  refreshChatMemory,
+  selectChatHistory,
+} = require('./chatContext');
+
+// Turns of about 250 tokens each, a second apart
+const buildChatHistory = (count) => Array.from({ length: count }, (_, index) => ({
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content: `Turn ${index} `.padEnd(1000, '.'),
+  timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, index)),
+}));
+
+const fakeIdeaRef = (messages) => ({
+  collection: () => ({
+    orderBy: () => ({
+      get: async () => ({ docs: messages.map((message) => ({ data: () => message })) }),
+    }),
+  }),
+});
+
+const totalTokens = (turns) => turns.reduce((total, turn) => total + turn.tokens, 0);
+
+test('turns waiting for the summary are sent until it has them', async () => {
+  const conversation = await loadConversation(fakeIdeaRef(buildChatHistory(16)));
+
+  const history = selectChatHistory(conversation, null);
+
+  assert.strictEqual(history.length, conversation.length);
+  assert.ok(totalTokens(history) > HISTORY_TOKEN_BUDGET);
+});
+
+test('a failing summary does not grow the prompt past the cap', async () => {
+  const ideaRef = fakeIdeaRef(buildChatHistory(60));
+  summaryCalls = 0;
+
+  await assert.rejects(refreshChatMemory(ideaRef, {}), /Summary model unavailable/);
+  assert.strictEqual(summaryCalls, 1);
+
+  // The summary never moved on, so every turn is still waiting for it
+  const conversation = await loadConversation(ideaRef);
+  const history = selectChatHistory(conversation, {});
+
+  assert.ok(totalTokens(history) <= HISTORY_TOKEN_BUDGET * 3);
+  assert.ok(history.length < conversation.length);
+  // The oldest turns are the ones left out
+  assert.deepStrictEqual(history, conversation.slice(conversation.length - history.length));
+});
+
+test('summarized turns are not sent again', async () => {
+  const conversation = await loadConversation(fakeIdeaRef(buildChatHistory(10)));
+  const memory = { summary: 'Earlier turns', summarizedThrough: conversation[5].timestamp };
+
+  const history = selectChatHistory(conversation, memory);
+
+  assert.deepStrictEqual(history, conversation.slice(6));
+});
@@ -1,24 +1,306 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
-const OpenAI = require('openai');
+const { getFunctions } = require('firebase-admin/functions');
+const crypto = require('crypto');
+const { createChatCompletion, streamChatCompletion } = require('./llm');
+const {
+  CardValidationError,
+  DEFAULT_CATEGORY,
+  parseCardResponse,
+} = require('./cardSchemas');
+const { createUsageMeter, enforceQuota, getUsageSummary } = require('./quota');
+const {
+  UNTRUSTED_CONTENT_RULE,
+  sanitizeInline,
+  sanitizeText,
+  withUntrustedContentRule,
+  wrapUntrusted,
+} = require('./promptSafety');
+const {
+  MAX_CHAT_MESSAGE_CHARS,
+  buildChatMessages,
+  loadConversation,
+  refreshChatMemory,
+  selectChatHistory,
+} = require('./chatContext');
+const { transcribe } = require('./transcription');
+const {
+  applyTaxonomy,
+  describeCategory,
+  getUserTaxonomy,
+  labelNames,
+} = require('./taxonomy');
+const {
+  TOPICS,
+  buildIntakeState,
+  buildInterviewGuide,
+  describeTopics,
+  getCoveredTopics,
+  getInterviewTemplate,
+} = require('./interviewTemplates');
+const { ALL_CARD_TYPES, getCardPack } = require('./cardPacks');
+const { computeMarketSize, getMarketAssumptions } = require('./marketSizing');
+const { resolveNote } = require('./noteMerge');
+const { IDEA_SCHEMA_VERSION, needsUpgrade, upgradeIdea } = require('./migrations');
+const {
+  ASSUMPTIONS_GUIDANCE,
+  addExtractedAssumptions,
+  formatAssumptions,
+  loadAssumptions,
+} = require('./assumptions');
+const { ACCOUNT_DELETION_STATUS, runAccountDeletionSteps } = require('./accountDeletion');
 
 // Initialize Firebase Admin
 admin.initializeApp();
 
 const db = admin.firestore();
 
-// Initialize OpenAI lazily to use Firebase config
-function getOpenAI() {
-  const config = functions.config();
-  const apiKey = config?.openai?.apikey || config?.openai?.api_key;
+const CARD_STATUS = {
+  PENDING: 'pending',
+  GENERATING: 'generating',
+  READY: 'ready',
+  FAILED: 'failed',
+};
+
+// Each card gets this many attempts before it is marked as failed
+const MAX_CARD_ATTEMPTS = 2;
+const CARD_RETRY_DELAY_MS = 1500;
+
+// One generator per card type; which cards an idea gets comes from its card pack
+const CARD_GENERATORS = {
+  summary: generateSummaryCard,
+  actionableInsights: generateActionableInsightsCard,
+  similarConcepts: generateSimilarConceptsCard,
+  userScenarios: generateUserScenariosCard,
+  monetization: generateMonetizationCard,
+  marketSizing: generateMarketSizingCard,
+  mvp: generateMVPCard,
+  manufacturing: generateManufacturingCard,
+  serviceBlueprint: generateServiceBlueprintCard,
+  techArchitecture: generateTechArchitectureCard,
+};
+
+// Where a saved card version came from
+const CARD_VERSION_SOURCE = {
+  GENERATED: 'generated',
+  REGENERATED: 'regenerated',
+  EDIT: 'edit',
+  RESTORE: 'restore',
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Add a card version to the idea's history as part of a batch
+ * @param {Object} batch - Firestore write batch
+ * @param {Object} ideaRef - Idea document reference
+ * @param {string} cardType - Card key in idea.cards
+ * @param {Object} card - Full card contents at this version
+ * @param {Object} versionInfo - { source, refinementPrompt?, restoredFrom?, baseline? }
+ */
+function addCardVersion(batch, ideaRef, cardType, card, versionInfo) {
+  const versionRef = ideaRef.collection('cardVersions').doc();
+  batch.set(versionRef, {
+    cardType,
+    card,
+    source: versionInfo.source,
+    refinementPrompt: versionInfo.refinementPrompt || null,
+    restoredFrom: versionInfo.restoredFrom || null,
+    baseline: versionInfo.baseline || false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Ideas analyzed before version history existed have a card but no versions.
+ * Save the current card as the first version before it gets replaced.
+ */
+async function ensureBaselineVersion(ideaRef, cardType, currentCard) {
+  if (!currentCard) return;
+
+  const existing = await ideaRef.collection('cardVersions')
+    .where('cardType', '==', cardType)
+    .limit(1)
+    .get();
 
-  if (!apiKey) {
-    throw new Error('OpenAI API key is not configured in functions config.');
+  if (!existing.empty) return;
+
+  const batch = db.batch();
+  addCardVersion(batch, ideaRef, cardType, currentCard, { source: CARD_VERSION_SOURCE.GENERATED, baseline: true });
+  await batch.commit();
+}
+
+/**
+ * Generate a single card, tracking its status on the idea document.
+ * The card is saved as soon as it is ready and retried on its own if it fails,
+ * so one bad generation never blocks the others.
+ * @param {Object} options - { versionInfo, meter }
+ */
+async function generateCardWithStatus(ideaRef, cardType, conversationContext, category, options = {}) {
+  const { versionInfo = { source: CARD_VERSION_SOURCE.GENERATED }, meter = null } = options;
+  const generator = CARD_GENERATORS[cardType];
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_CARD_ATTEMPTS; attempt += 1) {
+    try {
+      await ideaRef.update({
+        [`cardStatus.${cardType}`]: CARD_STATUS.GENERATING,
+      });
+
+      const card = await generator(conversationContext, category, meter);
+
+      // The card and its history entry are written together
+      const batch = db.batch();
+      batch.update(ideaRef, {
+        [`cards.${cardType}`]: card,
+        [`cardStatus.${cardType}`]: CARD_STATUS.READY,
+        [`cardErrors.${cardType}`]: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      addCardVersion(batch, ideaRef, cardType, card, versionInfo);
+      await batch.commit();
+
+      return card;
+    } catch (error) {
+      lastError = error;
+      console.error(`Error generating ${cardType} card (attempt ${attempt}/${MAX_CARD_ATTEMPTS}):`, error);
+
+      // The response was already given a repair attempt; don't pay for another round
+      if (error instanceof CardValidationError) {
+        break;
+      }
+
+      if (attempt < MAX_CARD_ATTEMPTS) {
+        await wait(CARD_RETRY_DELAY_MS * attempt);
+      }
+    }
   }
 
-  return new OpenAI({
-    apiKey,
+  await ideaRef.update({
+    [`cardStatus.${cardType}`]: CARD_STATUS.FAILED,
+    [`cardErrors.${cardType}`]: lastError?.message || 'Card generation failed.',
   });
+
+  throw lastError;
+}
+
+/**
+ * Classify an idea into the owner's categories and store its tags, unless the
+ * user has set them by hand. Falls back to the category hint when
+ * classification fails, so the cards still generate.
+ * @param {Object} ideaRef - Idea document reference
+ * @param {string} conversationContext - Delimited conversation text
+ * @param {string} categoryHint - Category the user picked in the chat, if any
+ * @param {Object} meter - Usage meter from quota.js
+ * @returns {Promise<Object>} - { category, secondaryTags } for the card prompts
+ */
+async function resolveIdeaCategory(ideaRef, conversationContext, categoryHint, meter = null) {
+  const ideaDoc = await ideaRef.get();
+  const idea = ideaDoc.data() || {};
+  const hint = sanitizeInline(categoryHint);
+
+  if (idea.classification?.source === 'user') {
+    return {
+      category: sanitizeInline(idea.classification.category || idea.tags?.[0]) || DEFAULT_CATEGORY,
+      secondaryTags: (idea.tags || []).slice(1),
+    };
+  }
+
+  try {
+    const taxonomy = await getUserTaxonomy(idea.userId);
+    const classification = applyTaxonomy(
+      await generateClassification(conversationContext, hint, taxonomy, meter),
+      taxonomy
+    );
+    await ideaRef.update({
+      tags: [classification.category, ...classification.secondaryTags],
+      classification: {
+        ...classification,
+        source: 'ai',
+        classifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    });
+    return { category: classification.category, secondaryTags: classification.secondaryTags };
+  } catch (error) {
+    console.error('Error classifying idea:', error);
+    return { category: hint || DEFAULT_CATEGORY, secondaryTags: [] };
+  }
+}
+
+/**
+ * Add the Summary card's audience to the conversation context, from the
+ * summary being generated alongside or the one already saved
+ * @param {Object} ideaRef - Idea document reference
+ * @param {string} conversationContext - Delimited conversation text
+ * @param {Promise<Object>} summaryPromise - Summary card in progress, if any
+ * @returns {Promise<string>}
+ */
+async function withSummaryAudience(ideaRef, conversationContext, summaryPromise) {
+  const summary = summaryPromise
+    ? await summaryPromise.catch(() => null)
+    : (await ideaRef.get()).data()?.cards?.summary;
+
+  if (!summary?.audience) return conversationContext;
+  return `${conversationContext}\n\nTARGET AUDIENCE FROM THE SUMMARY CARD\n${wrapUntrusted('summary-audience', summary.audience, 1000)}`;
+}
+
+/**
+ * Run the card pipeline for an idea: classification, then the title and
+ * every card in the category's card pack except those in `skipCardTypes`.
+ * Cards save themselves as they finish; the caller owns the analyzing flag.
+ * @param {Object} options - { skipCardTypes, meter }
+ * @returns {Promise<Object>} - { title, cards, cardTypes, failedCards }
+ */
+async function analyzeIdea(ideaRef, { ideaText, conversationTranscript, category }, options = {}) {
+  const { skipCardTypes = [], meter = null } = options;
+  const conversationContext = wrapUntrusted('conversation', conversationTranscript || ideaText, MAX_TRANSCRIPT_CHARS);
+  const { category: ideaCategory, secondaryTags } = await resolveIdeaCategory(ideaRef, conversationContext, category, meter);
+  const categoryContext = describeCategory(ideaCategory, secondaryTags);
+  const cardTypes = getCardPack(ideaCategory).cards.filter((cardType) => !skipCardTypes.includes(cardType));
+
+  // Mark the cards as pending so the app can show progress card by card
+  const pendingUpdate = {};
+  cardTypes.forEach((cardType) => {
+    pendingUpdate[`cardStatus.${cardType}`] = CARD_STATUS.PENDING;
+    pendingUpdate[`cardErrors.${cardType}`] = admin.firestore.FieldValue.delete();
+  });
+  await ideaRef.update(pendingUpdate);
+
+  // Generate all cards in parallel for speed; each one saves itself when done.
+  // Market sizing starts from the segment the Summary card settles on, so it
+  // waits for that card when both are being generated.
+  const cardPromises = {};
+  cardTypes.forEach((cardType) => {
+    cardPromises[cardType] = cardType === 'marketSizing'
+      ? withSummaryAudience(ideaRef, conversationContext, cardPromises.summary)
+        .then((context) => generateCardWithStatus(ideaRef, cardType, context, categoryContext, { meter }))
+      : generateCardWithStatus(ideaRef, cardType, conversationContext, categoryContext, { meter });
+  });
+
+  const [titleResult, ...cardResults] = await Promise.allSettled([
+    generateTitle(ideaText, meter),
+    ...cardTypes.map((cardType) => cardPromises[cardType]),
+  ]);
+
+  const cards = {};
+  const failedCards = [];
+  cardResults.forEach((result, index) => {
+    const cardType = cardTypes[index];
+    if (result.status === 'fulfilled') {
+      cards[cardType] = result.value;
+    } else {
+      failedCards.push(cardType);
+    }
+  });
+
+  const title = titleResult.status === 'fulfilled' ? titleResult.value : null;
+  if (title) {
+    await ideaRef.update({ title });
+  } else {
+    console.error('Error generating title:', titleResult.reason);
+  }
+
+  return { title, cards, cardTypes, failedCards };
 }
 
 const formatBulletList = (items) => {
@@ -49,6 +331,13 @@ Reality Checks:\n${formatBulletList(summary.realityCheck)}`);
     sections.push(`ACTIONABLE INSIGHTS\n${insightsText}`);
   }
 
+  if (cards.similarConcepts?.concepts?.length) {
+    const conceptsText = cards.similarConcepts.concepts
+      .map((concept) => `• ${concept.name} (${concept.type}): ${concept.description} Gap: ${concept.gap}`)
+      .join('\n');
+    sections.push(`COMPETITIVE LANDSCAPE\n${conceptsText}${cards.similarConcepts.differentiation ? `\nDifferentiation: ${cards.similarConcepts.differentiation}` : ''}`);
+  }
+
   if (cards.userScenarios?.scenarios?.length) {
     const scenariosText = cards.userScenarios.scenarios
       .map((scenario) => `• ${scenario.persona}: ${scenario.context} → ${scenario.outcome}`)
@@ -64,124 +353,651 @@ Reality Checks:\n${formatBulletList(summary.realityCheck)}`);
     const alternatives = Array.isArray(monetization.alternativeModels)
       ? monetization.alternativeModels.map((alt) => `${alt.name}: ${alt.description}`).join('\n')
       : null;
+    const assumptions = monetization.assumptions
+      ? `\nAssumptions: ${(monetization.assumptions.monthlyChurnRate * 100).toFixed(1)}% monthly churn, ${monetization.assumptions.cac} ${monetization.assumptions.currency} CAC`
+      : '';
     sections.push(`MONETIZATION PLAN
 Primary Model: ${monetization.primaryModel || 'Not captured'}
 Rationale: ${monetization.modelRationale || 'Not captured'}
-Pricing:\n${pricing || '• Not specified'}${alternatives ? `\nAlternatives:\n${alternatives}` : ''}`);
+Pricing:\n${pricing || '• Not specified'}${alternatives ? `\nAlternatives:\n${alternatives}` : ''}${assumptions}`);
+  }
+
+  if (cards.marketSizing?.assumptions) {
+    const values = getMarketAssumptions(cards.marketSizing, ideaContext.marketSizingOverrides);
+    const { tam, sam, som } = computeMarketSize(values);
+    const currency = cards.marketSizing.currency || 'USD';
+    const formatAmount = (amount) => `${Math.round(amount).toLocaleString('en-US')} ${currency}`;
+    sections.push(`MARKET SIZE (per year)
+Segment: ${cards.marketSizing.segment}
+Assumptions: ${values.population.toLocaleString('en-US')} potential customers × ${formatAmount(values.annualPrice)} per customer; ${(values.serviceableShare * 100).toFixed(1)}% reachable; ${(values.penetration * 100).toFixed(1)}% winnable
+TAM: ${formatAmount(tam)}
+SAM: ${formatAmount(sam)}
+SOM: ${formatAmount(som)}`);
+  }
+
+  if (cards.mvp?.sections?.length) {
+    const conceptText = cards.mvp.sections
+      .map((section) => `${section.title}: ${section.description || ''}${section.points?.length ? `\n${formatBulletList(section.points)}` : ''}`)
+      .join('\n');
+    sections.push(`CORE CONCEPT\n${conceptText}`);
   }
 
-  if (cards.mvp?.guidance?.length) {
-    sections.push(`MVP ROADMAP\n${cards.mvp.guidance.map((step, index) => `${index + 1}. ${step}`).join('\n')}`);
+  if (cards.manufacturing?.billOfMaterials?.length) {
+    const materialsText = cards.manufacturing.billOfMaterials
+      .map((item) => `• ${item.part} (${item.specification}), ${item.sourcing}: ${item.unitCost} ${cards.manufacturing.currency || ''}`.trim())
+      .join('\n');
+    sections.push(`MANUFACTURING
+Bill of Materials:\n${materialsText}
+Production Steps:\n${formatBulletList(cards.manufacturing.productionSteps)}`);
+  }
+
+  if (cards.serviceBlueprint?.stages?.length) {
+    const stagesText = cards.serviceBlueprint.stages
+      .map((stage) => `• ${stage.name}: customer ${stage.customerActions}; frontstage ${stage.frontstage}; backstage ${stage.backstage}`)
+      .join('\n');
+    sections.push(`SERVICE BLUEPRINT\n${stagesText}\nFail Points:\n${formatBulletList(cards.serviceBlueprint.failPoints)}`);
+  }
+
+  if (cards.techArchitecture?.components?.length) {
+    const componentsText = cards.techArchitecture.components
+      .map((component) => `• ${component.name} (${component.technology}): ${component.responsibility}`)
+      .join('\n');
+    sections.push(`TECHNICAL ARCHITECTURE\n${componentsText}\nData Stores:\n${formatBulletList(cards.techArchitecture.dataStores)}`);
   }
 
   return sections.join('\n\n').trim();
 };
 
+// Keep regeneration prompts bounded on long conversations; the newest messages win
+const MAX_TRANSCRIPT_CHARS = 12000;
+
+const formatTranscript = (messages) => {
+  const lines = messages
+    // Notices are status lines the app shows in the chat, not conversation
+    .filter((msg) => msg.content && !msg.notice && !msg.streaming && (msg.role === 'user' || msg.role === 'assistant'))
+    .map((msg) => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`);
+
+  let transcript = '';
+  for (let index = lines.length - 1; index >= 0; index -= 1) {
+    const next = transcript ? `${lines[index]}\n\n${transcript}` : lines[index];
+    if (next.length > MAX_TRANSCRIPT_CHARS) break;
+    transcript = next;
+  }
+  return transcript;
+};
+
+/**
+ * Notes on the idea's active canvas
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Object} idea - Idea document data, upgraded to the current schema
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadActiveCanvasNotes(ideaRef, idea) {
+  if (!idea.currentCanvasId) return [];
+
+  const snapshot = await ideaRef.collection('canvases').doc(idea.currentCanvasId).collection('notes').get();
+  return snapshot.docs
+    .map((doc) => resolveNote(doc.id, doc.data()))
+    .filter((note) => !note.deleted);
+}
+
+/**
+ * Rebuild the full context of an idea for regenerating one of its cards:
+ * the conversation, the other cards, the active canvas notes, the assumptions
+ * register and the card being replaced, so a refinement builds on what
+ * already exists.
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Object} idea - Idea document data
+ * @param {Object} options - { cardType, ideaText, refinementPrompt }
+ * @returns {Promise<string>}
+ */
+async function buildIdeaContext(ideaRef, idea, { cardType, ideaText, refinementPrompt }) {
+  const sections = [];
+
+  const historySnapshot = await ideaRef.collection('chatHistory').orderBy('timestamp', 'asc').get();
+  const transcript = formatTranscript(historySnapshot.docs.map((doc) => doc.data()));
+  const conversation = transcript ||
+    idea.analysisInput?.conversationTranscript ||
+    ideaText ||
+    idea.originalInput;
+  sections.push(`CONVERSATION\n${wrapUntrusted('conversation', conversation, MAX_TRANSCRIPT_CHARS)}`);
+
+  const otherCards = { ...(idea.cards || {}) };
+  delete otherCards[cardType];
+  const cardsContext = buildContinuationContext({ cards: otherCards, marketSizingOverrides: idea.marketSizingOverrides });
+  if (cardsContext) {
+    // Cards can be edited by the user, so they are not trusted either
+    sections.push(`OTHER ANALYSIS CARDS\n${wrapUntrusted('analysis-cards', cardsContext, 8000)}`);
+  }
+
+  const manualCompetitors = idea.manualCompetitors || [];
+  if (manualCompetitors.length > 0) {
+    const competitorsText = manualCompetitors
+      .map((competitor) => `• ${competitor.name}${competitor.description ? `: ${competitor.description}` : ''}${competitor.gap ? ` Gap: ${competitor.gap}` : ''}`)
+      .join('\n');
+    sections.push(`COMPETITORS ADDED BY THE USER\n${wrapUntrusted('manual-competitors', competitorsText)}`);
+  }
+
+  const notes = (await loadActiveCanvasNotes(ideaRef, idea)).filter((note) => note.title || note.content);
+  if (notes.length > 0) {
+    const notesText = notes
+      .map((note) => `• [${note.category || 'note'}] ${note.title || 'Untitled'}${note.content ? `: ${note.content}` : ''}`)
+      .join('\n');
+    sections.push(`CANVAS NOTES\n${wrapUntrusted('canvas-notes', notesText)}`);
+  }
+
+  const assumptions = await loadAssumptions(ideaRef);
+  if (assumptions.length > 0) {
+    sections.push(`ASSUMPTIONS REGISTER\n${ASSUMPTIONS_GUIDANCE}\n${wrapUntrusted('assumptions', formatAssumptions(assumptions))}`);
+  }
+
+  // Numbers the user set by hand are kept as they are
+  const marketOverrides = Object.entries(idea.marketSizingOverrides || {});
+  if (cardType === 'marketSizing' && marketOverrides.length > 0) {
+    const overridesText = marketOverrides.map(([key, value]) => `• ${key}: ${value}`).join('\n');
+    sections.push(`ASSUMPTIONS SET BY THE USER\nUse these values unchanged and explain them in the rationale:\n${wrapUntrusted('market-overrides', overridesText)}`);
+  }
+
+  const currentCard = idea.cards?.[cardType];
+  if (currentCard) {
+    sections.push(`CURRENT VERSION OF THIS CARD\n${wrapUntrusted('current-card', JSON.stringify(currentCard, null, 2), 6000)}`);
+  }
+
+  if (refinementPrompt) {
+    sections.push(`REFINEMENT REQUEST\nRevise the current version of this card following this direction, keeping what still applies: ${sanitizeText(refinementPrompt, 1000)}`);
+  } else if (currentCard) {
+    sections.push('Generate a fresh version of this card that reflects everything above.');
+  }
+
+  return sections.join('\n\n');
+}
+
+const ANALYSIS_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const ANALYSIS_MAX_ATTEMPTS = 3;
+// Longer than the task timeout, so only jobs that really died get timed out
+const ANALYSIS_JOB_TIMEOUT_MS = 15 * 60 * 1000;
+// Longer than the continueChat timeout, so only drafts whose call died are closed
+const CHAT_DRAFT_TIMEOUT_MS = 3 * 60 * 1000;
+
 /**
- * Generate all AI cards for an idea
- * Triggered when user clicks "Summarize & analyze"
+ * Queue server-side analysis for an idea
+ * Called when the user taps "Analyze"; the work continues even if the app closes.
+ * Called with only ideaId to retry a failed job from the Dashboard.
  */
-exports.generateIdeaCards = functions.https.onCall(async (data, context) => {
-  // Verify user is authenticated
+exports.requestIdeaAnalysis = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
     throw new functions.https.HttpsError(
       'unauthenticated',
-      'User must be authenticated to generate cards.'
+      'User must be authenticated to analyze ideas.'
     );
   }
 
   const { ideaId, ideaText, conversationTranscript, category } = data;
 
-  if (!ideaId || !ideaText) {
-    throw new functions.https.HttpsError(
-      'invalid-argument',
-      'ideaId and ideaText are required.'
-    );
+  if (!ideaId) {
+    throw new functions.https.HttpsError('invalid-argument', 'ideaId is required.');
   }
 
   try {
-    // Verify the idea belongs to the user
     const ideaRef = db.collection('ideas').doc(ideaId);
     const ideaDoc = await ideaRef.get();
 
-    if (!ideaDoc.exists) {
-      throw new functions.https.HttpsError('not-found', 'Idea not found.');
+    if (!ideaDoc.exists || ideaDoc.data().userId !== context.auth.uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Access denied.');
     }
 
-    if (ideaDoc.data().userId !== context.auth.uid) {
+    const idea = ideaDoc.data();
+    const currentStatus = idea.analysisJob?.status;
+    if (currentStatus === ANALYSIS_JOB_STATUS.QUEUED || currentStatus === ANALYSIS_JOB_STATUS.RUNNING) {
+      return { success: true, jobId: idea.analysisJob.jobId, alreadyQueued: true };
+    }
+
+    // A retry reuses the input captured when the job was first requested
+    const analysisInput = ideaText
+      ? { ideaText, conversationTranscript: conversationTranscript || null, category: category || null }
+      : idea.analysisInput || (idea.originalInput && { ideaText: idea.originalInput, conversationTranscript: null, category: idea.classification?.category || null });
+
+    if (!analysisInput?.ideaText) {
       throw new functions.https.HttpsError(
-        'permission-denied',
-        'You do not have permission to modify this idea.'
+        'invalid-argument',
+        'ideaText is required for the first analysis of an idea.'
       );
     }
 
-    // Generate all cards in parallel for speed
-    const conversationContext = conversationTranscript || ideaText;
-    const ideaCategory = category || 'General';
-
-    const [
-      summaryCard,
-      actionableInsightsCard,
-      userScenariosCard,
-      monetizationCard,
-      mvpCard,
-      title,
-    ] = await Promise.all([
-      generateSummaryCard(conversationContext, ideaCategory),
-      generateActionableInsightsCard(conversationContext, ideaCategory),
-      generateUserScenariosCard(conversationContext, ideaCategory),
-      generateMonetizationCard(conversationContext, ideaCategory),
-      generateMVPCard(conversationContext, ideaCategory),
-      generateTitle(ideaText),
-    ]);
-
-    // Update the idea document with all cards and title, clear analyzing flag
+    await enforceQuota(context.auth.uid);
+
+    const jobId = crypto.randomUUID();
+
     await ideaRef.update({
-      title,
-      cards: {
-        summary: summaryCard,
-        actionableInsights: actionableInsightsCard,
-        userScenarios: userScenariosCard,
-        monetization: monetizationCard,
-        mvp: mvpCard,
+      analysisInput,
+      analyzing: true,
+      analysisReviewed: false,
+      analysisJob: {
+        jobId,
+        status: ANALYSIS_JOB_STATUS.QUEUED,
+        attempts: 0,
+        maxAttempts: ANALYSIS_MAX_ATTEMPTS,
+        queuedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       },
-      analyzing: false, // Clear the analyzing flag
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
 
-    return {
-      success: true,
-      title,
-      cards: {
-        summary: summaryCard,
-        actionableInsights: actionableInsightsCard,
-        userScenarios: userScenariosCard,
-        monetization: monetizationCard,
-        mvp: mvpCard,
-      },
-    };
+    await getFunctions().taskQueue('runIdeaAnalysis').enqueue({ ideaId, jobId });
+
+    return { success: true, jobId };
   } catch (error) {
-    console.error('Error generating cards:', error);
+    console.error('Error queuing idea analysis:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Run a queued analysis job
+ * Cloud Tasks retries failed attempts with exponential backoff. Cards that are
+ * already ready are kept, so each retry only regenerates what failed.
+ */
+exports.runIdeaAnalysis = functions
+  .runWith({ timeoutSeconds: 540, memory: '512MB' })
+  .tasks.taskQueue({
+    retryConfig: {
+      maxAttempts: ANALYSIS_MAX_ATTEMPTS,
+      minBackoffSeconds: 30,
+      maxBackoffSeconds: 300,
+      maxDoublings: 3,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 10,
+    },
+  })
+  .onDispatch(async (data, context) => {
+    const { ideaId, jobId } = data;
+    const ideaRef = db.collection('ideas').doc(ideaId);
+    const ideaDoc = await ideaRef.get();
+
+    if (!ideaDoc.exists) {
+      console.warn(`Skipping analysis for missing idea ${ideaId}`);
+      return;
+    }
+
+    const idea = await upgradeIdea(ideaRef, ideaDoc.data());
+    const job = idea.analysisJob || {};
+
+    // A newer request or the watchdog has superseded this task
+    if (
+      job.jobId !== jobId ||
+      job.status === ANALYSIS_JOB_STATUS.COMPLETED ||
+      job.status === ANALYSIS_JOB_STATUS.FAILED
+    ) {
+      console.warn(`Skipping stale analysis task for idea ${ideaId}`);
+      return;
+    }
+
+    const attempt = (context.retryCount || 0) + 1;
+    const isFinalAttempt = attempt >= ANALYSIS_MAX_ATTEMPTS;
 
-    // Clear analyzing flag on error
+    await ideaRef.update({
+      'analysisJob.status': ANALYSIS_JOB_STATUS.RUNNING,
+      'analysisJob.attempts': attempt,
+      'analysisJob.updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const meter = createUsageMeter(idea.userId, { ideaId, functionName: 'runIdeaAnalysis' });
+    let failureMessage = null;
     try {
-      const ideaRef = db.collection('ideas').doc(ideaId);
-      await ideaRef.update({ analyzing: false });
-    } catch (updateError) {
-      console.error('Error clearing analyzing flag:', updateError);
+      const readyCards = ALL_CARD_TYPES.filter((cardType) => idea.cardStatus?.[cardType] === CARD_STATUS.READY);
+      const { failedCards } = await analyzeIdea(ideaRef, idea.analysisInput, { skipCardTypes: readyCards, meter });
+
+      if (failedCards.length > 0) {
+        failureMessage = `Could not generate: ${failedCards.join(', ')}`;
+      }
+    } catch (error) {
+      console.error(`Analysis attempt ${attempt} failed for idea ${ideaId}:`, error);
+      failureMessage = error.message;
+    }
+
+    if (!failureMessage) {
+      await ideaRef.update({
+        analyzing: false,
+        'analysisJob.status': ANALYSIS_JOB_STATUS.COMPLETED,
+        'analysisJob.error': admin.firestore.FieldValue.delete(),
+        'analysisJob.updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      // The register fills in after the cards are shown and never fails the job
+      try {
+        const analyzedDoc = await ideaRef.get();
+        await extractIdeaAssumptions(ideaRef, analyzedDoc.data(), meter);
+      } catch (error) {
+        console.error(`Error extracting assumptions for idea ${ideaId}:`, error);
+      }
+      return;
+    }
+
+    if (isFinalAttempt) {
+      await ideaRef.update({
+        analyzing: false,
+        'analysisJob.status': ANALYSIS_JOB_STATUS.FAILED,
+        'analysisJob.error': failureMessage,
+        'analysisJob.updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+
+    await ideaRef.update({
+      'analysisJob.status': ANALYSIS_JOB_STATUS.RETRYING,
+      'analysisJob.error': failureMessage,
+      'analysisJob.updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Throwing hands the task back to Cloud Tasks for a retry with backoff
+    throw new Error(failureMessage);
+  });
+
+/**
+ * Watchdog for analysis jobs that stopped reporting progress
+ * Also catches ideas stuck with analyzing: true from before the job queue
+ * existed, and chat reply drafts left streaming by a call that died.
+ */
+exports.analysisWatchdog = functions.pubsub.schedule('every 5 minutes').onRun(async () => {
+  const cutoff = Date.now() - ANALYSIS_JOB_TIMEOUT_MS;
+  const snapshot = await db.collection('ideas').where('analyzing', '==', true).get();
+
+  const stuckIdeas = snapshot.docs.filter((ideaDoc) => {
+    const idea = ideaDoc.data();
+    const lastProgress = idea.analysisJob?.updatedAt || idea.updatedAt;
+    return !lastProgress || lastProgress.toMillis() < cutoff;
+  });
+
+  await Promise.all(stuckIdeas.map((ideaDoc) => ideaDoc.ref.update({
+    analyzing: false,
+    'analysisJob.status': ANALYSIS_JOB_STATUS.FAILED,
+    'analysisJob.error': 'Analysis timed out.',
+    'analysisJob.updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+  })));
+
+  if (stuckIdeas.length > 0) {
+    console.log(`Timed out ${stuckIdeas.length} stuck analysis job(s)`);
+  }
+
+  // Chat replies whose continueChat call was killed before it could finish
+  // them keep streaming: true; keep what arrived, or drop an empty draft
+  const draftCutoff = admin.firestore.Timestamp.fromMillis(Date.now() - CHAT_DRAFT_TIMEOUT_MS);
+  const staleDrafts = await db.collectionGroup('chatHistory')
+    .where('streaming', '==', true)
+    .where('streamStartedAt', '<', draftCutoff)
+    .get();
+
+  await Promise.all(staleDrafts.docs.map((draftDoc) => (
+    draftDoc.data().content
+      ? draftDoc.ref.update({ streaming: false, cancelled: true })
+      : draftDoc.ref.delete()
+  )));
+
+  if (!staleDrafts.empty) {
+    console.log(`Closed ${staleDrafts.size} abandoned chat draft(s)`);
+  }
+});
+
+/**
+ * Upgrade an idea to the current schema before the app reads it
+ * The app calls this when it opens an idea stored in an older schema.
+ */
+exports.upgradeIdeaSchema = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated.');
+  }
+
+  const { ideaId } = data;
+  if (!ideaId) {
+    throw new functions.https.HttpsError('invalid-argument', 'ideaId is required.');
+  }
+
+  try {
+    const ideaRef = db.collection('ideas').doc(ideaId);
+    const ideaDoc = await ideaRef.get();
+
+    if (!ideaDoc.exists || ideaDoc.data().userId !== context.auth.uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Access denied.');
     }
 
+    const idea = await upgradeIdea(ideaRef, ideaDoc.data());
+    return { success: true, schemaVersion: idea.schemaVersion };
+  } catch (error) {
+    console.error('Error upgrading idea schema:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
+const MIGRATION_PAGE_SIZE = 100;
+// Leaves room within the function timeout to save progress
+const MIGRATION_RUN_BUDGET_MS = 7 * 60 * 1000;
+
+/**
+ * Background upgrade of every idea to the current schema
+ * Walks the ideas collection in document ID order, a page at a time, saving
+ * its place in system/ideaMigrations so the next run carries on where this
+ * one stopped. Once a pass finishes nothing runs until IDEA_SCHEMA_VERSION
+ * goes up. Ideas that fail are logged and left for the on-read upgrade.
+ */
+exports.migrateIdeaSchemas = functions
+  .runWith({ timeoutSeconds: 540 })
+  .pubsub.schedule('every 60 minutes')
+  .onRun(async () => {
+    const stateRef = db.collection('system').doc('ideaMigrations');
+    const state = (await stateRef.get()).data() || {};
+    if (state.completedVersion >= IDEA_SCHEMA_VERSION) {
+      return;
+    }
+
+    const deadline = Date.now() + MIGRATION_RUN_BUDGET_MS;
+    // A pass for an older target starts again from the beginning
+    let cursor = state.targetVersion === IDEA_SCHEMA_VERSION ? state.cursor || null : null;
+    let upgraded = 0;
+    let failed = 0;
+
+    while (Date.now() < deadline) {
+      let pageQuery = db.collection('ideas')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(MIGRATION_PAGE_SIZE);
+      if (cursor) {
+        pageQuery = pageQuery.startAfter(cursor);
+      }
+      const page = await pageQuery.get();
+
+      for (const ideaDoc of page.docs) {
+        if (!needsUpgrade(ideaDoc.data())) continue;
+        try {
+          await upgradeIdea(ideaDoc.ref, ideaDoc.data());
+          upgraded += 1;
+        } catch (error) {
+          console.error(`Error upgrading idea ${ideaDoc.id}:`, error);
+          failed += 1;
+        }
+      }
+
+      if (page.size < MIGRATION_PAGE_SIZE) {
+        await stateRef.set({
+          targetVersion: IDEA_SCHEMA_VERSION,
+          completedVersion: IDEA_SCHEMA_VERSION,
+          cursor: null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+        console.log(`Idea schema ${IDEA_SCHEMA_VERSION} migration complete (${upgraded} upgraded, ${failed} failed this run)`);
+        return;
+      }
+
+      cursor = page.docs[page.docs.length - 1].id;
+      await stateRef.set({
+        targetVersion: IDEA_SCHEMA_VERSION,
+        cursor,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+
+    console.log(`Idea schema ${IDEA_SCHEMA_VERSION} migration paused (${upgraded} upgraded, ${failed} failed this run)`);
+  });
+
+// Trashed ideas are deleted for good this long after they were trashed.
+// Mirrored in src/services/firestore.js.
+const TRASH_RETENTION_DAYS = 30;
+const MAX_PERMANENT_DELETES = 100;
+const PURGE_PAGE_SIZE = 100;
+// Leaves room within the function timeout to log the run
+const PURGE_RUN_BUDGET_MS = 7 * 60 * 1000;
+
+/**
+ * Delete trashed ideas for good, with their chat history and every other
+ * subcollection. Only ideas in the Trash can be deleted this way.
+ */
+exports.deleteIdeasPermanently = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated.');
+  }
+
+  const { ideaIds } = data;
+  if (!Array.isArray(ideaIds) || ideaIds.length === 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'ideaIds is required.');
+  }
+  if (ideaIds.length > MAX_PERMANENT_DELETES) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `At most ${MAX_PERMANENT_DELETES} ideas can be deleted at once.`
+    );
+  }
+
+  try {
+    const ideaDocs = await db.getAll(...ideaIds.map((ideaId) => db.collection('ideas').doc(String(ideaId))));
+    // Already gone, e.g. purged while the Trash was open
+    const existingDocs = ideaDocs.filter((ideaDoc) => ideaDoc.exists);
+
+    if (existingDocs.some((ideaDoc) => ideaDoc.data().userId !== context.auth.uid)) {
+      throw new functions.https.HttpsError('permission-denied', 'Access denied.');
+    }
+    if (existingDocs.some((ideaDoc) => ideaDoc.data().status !== 'deleted')) {
+      throw new functions.https.HttpsError('failed-precondition', 'Only ideas in the Trash can be deleted for good.');
+    }
+
+    for (const ideaDoc of existingDocs) {
+      await db.recursiveDelete(ideaDoc.ref);
+    }
+
+    return { success: true, deletedCount: existingDocs.length };
+  } catch (error) {
+    console.error('Error deleting ideas permanently:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Daily purge of ideas that have been in the Trash longer than
+ * TRASH_RETENTION_DAYS, with all their subcollections. Ideas that fail are
+ * logged and tried again on the next run.
+ */
+exports.purgeTrashedIdeas = functions
+  .runWith({ timeoutSeconds: 540 })
+  .pubsub.schedule('every 24 hours')
+  .onRun(async () => {
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const deadline = Date.now() + PURGE_RUN_BUDGET_MS;
+    const failedIds = new Set();
+    let purged = 0;
+
+    while (Date.now() < deadline) {
+      const page = await db.collection('ideas')
+        .where('status', '==', 'deleted')
+        .where('deletedAt', '<=', cutoff)
+        .orderBy('deletedAt')
+        .limit(PURGE_PAGE_SIZE + failedIds.size)
+        .get();
+
+      const ideaDocs = page.docs.filter((ideaDoc) => !failedIds.has(ideaDoc.id));
+      if (ideaDocs.length === 0) break;
+
+      for (const ideaDoc of ideaDocs) {
+        try {
+          await db.recursiveDelete(ideaDoc.ref);
+          purged += 1;
+        } catch (error) {
+          console.error(`Error purging idea ${ideaDoc.id}:`, error);
+          failedIds.add(ideaDoc.id);
+        }
+      }
+    }
+
+    if (purged > 0 || failedIds.size > 0) {
+      console.log(`Purged ${purged} trashed idea(s), ${failedIds.size} failed`);
+    }
+  });
+
+/**
+ * Run a JSON completion and check it against the call type's schema.
+ * An invalid response gets one repair attempt, with the problems fed back
+ * to the model; if that is still invalid a CardValidationError is thrown
+ * so malformed data never reaches Firestore.
+ * @param {string} callType - LLM call type with a schema in cardSchemas.js
+ * @param {Object} params - Chat completion params
+ * @param {Object} meter - Optional usage meter
+ * @returns {Promise<Object>} - The normalized, valid response
+ */
+async function generateValidatedJSON(callType, inputParams, meter = null) {
+  const params = { ...inputParams, messages: withUntrustedContentRule(inputParams.messages) };
+  const response = await createChatCompletion(callType, params, meter);
+  const content = response.choices[0].message.content;
+  const result = parseCardResponse(callType, content);
+
+  if (result.errors.length === 0) {
+    return result.value;
+  }
+
+  console.warn(`Invalid ${callType} response, requesting a repair:`, result.errors);
+
+  const repairResponse = await createChatCompletion(callType, {
+    ...params,
+    temperature: 0.2,
+    messages: [
+      ...params.messages,
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `That JSON does not match the required format:
+${result.errors.map((error) => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only, with every required field filled in.`,
+      },
+    ],
+  }, meter);
+  const repaired = parseCardResponse(callType, repairResponse.choices[0].message.content);
+
+  if (repaired.errors.length > 0) {
+    throw new CardValidationError(callType, repaired.errors);
+  }
+
+  return repaired.value;
+}
+
 /**
  * Generate Summary Card
  */
-async function generateSummaryCard(conversationContext, category) {
-  const openai = getOpenAI();
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
+async function generateSummaryCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('summary', {
     messages: [
       {
         role: 'system',
@@ -193,7 +1009,7 @@ async function generateSummaryCard(conversationContext, category) {
 - Value proposition: The unique benefit in one compelling sentence
 - Reality check: 2-3 honest challenges or obstacles (be a thoughtful devil's advocate)
 
-Be conversational and personalized. Reference specific details from the discussion. The category is "${category}" - let that inform your analysis without being prescriptive.
+Be conversational and personalized. Reference specific details from the discussion. The category is ${category} - let that inform your analysis without being prescriptive.
 
 Return ONLY a JSON object with these fields: problem, audience, features (array), valueProp, realityCheck (array).`,
       },
@@ -204,18 +1020,14 @@ Return ONLY a JSON object with these fields: problem, audience, features (array)
     ],
     temperature: 0.7,
     response_format: { type: 'json_object' },
-  });
-
-  return JSON.parse(response.choices[0].message.content);
+  }, meter);
 }
 
 /**
  * Generate Actionable Insights Card
  */
-async function generateActionableInsightsCard(conversationContext, category) {
-  const openai = getOpenAI();
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
+async function generateActionableInsightsCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('actionableInsights', {
     messages: [
       {
         role: 'system',
@@ -228,7 +1040,7 @@ Focus on what matters MOST for THIS idea:
 - Key risks they should address first
 - Growth opportunities that align with their resources
 
-Be specific and personal - reference details from the conversation. Avoid generic advice. The category is "${category}" - use that context wisely.
+Be specific and personal - reference details from the conversation. Avoid generic advice. The category is ${category} - use that context wisely.
 
 Return ONLY a JSON object with an "insights" array of exactly 5 items. Each insight should have:
 - title (string): Clear, specific heading
@@ -242,22 +1054,18 @@ Return ONLY a JSON object with an "insights" array of exactly 5 items. Each insi
     ],
     temperature: 0.7,
     response_format: { type: 'json_object' },
-  });
-
-  return JSON.parse(response.choices[0].message.content);
+  }, meter);
 }
 
 /**
- * Generate Similar Concepts Card
+ * Generate Competitive Landscape Card (similar concepts)
  */
-async function generateSimilarConceptsCard(ideaText) {
-  const openai = getOpenAI();
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
+async function generateSimilarConceptsCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('similarConcepts', {
     messages: [
       {
         role: 'system',
-        content: `You are a market research assistant. Given an idea, identify 3-4 similar apps, businesses, or products that serve a related need.
+        content: `You are a market research assistant. Based on the conversation provided, identify 3-4 similar apps, businesses, or products that serve a related need.
 
 For each, explain:
 - Name
@@ -272,51 +1080,206 @@ Adjust examples based on idea type:
 - If it's a physical business, show similar businesses
 - If it's a product, show similar products
 
+The category is ${category}. If the user has already named competitors, do not repeat them.
+
 Return ONLY a JSON object with: concepts (array with name, type, description, gap), differentiation (string).`,
       },
       {
         role: 'user',
-        content: ideaText,
+        content: conversationContext,
       },
     ],
     temperature: 0.7,
     response_format: { type: 'json_object' },
-  });
-
-  return JSON.parse(response.choices[0].message.content);
+  }, meter);
 }
 
 /**
  * Generate a concise title from the idea
  */
-async function generateTitle(ideaText) {
-  const openai = getOpenAI();
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
+async function generateTitle(ideaText, meter = null) {
+  const response = await createChatCompletion('title', {
     messages: [
       {
         role: 'system',
-        content: 'Generate a short, catchy title (max 50 characters) for this idea. Return ONLY the title, no quotes or extra text.',
+        content: `Generate a short, catchy title (max 50 characters) for this idea. Return ONLY the title, no quotes or extra text.
+
+${UNTRUSTED_CONTENT_RULE}`,
       },
       {
         role: 'user',
-        content: ideaText,
+        content: wrapUntrusted('idea', ideaText, 2000),
       },
     ],
     temperature: 0.7,
     max_tokens: 20,
-  });
+  }, meter);
 
   return response.choices[0].message.content.trim();
 }
 
+// How the built-in categories are told apart; categories users add go by name alone
+const CATEGORY_HINTS = {
+  App: 'mobile or web apps people use directly',
+  Software: 'platforms, tools, APIs or B2B software',
+  Product: 'physical goods',
+  Service: 'work done for customers',
+};
+
+/**
+ * Classify an idea into one of the user's categories with a confidence score
+ * and a few secondary tags
+ * @param {Object} taxonomy - { categories, tags } from taxonomy.js
+ */
+async function generateClassification(conversationContext, categoryHint, taxonomy, meter = null) {
+  const hints = taxonomy.categories
+    .filter((category) => CATEGORY_HINTS[category])
+    .map((category) => `"${category}" for ${CATEGORY_HINTS[category]}`);
+  const knownTags = taxonomy.tags.length > 0
+    ? ` Reuse the user's own tags where they fit: ${taxonomy.tags.map((tag) => `"${tag}"`).join(', ')}.`
+    : '';
+
+  return generateValidatedJSON('classification', {
+    messages: [
+      {
+        role: 'system',
+        content: `You file ideas for an idea capture app. Read the conversation and classify the idea.
+
+- category: exactly one of ${taxonomy.categories.map((category) => `"${category}"`).join(', ')}.${hints.length > 0 ? ` Use ${hints.join(', ')}.` : ''} Judge by what is being built, not by words like "application" or "service" used in passing. Use "${DEFAULT_CATEGORY}" only if none fit.
+- confidence: a number from 0 to 1 for how sure you are of the category
+- secondaryTags: 1-3 short tags (1-2 words each) for the industry, audience or business model, e.g. "Food", "Parents", "Subscription".${knownTags}
+${categoryHint ? `\nThe user described it as "${categoryHint}"; weigh that, but correct it if the conversation clearly says otherwise.` : ''}
+Return ONLY a JSON object with these fields: category, confidence, secondaryTags (array).`,
+      },
+      {
+        role: 'user',
+        content: conversationContext,
+      },
+    ],
+    temperature: 0.2,
+    response_format: { type: 'json_object' },
+  }, meter);
+}
+
+/**
+ * Check which interview topics the intake conversation has covered and store
+ * the result on the idea as `intake`. Covered topics stay covered. Until the
+ * user picks a category the check also guesses one, which picks the template
+ * for the rest of the interview.
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Object} idea - Idea document data
+ * @param {Object} meter - Usage meter from quota.js
+ * @returns {Promise<Object>} - The new intake state
+ */
+async function updateIntakeCoverage(ideaRef, idea, meter = null) {
+  const intake = idea.intake || {};
+  const template = getInterviewTemplate(intake.category);
+  const categoryLocked = intake.categorySource === 'user';
+  const taxonomy = await getUserTaxonomy(idea.userId);
+
+  const transcript = (await loadConversation(ideaRef))
+    .map((msg) => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n\n');
+
+  const result = await generateValidatedJSON('intakeCoverage', {
+    messages: [
+      {
+        role: 'system',
+        content: `You track an intake interview about an idea. Read the conversation and list the topics the user has already answered. A topic only counts if the user said something concrete about it; a question the assistant asked but the user did not answer does not count.
+
+TOPICS
+${describeTopics(template)}
+${categoryLocked ? '' : `\nAlso pick the category that fits the idea best: one of ${taxonomy.categories.map((category) => `"${category}"`).join(', ')}, or "${DEFAULT_CATEGORY}" if none fit or it is too early to tell.`}
+Return ONLY a JSON object with these fields: coveredTopics (array of topic ids)${categoryLocked ? '' : ', category'}.`,
+      },
+      {
+        role: 'user',
+        content: wrapUntrusted('conversation', transcript, MAX_TRANSCRIPT_CHARS),
+      },
+    ],
+    temperature: 0.1,
+    response_format: { type: 'json_object' },
+  }, meter);
+
+  const guessedCategory = applyTaxonomy(
+    { category: result.category || DEFAULT_CATEGORY, secondaryTags: [] },
+    taxonomy
+  ).category;
+  const newlyCovered = result.coveredTopics.filter((topic) => TOPICS[topic]);
+
+  // The user may have picked a category while the check was running
+  return db.runTransaction(async (transaction) => {
+    const latest = (await transaction.get(ideaRef)).data()?.intake || {};
+    const userPicked = latest.categorySource === 'user';
+    const category = userPicked ? latest.category : guessedCategory;
+
+    const state = buildIntakeState(
+      getInterviewTemplate(category),
+      [...getCoveredTopics(latest), ...newlyCovered],
+      { categorySource: userPicked ? 'user' : 'ai' }
+    );
+    transaction.update(ideaRef, {
+      intake: { ...state, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    });
+    return state;
+  });
+}
+
+/**
+ * Extract the assumptions an idea rests on from its full context. The
+ * register already in the context is there so nothing is repeated.
+ * @param {string} ideaContext - From buildIdeaContext
+ * @param {Object} meter - Usage meter from quota.js
+ * @returns {Promise<Array<Object>>} - [{ statement, risk, validationMethod, sourceCard }]
+ */
+async function generateAssumptions(ideaContext, meter = null) {
+  const result = await generateValidatedJSON('assumptions', {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a lean startup coach. From the idea's conversation and analysis cards, list the assumptions that must be true for this idea to work and that have not been proven yet.
+
+Look especially at the reality checks in the Summary card and the validation insights in Actionable Insights, but also at pricing, audience and market size claims. Skip anything already in the assumptions register.
+
+For each assumption:
+- statement (string): One falsifiable sentence, e.g. "Parents will pay $4/month to reduce food waste"
+- risk (string): "high", "medium" or "low" - how badly the idea suffers if it turns out to be false
+- validationMethod (string): A cheap, concrete way to test it within a couple of weeks
+- sourceCard (string, optional): The card it came from, e.g. "summary" or "actionableInsights"; leave it out if it came from the conversation
+
+Return ONLY a JSON object with an "assumptions" array of 3-8 items, riskiest first. Return an empty array if the register already covers everything.`,
+      },
+      {
+        role: 'user',
+        content: ideaContext,
+      },
+    ],
+    temperature: 0.4,
+    response_format: { type: 'json_object' },
+  }, meter);
+
+  return result.assumptions;
+}
+
+/**
+ * Add AI-extracted assumptions to an idea's register
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Object} idea - Idea document data
+ * @param {Object} meter - Usage meter from quota.js
+ * @returns {Promise<number>} - How many were added
+ */
+async function extractIdeaAssumptions(ideaRef, idea, meter = null) {
+  const existing = await loadAssumptions(ideaRef);
+  const ideaContext = await buildIdeaContext(ideaRef, idea, { cardType: null, ideaText: idea.originalInput });
+  const extracted = await generateAssumptions(ideaContext, meter);
+  return addExtractedAssumptions(ideaRef, extracted, existing);
+}
+
 /**
  * Generate User Scenarios Card
  */
-async function generateUserScenariosCard(conversationContext, category) {
-  const openai = getOpenAI();
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
+async function generateUserScenariosCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('userScenarios', {
     messages: [
       {
         role: 'system',
@@ -328,7 +1291,7 @@ Craft each scenario to:
 - Show their journey using this solution (be concrete and detailed)
 - Highlight the meaningful outcome they achieve
 
-Make scenarios diverse and personal - draw from details in the conversation. Be story-driven and engaging. The category is "${category}" - let that shape the scenarios naturally.
+Make scenarios diverse and personal - draw from details in the conversation. Be story-driven and engaging. The category is ${category} - let that shape the scenarios naturally.
 
 Return ONLY a JSON object with a "scenarios" array. Each scenario should have:
 - persona (string): Name and descriptor (e.g., "Marcus, a small bakery owner")
@@ -343,25 +1306,21 @@ Return ONLY a JSON object with a "scenarios" array. Each scenario should have:
     ],
     temperature: 0.7,
     response_format: { type: 'json_object' },
-  });
-
-  return JSON.parse(response.choices[0].message.content);
+  }, meter);
 }
 
 /**
  * Generate Monetization Card
  */
-async function generateMonetizationCard(conversationContext, category) {
-  const openai = getOpenAI();
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
+async function generateMonetizationCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('monetization', {
     messages: [
       {
         role: 'system',
         content: `You are a revenue strategist who creates personalized monetization plans. Based on the conversation, recommend a pricing approach that fits this specific idea.
 
 Consider:
-- The category is "${category}" - tailor your recommendations accordingly
+- The category is ${category} - tailor your recommendations accordingly
 - For physical products: focus on one-time sales, wholesale/retail margins, not subscriptions (unless consumables/refills)
 - For services: emphasize project fees, retainers, or performance-based pricing
 - For apps/software: subscriptions only if there's recurring value; otherwise usage-based or one-time
@@ -370,7 +1329,7 @@ Provide:
 1. Primary Revenue Model - The best fit based on the discussion (with clear reasoning)
 2. Pricing Tiers - 2-3 realistic tiers tailored to their market
 3. Alternative Models - 1-2 alternatives that could work
-4. Revenue Projections - Realistic monthly revenue at 100, 500, and 1000 customers/users
+4. Revenue Assumptions - Realistic numbers the app uses to compute projections
 
 Be specific and grounded in the conversation details. Avoid generic template answers.
 
@@ -379,7 +1338,11 @@ Return ONLY a JSON object with:
 - modelRationale (string): 2-3 sentences explaining why this fits their situation
 - pricingTiers (array): 2-3 tiers with name, price, and features (array)
 - alternativeModels (array): 1-2 alternatives with name and description
-- projections (object): revenue estimates with keys users100, users500, users1000`,
+- assumptions (object), all values plain numbers without currency symbols:
+  - currency (string): ISO currency code, e.g. "USD"
+  - tiers (array): one entry per pricing tier, in the same order, with name, monthlyPrice (average revenue per customer per month on this tier; spread one-time prices over a typical repurchase cycle) and mix (share of customers on this tier, 0-1, all tiers summing to 1)
+  - monthlyChurnRate (number): share of customers lost each month, 0-1
+  - cac (number): cost to acquire one paying customer`,
       },
       {
         role: 'user',
@@ -388,21 +1351,53 @@ Return ONLY a JSON object with:
     ],
     temperature: 0.7,
     response_format: { type: 'json_object' },
-  });
+  }, meter);
+}
+
+/**
+ * Generate Market Sizing Card (TAM/SAM/SOM from explicit assumptions)
+ */
+async function generateMarketSizingCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('marketSizing', {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a market analyst who sizes markets bottom-up. Based on the conversation, estimate the market for this idea from four explicit assumptions that the user can check and change:
+
+1. population - How many potential customers (people or businesses) are in the target segment
+2. annualPrice - What one customer would spend on this per year
+3. serviceableShare - The share of that population the idea can actually reach: geography, language, channel, platform
+4. penetration - The share of the reachable market it could realistically win within 3 years
+
+The app works out TAM (population × annualPrice), SAM (TAM × serviceableShare) and SOM (SAM × penetration) itself, so don't return totals.
+
+Start from the target audience in the Summary card if one is given. The category is ${category}. Use conservative, defensible numbers and say where each one comes from; if the user mentioned prices or a region, use them.
 
-  return JSON.parse(response.choices[0].message.content);
+Return ONLY a JSON object with:
+- segment (string): The customer segment being sized, in one sentence
+- currency (string): ISO currency code, e.g. "USD"
+- assumptions (object) with population, annualPrice, serviceableShare and penetration, each an object with:
+  - value (number): A plain number; shares are 0-1, with no currency symbols or % signs
+  - rationale (string): 1-2 sentences on where the number comes from
+- caveats (array of strings): 1-3 things that could make the estimate wrong`,
+      },
+      {
+        role: 'user',
+        content: conversationContext,
+      },
+    ],
+    temperature: 0.5,
+    response_format: { type: 'json_object' },
+  }, meter);
 }
 
 /**
  * Generate Core Concept Card (Business Name + Core Concept Blueprint)
  */
-async function generateMVPCard(conversationContext, category) {
-  const openai = getOpenAI();
-
+async function generateMVPCard(conversationContext, category, meter = null) {
   // Generate business name and Core Concept blueprint in parallel
-  const [nameResponse, mvpResponse] = await Promise.all([
-    openai.chat.completions.create({
-      model: 'gpt-4o',
+  const [nameData, mvpData] = await Promise.all([
+    generateValidatedJSON('businessName', {
       messages: [
         {
           role: 'system',
@@ -426,15 +1421,14 @@ Return ONLY a JSON object with:
       ],
       temperature: 0.8,
       response_format: { type: 'json_object' },
-    }),
-    openai.chat.completions.create({
-      model: 'gpt-4o',
+    }, meter),
+    generateValidatedJSON('mvp', {
       messages: [
         {
           role: 'system',
           content: `You are a product concept strategist who helps founders crystallize their ideas into comprehensive, buildable blueprints. Your goal is to transform a raw idea into a clear "Core Concept" document.
 
-The category is "${category}". Generate a structured concept blueprint with 3-4 sections. Each section should have:
+The category is ${category}. Generate a structured concept blueprint with 3-4 sections. Each section should have:
 - A clear title
 - A brief 1-2 sentence description
 - 2-4 specific, actionable bullet points
@@ -449,37 +1443,135 @@ Choose 3-4 sections from these options based on what's most relevant:
 **Service Delivery** - How the service is delivered and managed (Services)
 **Business Model** - Revenue, customer acquisition, and operations (Business concepts)
 
-Be specific to their idea. Keep descriptions brief. Make bullet points concise and actionable.
+Be specific to their idea. Keep descriptions brief. Make bullet points concise and actionable.
+
+Return ONLY a JSON object with:
+- sections (array): 3-4 section objects, each containing:
+  - title (string): Section name
+  - description (string): Brief 1-2 sentence overview
+  - points (array): 2-4 concise bullet points (1 sentence each)`,
+        },
+        {
+          role: 'user',
+          content: conversationContext,
+        },
+      ],
+      temperature: 0.7,
+      response_format: { type: 'json_object' },
+    }, meter),
+  ]);
+
+  return {
+    name: nameData.name,
+    nameRationale: nameData.rationale,
+    sections: mvpData.sections,
+  };
+}
+
+/**
+ * Generate Manufacturing Card (bill of materials), Product pack
+ */
+async function generateManufacturingCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('manufacturing', {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a product development engineer who helps first-time founders get physical products made. Based on the conversation, draft a bill of materials and a path to production for this product.
+
+Provide:
+1. Bill of Materials - The 3-8 main parts or materials, each with a short specification, where to source it, and an estimated cost per unit at small-batch volumes
+2. Production Steps - 3-5 steps from prototype to the first sellable batch, in order
+3. Considerations - 2-4 things that could stall production: tooling costs, minimum order quantities, certifications, safety testing, storage
+
+The category is ${category}. Base estimates on what they told you about materials, volumes and budget; where they didn't say, pick the simplest realistic option.
+
+Return ONLY a JSON object with:
+- billOfMaterials (array): items with part (string), specification (string), sourcing (string) and unitCost (number, no currency symbol)
+- currency (string): ISO currency code for unitCost, e.g. "USD"
+- productionSteps (array of strings)
+- considerations (array of strings)`,
+      },
+      {
+        role: 'user',
+        content: conversationContext,
+      },
+    ],
+    temperature: 0.7,
+    response_format: { type: 'json_object' },
+  }, meter);
+}
+
+/**
+ * Generate Service Blueprint Card, Service pack
+ */
+async function generateServiceBlueprintCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('serviceBlueprint', {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a service designer who maps out how services are delivered. Based on the conversation, create a service blueprint for this idea.
+
+Walk through 3-6 stages of the customer's experience, from finding the service to after it is delivered. For each stage describe:
+- What the customer does
+- Frontstage: what the customer sees or the people they deal with
+- Backstage: the work, people and systems behind the scenes that make the stage happen
+
+Then list 2-4 fail points: where the service is most likely to break down or disappoint.
+
+The category is ${category}. Reflect who does the work and how it is delivered (in person, remote or both) as described in the conversation.
+
+Return ONLY a JSON object with:
+- stages (array): items with name, customerActions, frontstage and backstage (all strings)
+- failPoints (array of strings)`,
+      },
+      {
+        role: 'user',
+        content: conversationContext,
+      },
+    ],
+    temperature: 0.7,
+    response_format: { type: 'json_object' },
+  }, meter);
+}
+
+/**
+ * Generate Technical Architecture Card, Software pack
+ */
+async function generateTechArchitectureCard(conversationContext, category, meter = null) {
+  return generateValidatedJSON('techArchitecture', {
+    messages: [
+      {
+        role: 'system',
+        content: `You are a pragmatic software architect advising a small team. Based on the conversation, outline a technical architecture for the first version of this software.
 
-Return ONLY a JSON object with:
-- sections (array): 3-4 section objects, each containing:
-  - title (string): Section name
-  - description (string): Brief 1-2 sentence overview
-  - points (array): 2-4 concise bullet points (1 sentence each)`,
-        },
-        {
-          role: 'user',
-          content: conversationContext,
-        },
-      ],
-      temperature: 0.7,
-      response_format: { type: 'json_object' },
-    }),
-  ]);
+Provide:
+1. Components - 3-6 main parts of the system, each with what it is responsible for and a suggested technology
+2. Data Stores - What data is kept and where
+3. Integrations - External systems, APIs or tools it has to connect to
+4. Risks - 2-4 technical risks: scaling, security, compliance or integration pitfalls
 
-  const nameData = JSON.parse(nameResponse.choices[0].message.content);
-  const mvpData = JSON.parse(mvpResponse.choices[0].message.content);
+The category is ${category}. Favour managed services and boring, well-supported technology that fits the team and budget they described. Don't over-engineer for scale they don't have yet.
 
-  return {
-    name: nameData.name,
-    nameRationale: nameData.rationale,
-    sections: mvpData.sections || [],
-    guidance: mvpData.guidance || [], // Keep for backward compatibility with old data
-  };
+Return ONLY a JSON object with:
+- components (array): items with name, responsibility and technology (all strings)
+- dataStores (array of strings)
+- integrations (array of strings)
+- risks (array of strings)`,
+      },
+      {
+        role: 'user',
+        content: conversationContext,
+      },
+    ],
+    temperature: 0.7,
+    response_format: { type: 'json_object' },
+  }, meter);
 }
 
 /**
  * Regenerate a specific card
+ * With `preview: true` the new card is only returned, so the user can
+ * accept or discard it before anything is saved.
  */
 exports.regenerateCard = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
@@ -489,7 +1581,7 @@ exports.regenerateCard = functions.https.onCall(async (data, context) => {
     );
   }
 
-  const { ideaId, cardType, ideaText, refinementPrompt } = data;
+  const { ideaId, cardType, ideaText, refinementPrompt, preview } = data;
 
   if (!ideaId || !cardType || !ideaText) {
     throw new functions.https.HttpsError(
@@ -506,48 +1598,172 @@ exports.regenerateCard = functions.https.onCall(async (data, context) => {
       throw new functions.https.HttpsError('permission-denied', 'Access denied.');
     }
 
-    let newCard;
-    const prompt = refinementPrompt || ideaText;
-    const category = data.category || 'General';
+    const idea = await upgradeIdea(ideaRef, ideaDoc.data());
 
-    switch (cardType) {
-      case 'summary':
-        newCard = await generateSummaryCard(prompt, category);
-        break;
-      case 'actionableInsights':
-        newCard = await generateActionableInsightsCard(prompt, category);
-        break;
-      case 'userScenarios':
-        newCard = await generateUserScenariosCard(prompt, category);
-        break;
-      case 'monetization':
-        newCard = await generateMonetizationCard(prompt, category);
-        break;
-      case 'mvp':
-        newCard = await generateMVPCard(prompt, category);
-        break;
-      default:
-        throw new functions.https.HttpsError(
-          'invalid-argument',
-          'Invalid cardType. Must be one of: summary, actionableInsights, userScenarios, monetization, mvp'
-        );
+    // Only cards in the pack for the idea's current category can be generated
+    const ideaTags = idea.tags || [];
+    const ideaCategory = sanitizeInline(data.category || ideaTags[0]) || DEFAULT_CATEGORY;
+    const pack = getCardPack(ideaCategory);
+    if (!pack.cards.includes(cardType)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Invalid cardType for a ${pack.category} idea. Must be one of: ${pack.cards.join(', ')}`
+      );
     }
 
-    // Update only the specific card
-    await ideaRef.update({
-      [`cards.${cardType}`]: newCard,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    await enforceQuota(context.auth.uid);
+    const meter = createUsageMeter(context.auth.uid, { ideaId, functionName: 'regenerateCard' });
+
+    const category = describeCategory(ideaCategory, ideaTags.slice(1));
+    const prompt = await buildIdeaContext(ideaRef, idea, { cardType, ideaText, refinementPrompt });
+
+    if (preview) {
+      const previewCard = await CARD_GENERATORS[cardType](prompt, category, meter);
+      return { success: true, card: previewCard, preview: true };
+    }
+
+    await ensureBaselineVersion(ideaRef, cardType, idea.cards?.[cardType]);
+
+    // Updates only the specific card, along with its status and history
+    const newCard = await generateCardWithStatus(ideaRef, cardType, prompt, category, {
+      versionInfo: {
+        source: CARD_VERSION_SOURCE.REGENERATED,
+        refinementPrompt: refinementPrompt || null,
+      },
+      meter,
     });
 
     return { success: true, card: newCard };
   } catch (error) {
     console.error('Error regenerating card:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Extract assumptions from an idea's cards and chat into its register
+ * Assumptions already in the register, and their status, are left alone.
+ */
+exports.extractAssumptions = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated.'
+    );
+  }
+
+  const { ideaId } = data;
+
+  if (!ideaId) {
+    throw new functions.https.HttpsError('invalid-argument', 'ideaId is required.');
+  }
+
+  try {
+    const ideaRef = db.collection('ideas').doc(ideaId);
+    const ideaDoc = await ideaRef.get();
+
+    if (!ideaDoc.exists || ideaDoc.data().userId !== context.auth.uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Access denied.');
+    }
+
+    const idea = await upgradeIdea(ideaRef, ideaDoc.data());
+    if (Object.keys(idea.cards || {}).length === 0) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'Analyze the idea before extracting assumptions.'
+      );
+    }
+
+    await enforceQuota(context.auth.uid);
+    const meter = createUsageMeter(context.auth.uid, { ideaId, functionName: 'extractAssumptions' });
+
+    const added = await extractIdeaAssumptions(ideaRef, idea, meter);
+    return { success: true, added };
+  } catch (error) {
+    console.error('Error extracting assumptions:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
+// How often a streaming reply's partial text is written to its draft message
+const STREAM_FLUSH_INTERVAL_MS = 250;
+
+/**
+ * Stream a chat reply into a draft assistant message. The app renders the
+ * draft as it fills in and can stop it by setting `cancelRequested`.
+ * @param {Object} draftRef - Draft chatHistory document reference
+ * @param {Array<Object>} messages - Chat completion messages
+ * @param {Object} meter - Usage meter from quota.js
+ * @returns {Promise<Object>} - { content, cancelled }
+ */
+async function streamReplyToDraft(draftRef, messages, meter) {
+  const controller = new AbortController();
+  const unsubscribe = draftRef.onSnapshot((snapshot) => {
+    if (snapshot.data()?.cancelRequested) {
+      controller.abort();
+    }
+  }, (error) => console.error('Error watching chat draft:', error));
+
+  let latestContent = '';
+  let writtenContent = '';
+  let lastFlushAt = 0;
+  let pendingWrite = Promise.resolve();
+
+  // Writes are chained so partial updates land in order and before the final one
+  const flush = () => {
+    if (latestContent === writtenContent) return;
+    writtenContent = latestContent;
+    const content = writtenContent;
+    pendingWrite = pendingWrite
+      .then(() => draftRef.update({ content }))
+      .catch((error) => console.error('Error writing chat draft:', error));
+  };
+
+  try {
+    const response = await streamChatCompletion('chat', {
+      messages,
+      temperature: 0.8,
+      max_tokens: 500,
+    }, {
+      signal: controller.signal,
+      onDelta: (content) => {
+        latestContent = content;
+        if (Date.now() - lastFlushAt >= STREAM_FLUSH_INTERVAL_MS) {
+          lastFlushAt = Date.now();
+          flush();
+        }
+      },
+    }, meter);
+    await pendingWrite;
+
+    const content = response.choices[0].message.content;
+    if (response.cancelled && !content) {
+      await draftRef.delete();
+    } else {
+      await draftRef.update({
+        content,
+        streaming: false,
+        cancelled: response.cancelled,
+      });
+    }
+
+    return { content, cancelled: response.cancelled };
+  } finally {
+    unsubscribe();
+  }
+}
+
 /**
- * Continue chat conversation with context
+ * Continue chat conversation with context. The transcript and cards are
+ * loaded from Firestore; the client sends only the new message. Long chats
+ * are windowed to a token budget, with older turns in `idea.chatMemory`.
+ * The reply is streamed into a draft message and also returned when done.
  */
 exports.continueChat = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
@@ -557,15 +1773,24 @@ exports.continueChat = functions.https.onCall(async (data, context) => {
     );
   }
 
-  const { ideaId, userMessage, chatHistory, isContinuation, ideaContext } = data;
+  const { ideaId } = data;
 
-  if (!ideaId || !userMessage) {
+  if (!ideaId || typeof data.userMessage !== 'string' || !data.userMessage.trim()) {
     throw new functions.https.HttpsError(
       'invalid-argument',
       'ideaId and userMessage are required.'
     );
   }
 
+  if (data.userMessage.length > MAX_CHAT_MESSAGE_CHARS) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Messages can be at most ${MAX_CHAT_MESSAGE_CHARS} characters.`
+    );
+  }
+
+  const userMessage = sanitizeText(data.userMessage, MAX_CHAT_MESSAGE_CHARS);
+
   try {
     const ideaRef = db.collection('ideas').doc(ideaId);
     const ideaDoc = await ideaRef.get();
@@ -574,90 +1799,147 @@ exports.continueChat = functions.https.onCall(async (data, context) => {
       throw new functions.https.HttpsError('permission-denied', 'Access denied.');
     }
 
-    // Build conversation history for OpenAI
+    await enforceQuota(context.auth.uid);
+    const meter = createUsageMeter(context.auth.uid, { ideaId, functionName: 'continueChat' });
+
+    // Everything the model sees comes from Firestore, never from the request
+    const idea = await upgradeIdea(ideaRef, ideaDoc.data());
+    const cards = idea.cards || {};
+    const isContinuation = !idea.analyzing && Object.keys(cards).length > 0;
     let systemPrompt = '';
 
-    if (isContinuation && ideaContext) {
+    if (isContinuation) {
       // Continuation mode - help explore existing idea
-      const cardsContext = buildContinuationContext(ideaContext);
-      const businessName = ideaContext.businessName || ideaContext.cards?.mvp?.name || 'their concept';
+      const cardsContext = buildContinuationContext({ cards, marketSizingOverrides: idea.marketSizingOverrides });
+      const assumptionsText = formatAssumptions(await loadAssumptions(ideaRef));
+      const businessName = cards.mvp?.name || 'their concept';
+      const ideaDetails = `Title: ${sanitizeInline(idea.title)}
+Category: ${sanitizeInline(idea.tags?.[0]) || DEFAULT_CATEGORY}${idea.tags?.length > 1 ? `\nTags: ${labelNames(idea.tags.slice(1)).join(', ')}` : ''}
+Working Name: ${sanitizeInline(businessName)}${cardsContext ? `\n\nEXISTING ANALYSIS:\n${cardsContext}` : ''}${assumptionsText ? `\n\nASSUMPTIONS REGISTER:\n${assumptionsText}` : ''}`;
+
       systemPrompt = `You are an enthusiastic idea development assistant helping someone explore and refine their existing idea.
 
 IDEA CONTEXT:
-Title: ${ideaContext.title}
-Category: ${ideaContext.category}
-Working Name: ${businessName}
-${cardsContext ? `\nEXISTING ANALYSIS:\n${cardsContext}` : ''}
+${wrapUntrusted('idea', ideaDetails, 10000)}
 
 The user has already been through the initial intake and analysis. Now they want to explore specific aspects of their idea, ask questions, or discuss refinements.
 
 Use the context above to keep advice grounded in what the AI already generated. Highlight how new questions tie back to that foundation, suggest refinements, and surface next steps.
 
+${ASSUMPTIONS_GUIDANCE}
+
 Keep responses brief and conversational - 1-2 sentences max.`;
     } else {
-      // Initial intake mode
+      // Initial intake mode, following the interview template for the idea's category
+      const template = getInterviewTemplate(idea.intake?.category);
       systemPrompt = `You are an enthusiastic idea development assistant. Your goal is to help users flesh out their ideas through natural conversation.
 
-Have a natural conversation to deeply understand their idea. Ask thoughtful follow-up questions based on what they share.
+Have a natural conversation to deeply understand their idea. React to what they share, then move the interview forward.
 
-Keep your responses brief and conversational - 1-2 sentences max.`;
-    }
+${buildInterviewGuide(template, getCoveredTopics(idea.intake))}
 
-    const messages = [
-      {
-        role: 'system',
-        content: systemPrompt,
-      },
-    ];
-
-    // Add chat history if provided
-    if (chatHistory && Array.isArray(chatHistory)) {
-      chatHistory.forEach((msg) => {
-        messages.push({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content,
-        });
-      });
+Keep your responses brief and conversational - 1-2 sentences max.`;
     }
 
-    // Add the new user message
-    messages.push({
-      role: 'user',
-      content: userMessage,
-    });
-
-    // Get AI response
-    const openai = getOpenAI();
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages,
-      temperature: 0.8,
-      max_tokens: 500,
+    // Recent turns go in verbatim; older ones only through the rolling summary.
+    // Older turns the summary does not have yet are still sent, up to a cap.
+    const messages = buildChatMessages({
+      systemPrompt,
+      memory: idea.chatMemory,
+      recent: selectChatHistory(await loadConversation(ideaRef), idea.chatMemory),
+      userMessage,
     });
 
-    const aiResponse = response.choices[0].message.content;
-
-    // Save messages to Firestore
+    // Save the user's message, then stream the reply into a draft after it
     const chatRef = ideaRef.collection('chatHistory');
-    await chatRef.add({
+    const userMessageRef = await chatRef.add({
       role: 'user',
       content: userMessage,
+      isContinuation,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
     });
 
-    await chatRef.add({
+    const draftRef = await chatRef.add({
       role: 'assistant',
-      content: aiResponse,
+      content: '',
+      streaming: true,
+      streamStartedAt: admin.firestore.FieldValue.serverTimestamp(),
+      isContinuation,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
     });
 
-    return { success: true, response: aiResponse };
+    let reply;
+    try {
+      reply = await streamReplyToDraft(draftRef, messages, meter);
+    } catch (error) {
+      // Leave no half-finished exchange behind; the app drops the message so it can be resent
+      await Promise.all([userMessageRef.delete(), draftRef.delete()]).catch((cleanupError) => {
+        console.error('Error removing failed chat messages:', cleanupError);
+      });
+      throw error;
+    }
+
+    // A failed coverage check only delays the meter; the reply is already saved
+    let intake = null;
+    if (!isContinuation) {
+      try {
+        intake = await updateIntakeCoverage(ideaRef, idea, meter);
+      } catch (error) {
+        console.error('Error updating intake coverage:', error);
+      }
+    }
+
+    return {
+      success: true,
+      response: reply.content,
+      messageId: draftRef.id,
+      cancelled: reply.cancelled,
+      intake,
+    };
   } catch (error) {
     console.error('Error in chat:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
+/**
+ * Fold older chat turns into the idea's rolling summary in the background
+ * after each assistant reply has finished streaming
+ */
+exports.refreshChatMemory = functions.firestore
+  .document('ideas/{ideaId}/chatHistory/{messageId}')
+  .onWrite(async (change, context) => {
+    const message = change.after.exists ? change.after.data() : null;
+    const finishedStreaming = !change.before.exists || change.before.data().streaming;
+    if (!message || message.role !== 'assistant' || message.notice || message.streaming || !finishedStreaming) {
+      return null;
+    }
+
+    const ideaRef = db.collection('ideas').doc(context.params.ideaId);
+
+    try {
+      const ideaDoc = await ideaRef.get();
+      if (!ideaDoc.exists) {
+        return null;
+      }
+
+      const idea = ideaDoc.data();
+      const meter = createUsageMeter(idea.userId, {
+        ideaId: context.params.ideaId,
+        functionName: 'refreshChatMemory',
+      });
+      await refreshChatMemory(ideaRef, idea, meter);
+    } catch (error) {
+      // The next reply tries again; the chat keeps working without a fresh summary
+      console.error('Error refreshing chat memory:', error);
+    }
+
+    return null;
+  });
+
 /**
  * Regenerate just the business name
  * Used by the regen button in Concept Branding section
@@ -687,10 +1969,11 @@ exports.regenerateBusinessName = functions.https.onCall(async (data, context) =>
       throw new functions.https.HttpsError('permission-denied', 'Access denied.');
     }
 
+    await enforceQuota(context.auth.uid);
+    const meter = createUsageMeter(context.auth.uid, { ideaId, functionName: 'regenerateBusinessName' });
+
     // Generate only a new business name
-    const openai = getOpenAI();
-    const nameResponse = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const nameData = await generateValidatedJSON('businessName', {
       messages: [
         {
           role: 'system',
@@ -709,23 +1992,30 @@ Return ONLY a JSON object with:
         },
         {
           role: 'user',
-          content: ideaText,
+          content: wrapUntrusted('idea', ideaText, 2000),
         },
       ],
       temperature: 0.8,
       response_format: { type: 'json_object' },
-    });
-
-    const nameData = JSON.parse(nameResponse.choices[0].message.content);
+    }, meter);
 
     // Update only the business name in mvp card
-    const currentMVP = ideaDoc.data().cards?.mvp || {};
-    await ideaRef.update({
+    const idea = await upgradeIdea(ideaRef, ideaDoc.data());
+    const currentMVP = idea.cards?.mvp || {};
+    await ensureBaselineVersion(ideaRef, 'mvp', idea.cards?.mvp);
+
+    const batch = db.batch();
+    batch.update(ideaRef, {
       'cards.mvp.name': nameData.name,
       'cards.mvp.nameRationale': nameData.rationale,
-      'cards.mvp.guidance': currentMVP.guidance || [], // Keep existing guidance
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+    addCardVersion(batch, ideaRef, 'mvp', {
+      ...currentMVP,
+      name: nameData.name,
+      nameRationale: nameData.rationale,
+    }, { source: CARD_VERSION_SOURCE.REGENERATED });
+    await batch.commit();
 
     return {
       success: true,
@@ -734,6 +2024,241 @@ Return ONLY a JSON object with:
     };
   } catch (error) {
     console.error('Error regenerating business name:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+// Voice notes are uploaded by the app to voiceNotes/{uid}/ and removed once transcribed
+const VOICE_NOTE_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Transcribe a voice note the app uploaded to Cloud Storage
+ */
+exports.transcribeAudio = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated.'
+    );
+  }
+
+  const { storagePath, ideaId } = data;
+
+  if (!storagePath || typeof storagePath !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'storagePath is required.'
+    );
+  }
+
+  // Only the caller's own uploads can be transcribed
+  if (!storagePath.startsWith(`voiceNotes/${context.auth.uid}/`) || storagePath.includes('..')) {
+    throw new functions.https.HttpsError('permission-denied', 'Access denied.');
+  }
+
+  const file = admin.storage().bucket().file(storagePath);
+
+  try {
+    const [exists] = await file.exists();
+
+    if (!exists) {
+      throw new functions.https.HttpsError('not-found', 'Voice note not found.');
+    }
+
+    const [metadata] = await file.getMetadata();
+    if (Number(metadata.size) > VOICE_NOTE_MAX_BYTES) {
+      throw new functions.https.HttpsError('invalid-argument', 'Voice notes can be at most 10 MB.');
+    }
+
+    await enforceQuota(context.auth.uid);
+
+    const [audio] = await file.download();
+    const transcription = await transcribe({
+      audio,
+      fileName: storagePath.split('/').pop(),
+      contentType: metadata.contentType || 'audio/m4a',
+    });
+
+    const meter = createUsageMeter(context.auth.uid, {
+      ideaId: typeof ideaId === 'string' ? ideaId : null,
+      functionName: 'transcribeAudio',
+    });
+    await meter.record('transcription', transcription);
+
+    return { success: true, text: transcription.text };
+  } catch (error) {
+    console.error('Error transcribing audio:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  } finally {
+    // Recordings are never kept, whether or not they could be transcribed
+    try {
+      await file.delete({ ignoreNotFound: true });
+    } catch (error) {
+      console.error(`Error deleting voice note ${storagePath}:`, error);
+    }
+  }
+});
+
+/**
+ * Current AI usage and remaining quota for the signed-in user
+ */
+exports.getUsageQuota = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated.'
+    );
+  }
+
+  try {
+    const usage = await getUsageSummary(context.auth.uid);
+    return { success: true, ...usage };
+  } catch (error) {
+    console.error('Error getting usage quota:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+// Deleting an account needs a sign-in this recent, so a borrowed unlocked
+// phone is not enough
+const ACCOUNT_DELETION_REAUTH_MAX_AGE_MS = 5 * 60 * 1000;
+const ACCOUNT_DELETION_MAX_ATTEMPTS = 5;
+// Leaves room within the task timeout to queue the next run
+const ACCOUNT_DELETION_RUN_BUDGET_MS = 7 * 60 * 1000;
+// Longer than the task timeout, so only jobs that really stopped are resumed
+const ACCOUNT_DELETION_STALE_MS = 15 * 60 * 1000;
+
+/**
+ * Delete the signed-in user's account and everything they own
+ * The user is disabled straight away, so they are signed out everywhere, and
+ * the deletion itself runs in the background (runAccountDeletion).
+ */
+exports.deleteAccount = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated.'
+    );
+  }
+
+  const uid = context.auth.uid;
+  const signedInAt = (context.auth.token.auth_time || 0) * 1000;
+  if (Date.now() - signedInAt > ACCOUNT_DELETION_REAUTH_MAX_AGE_MS) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'Please sign in again to delete your account.'
+    );
+  }
+
+  try {
+    const jobRef = db.collection('accountDeletions').doc(uid);
+    const jobDoc = await jobRef.get();
+    if (jobDoc.exists && jobDoc.data().status !== ACCOUNT_DELETION_STATUS.COMPLETED) {
+      return { success: true, status: jobDoc.data().status, alreadyQueued: true };
+    }
+
+    await admin.auth().updateUser(uid, { disabled: true });
+    await admin.auth().revokeRefreshTokens(uid);
+
+    await jobRef.set({
+      status: ACCOUNT_DELETION_STATUS.QUEUED,
+      step: null,
+      attempts: 0,
+      requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // If queuing fails the job is still picked up by resumeAccountDeletions
+    await getFunctions().taskQueue('runAccountDeletion').enqueue({ uid });
+
+    return { success: true, status: ACCOUNT_DELETION_STATUS.QUEUED };
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
+
+/**
+ * Run a queued account deletion
+ * Each run carries on from the step the last one reached. Cloud Tasks retries
+ * failed runs with backoff, and a run that runs out of time queues the next.
+ */
+exports.runAccountDeletion = functions
+  .runWith({ timeoutSeconds: 540 })
+  .tasks.taskQueue({
+    retryConfig: {
+      maxAttempts: ACCOUNT_DELETION_MAX_ATTEMPTS,
+      minBackoffSeconds: 60,
+      maxBackoffSeconds: 600,
+      maxDoublings: 3,
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 5,
+    },
+  })
+  .onDispatch(async (data) => {
+    const { uid } = data;
+    const jobRef = db.collection('accountDeletions').doc(uid);
+    const jobDoc = await jobRef.get();
+
+    if (!jobDoc.exists || jobDoc.data().status === ACCOUNT_DELETION_STATUS.COMPLETED) {
+      console.warn(`Skipping account deletion task for ${uid}`);
+      return;
+    }
+
+    await jobRef.update({
+      status: ACCOUNT_DELETION_STATUS.RUNNING,
+      attempts: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    try {
+      const finished = await runAccountDeletionSteps(jobRef, Date.now() + ACCOUNT_DELETION_RUN_BUDGET_MS);
+      if (!finished) {
+        await getFunctions().taskQueue('runAccountDeletion').enqueue({ uid });
+      }
+    } catch (error) {
+      console.error(`Error deleting account ${uid}:`, error);
+      await jobRef.update({
+        error: error.message,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      // Throwing hands the task back to Cloud Tasks for a retry with backoff
+      throw error;
+    }
+  });
+
+/**
+ * Watchdog for account deletions that stopped partway
+ * Picks up jobs whose task ran out of retries or was never queued, and
+ * queues them again from the step they reached.
+ */
+exports.resumeAccountDeletions = functions.pubsub.schedule('every 30 minutes').onRun(async () => {
+  const cutoff = Date.now() - ACCOUNT_DELETION_STALE_MS;
+  const snapshot = await db.collection('accountDeletions')
+    .where('status', 'in', [ACCOUNT_DELETION_STATUS.QUEUED, ACCOUNT_DELETION_STATUS.RUNNING])
+    .get();
+
+  const stalledJobs = snapshot.docs.filter((jobDoc) => {
+    const updatedAt = jobDoc.data().updatedAt;
+    return !updatedAt || updatedAt.toMillis() < cutoff;
+  });
+
+  for (const jobDoc of stalledJobs) {
+    await jobDoc.ref.update({ updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    await getFunctions().taskQueue('runAccountDeletion').enqueue({ uid: jobDoc.id });
+  }
+
+  if (stalledJobs.length > 0) {
+    console.log(`Resumed ${stalledJobs.length} stalled account deletion(s)`);
+  }
+});
@@ -0,0 +1,215 @@
+/**
+ * Intake interview templates. Each template is an ordered set of questions,
+ * one per topic, and varies by category. Coverage of the topics is tracked on
+ * the idea as `intake` ({ templateId, category, categorySource, topics,
+ * complete, updatedAt }); the app unlocks Analyze once every required topic
+ * is covered.
+ */
+
+const { DEFAULT_CATEGORY } = require('./cardSchemas');
+
+// What each topic means, for the interviewer and for the coverage check
+const TOPICS = {
+  problem: {
+    label: 'Problem',
+    description: 'the problem or need the idea addresses and why it matters',
+  },
+  audience: {
+    label: 'Audience',
+    description: 'who has the problem and who would use or buy the idea',
+  },
+  alternatives: {
+    label: 'Alternatives',
+    description: 'how people deal with the problem today',
+  },
+  pricing: {
+    label: 'Pricing',
+    description: 'the user\'s intuition about what people would pay and how they would pay',
+  },
+  constraints: {
+    label: 'Constraints',
+    description: 'the limits they work within: budget, time, skills, regulations or resources',
+  },
+  platform: {
+    label: 'Platform',
+    description: 'where the app runs (phone, web, desktop) and the core experience there',
+  },
+  production: {
+    label: 'Production',
+    description: 'how the product would be made, sourced or manufactured',
+  },
+  delivery: {
+    label: 'Delivery',
+    description: 'how the service is delivered and who does the work',
+  },
+  integrations: {
+    label: 'Integrations',
+    description: 'the systems, data or tools the software has to work with',
+  },
+};
+
+// Every template covers these before the idea can be analyzed
+const REQUIRED_TOPICS = ['problem', 'audience', 'pricing', 'constraints'];
+
+const question = (topic, text) => ({ topic, question: text });
+
+// Keyed by category name; anything else uses the general template
+const TEMPLATES = {
+  [DEFAULT_CATEGORY]: {
+    id: 'general',
+    questions: [
+      question('problem', 'What problem does this solve, and who feels it most?'),
+      question('audience', 'Who would use this first, and what are they like?'),
+      question('alternatives', 'How do people handle this today?'),
+      question('pricing', 'What do you imagine people would pay for it, and how?'),
+      question('constraints', 'What are you working with: time, budget, skills or anything that limits you?'),
+    ],
+  },
+  App: {
+    id: 'app',
+    questions: [
+      question('problem', 'What moment in someone\'s day does this app fix?'),
+      question('audience', 'Who would download it first, and why would they keep opening it?'),
+      question('platform', 'Is it a phone app, a web app, or both, and what is the one thing it must do well?'),
+      question('pricing', 'Free with ads, a one-off price, a subscription or in-app purchases: what feels right?'),
+      question('constraints', 'Who would build it, and what budget or timeline do you have in mind?'),
+    ],
+  },
+  Product: {
+    id: 'product',
+    questions: [
+      question('problem', 'What does this product do that existing ones don\'t?'),
+      question('audience', 'Who buys it, and is that the same person who uses it?'),
+      question('production', 'How would it be made: yourself, a manufacturer, or off-the-shelf parts?'),
+      question('pricing', 'What price would make it an easy yes for a buyer?'),
+      question('constraints', 'What limits you: upfront cost, materials, certifications or storage?'),
+    ],
+  },
+  Service: {
+    id: 'service',
+    questions: [
+      question('problem', 'What job would customers hand over to you?'),
+      question('audience', 'Who are the customers, and how would they find you?'),
+      question('delivery', 'Who does the work, and is it in person, remote or both?'),
+      question('pricing', 'Would you charge by the hour, per job, or on a retainer, and roughly how much?'),
+      question('constraints', 'How much time can you give it, and are there licenses or insurance to think about?'),
+    ],
+  },
+  Software: {
+    id: 'software',
+    questions: [
+      question('problem', 'What workflow does this software make easier or replace?'),
+      question('audience', 'Which teams or businesses would use it, and who signs off on buying it?'),
+      question('integrations', 'What does it need to connect to: existing tools, data or APIs?'),
+      question('pricing', 'Per seat, per usage, or a flat plan: what would buyers expect?'),
+      question('constraints', 'What are the limits: team, budget, security or compliance needs?'),
+    ],
+  },
+};
+
+/**
+ * Template for a category, falling back to the general one for categories
+ * users have added themselves
+ * @param {string} category - Category name
+ * @returns {Object} - { id, category, questions: [{ topic, question, required }] }
+ */
+function getInterviewTemplate(category) {
+  const key = Object.keys(TEMPLATES).find((name) => name.toLowerCase() === String(category || '').toLowerCase());
+  const template = TEMPLATES[key || DEFAULT_CATEGORY];
+
+  return {
+    id: template.id,
+    category: key || DEFAULT_CATEGORY,
+    questions: template.questions.map((item) => ({
+      ...item,
+      required: REQUIRED_TOPICS.includes(item.topic),
+    })),
+  };
+}
+
+/**
+ * Intake state for the idea document. Topics already covered stay covered
+ * when the template changes, as long as the new template asks about them.
+ * @param {Object} template - From getInterviewTemplate
+ * @param {Array<string>} coveredTopics - Topic ids covered so far
+ * @param {Object} extra - Other fields to keep, e.g. { categorySource }
+ * @returns {Object}
+ */
+function buildIntakeState(template, coveredTopics, extra = {}) {
+  const covered = new Set(coveredTopics);
+  const topics = template.questions.map(({ topic, required }) => ({
+    id: topic,
+    label: TOPICS[topic].label,
+    required,
+    covered: covered.has(topic),
+  }));
+
+  return {
+    ...extra,
+    templateId: template.id,
+    category: template.category,
+    topics,
+    complete: topics.every((topic) => !topic.required || topic.covered),
+  };
+}
+
+/**
+ * Ids of the topics an intake has covered
+ * @param {Object} intake - The idea's intake, if any
+ * @returns {Array<string>}
+ */
+function getCoveredTopics(intake) {
+  return (intake?.topics || []).filter((topic) => topic.covered).map((topic) => topic.id);
+}
+
+/**
+ * Interview instructions for the intake system prompt: the questions in
+ * order, what is covered, and what to ask about next
+ * @param {Object} template - From getInterviewTemplate
+ * @param {Array<string>} coveredTopics - Topic ids covered so far
+ * @returns {string}
+ */
+function buildInterviewGuide(template, coveredTopics) {
+  const covered = new Set(coveredTopics);
+  const remaining = template.questions.filter(({ topic }) => !covered.has(topic));
+  const [next] = remaining;
+
+  const plan = template.questions
+    .map(({ topic, question: text, required }, index) =>
+      `${index + 1}. ${TOPICS[topic].label}${required ? '' : ' (optional)'}${covered.has(topic) ? ' [covered]' : ''}: "${text}"`)
+    .join('\n');
+
+  const readyToAnalyze = remaining.every(({ required }) => !required);
+  let nextStep = next
+    ? `Ask about ${TOPICS[next.topic].label.toLowerCase()} next (${TOPICS[next.topic].description}). Adapt the example question to what they have told you; don't read it out word for word.`
+    : 'Every topic is covered. Keep helping with anything else they want to add.';
+  if (readyToAnalyze) {
+    nextStep = `The required topics are covered, so mention once that they can tap Analyze whenever they are ready. ${nextStep}`;
+  }
+
+  return `INTERVIEW PLAN (${template.category} idea)
+${plan}
+
+Ask one question at a time, in this order, skipping anything they have already answered. ${nextStep}`;
+}
+
+/**
+ * Topic descriptions for the coverage check
+ * @param {Object} template - From getInterviewTemplate
+ * @returns {string}
+ */
+function describeTopics(template) {
+  return template.questions
+    .map(({ topic }) => `- ${topic}: ${TOPICS[topic].description}`)
+    .join('\n');
+}
+
+module.exports = {
+  REQUIRED_TOPICS,
+  TOPICS,
+  buildIntakeState,
+  buildInterviewGuide,
+  describeTopics,
+  getCoveredTopics,
+  getInterviewTemplate,
+};
@@ -0,0 +1,289 @@
+const functions = require('firebase-functions');
+const OpenAI = require('openai');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODEL = 'gpt-4o';
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+// Pause between words when the mock provider streams a fixture
+const MOCK_STREAM_DELAY_MS = 40;
+
+/**
+ * Every kind of model call the functions make. Each call type can be routed
+ * to its own model with `llm.models.<callType>` in functions config.
+ */
+const CALL_TYPES = [
+  'summary',
+  'actionableInsights',
+  'similarConcepts',
+  'userScenarios',
+  'monetization',
+  'marketSizing',
+  'mvp',
+  'manufacturing',
+  'serviceBlueprint',
+  'techArchitecture',
+  'businessName',
+  'title',
+  'classification',
+  'intakeCoverage',
+  'assumptions',
+  'chat',
+  'chatSummary',
+];
+
+// Config values win over environment variables so deployed projects keep
+// working unchanged; env vars make the emulator easy to point elsewhere.
+const readSetting = (configValue, envName) => configValue || process.env[envName] || undefined;
+
+function getLLMConfig() {
+  const config = functions.config();
+  const llm = config?.llm || {};
+
+  return {
+    provider: readSetting(llm.provider, 'LLM_PROVIDER') || 'openai',
+    baseUrl: readSetting(llm.base_url, 'LLM_BASE_URL'),
+    apiKey: readSetting(llm.api_key, 'LLM_API_KEY'),
+    openaiApiKey: config?.openai?.apikey || config?.openai?.api_key || process.env.OPENAI_API_KEY,
+    defaultModel: readSetting(llm.default_model, 'LLM_DEFAULT_MODEL') || DEFAULT_MODEL,
+    models: llm.models || {},
+  };
+}
+
+/**
+ * Resolve which model a call type should use
+ * @param {string} callType - One of CALL_TYPES
+ * @returns {string}
+ */
+function resolveModel(callType) {
+  const { models, defaultModel } = getLLMConfig();
+  return models[callType] || models[callType.toLowerCase()] || defaultModel;
+}
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Servers that do not report usage (and cancelled streams) are billed by estimate
+const estimateUsage = (params, content) => {
+  const promptTokens = params.messages.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+  const completionTokens = estimateTokens(content);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+};
+
+// Build a response in the OpenAI chat completion shape
+const toCompletion = (params, content, { id, model, finishReason = 'stop', usage } = {}) => ({
+  id: id || `chatcmpl-${Date.now()}`,
+  object: 'chat.completion',
+  model: model || params.model,
+  choices: [
+    {
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: finishReason,
+    },
+  ],
+  usage: usage || estimateUsage(params, content),
+});
+
+/**
+ * Read an OpenAI-style completion stream, reporting the text so far after
+ * every chunk. Aborting through `signal` ends the stream early and keeps
+ * what arrived.
+ */
+async function collectStream(stream, params, { onDelta, signal } = {}) {
+  let content = '';
+  let usage = null;
+  let model = params.model;
+  let finishReason = null;
+
+  try {
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.model) model = chunk.model;
+
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        content += choice.delta.content;
+        if (onDelta) onDelta(content);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+    }
+  } catch (error) {
+    if (!signal?.aborted) throw error;
+  }
+
+  return toCompletion(params, content, { model, finishReason, usage });
+}
+
+/**
+ * OpenAI-hosted models
+ */
+function createOpenAIProvider(llmConfig) {
+  if (!llmConfig.openaiApiKey) {
+    throw new Error('OpenAI API key is not configured in functions config.');
+  }
+
+  const client = new OpenAI({ apiKey: llmConfig.openaiApiKey });
+
+  return {
+    name: 'openai',
+    createChatCompletion: (params) => client.chat.completions.create(params),
+    streamChatCompletion: async (params, callType, options = {}) => {
+      const stream = await client.chat.completions.create({
+        ...params,
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal: options.signal });
+      return collectStream(stream, params, options);
+    },
+  };
+}
+
+/**
+ * Any server that speaks the OpenAI chat completions API
+ * (Ollama, LM Studio, vLLM, llama.cpp server, ...)
+ */
+function createLocalProvider(llmConfig) {
+  if (!llmConfig.baseUrl) {
+    throw new Error('llm.base_url must be set when using the local provider.');
+  }
+
+  const client = new OpenAI({
+    apiKey: llmConfig.apiKey || 'local',
+    baseURL: llmConfig.baseUrl,
+  });
+
+  return {
+    name: 'local',
+    createChatCompletion: (params) => client.chat.completions.create(params),
+    // Not every local server reports usage on streams, so it is estimated when missing
+    streamChatCompletion: async (params, callType, options = {}) => {
+      const stream = await client.chat.completions.create({ ...params, stream: true }, { signal: options.signal });
+      return collectStream(stream, params, options);
+    },
+  };
+}
+
+/**
+ * Deterministic, fixture-backed provider for offline runs against the emulator.
+ * Responses come from fixtures/<callType>.json and never hit the network.
+ */
+function createMockProvider() {
+  const loadFixture = (callType) => {
+    const fixturePath = path.join(FIXTURES_DIR, `${callType}.json`);
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No mock fixture found for call type "${callType}".`);
+    }
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  };
+
+  const fixtureContent = (callType) => {
+    const fixture = loadFixture(callType);
+    return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+  };
+
+  return {
+    name: 'mock',
+    createChatCompletion: async (params, callType) =>
+      toCompletion(params, fixtureContent(callType), { id: `mock-${callType}` }),
+    // Streams the fixture a word at a time so the app's streaming UI can be exercised offline
+    streamChatCompletion: async (params, callType, { onDelta, signal } = {}) => {
+      const words = fixtureContent(callType).split(/(\s+)/);
+      let content = '';
+
+      for (const word of words) {
+        if (signal?.aborted) break;
+        await new Promise((resolve) => setTimeout(resolve, MOCK_STREAM_DELAY_MS));
+        content += word;
+        if (onDelta) onDelta(content);
+      }
+
+      return toCompletion(params, content, {
+        id: `mock-${callType}`,
+        finishReason: signal?.aborted ? null : 'stop',
+      });
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  mock: createMockProvider,
+};
+
+function getProvider() {
+  const llmConfig = getLLMConfig();
+  const factory = PROVIDER_FACTORIES[llmConfig.provider];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${llmConfig.provider}". Must be one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`
+    );
+  }
+
+  return factory(llmConfig);
+}
+
+/**
+ * Run a chat completion through the configured provider
+ * @param {string} callType - One of CALL_TYPES, used to pick the model and mock fixture
+ * @param {Object} params - OpenAI chat completion params, without `model`
+ * @param {Object} meter - Optional usage meter from quota.js that records the tokens used
+ * @returns {Promise<Object>} - Response in the OpenAI chat completion shape
+ */
+async function createChatCompletion(callType, params, meter = null) {
+  if (!CALL_TYPES.includes(callType)) {
+    throw new Error(`Unknown LLM call type "${callType}".`);
+  }
+
+  const provider = getProvider();
+  const response = await provider.createChatCompletion({
+    ...params,
+    model: resolveModel(callType),
+  }, callType);
+
+  if (meter) {
+    await meter.record(callType, response);
+  }
+
+  return response;
+}
+
+/**
+ * Stream a chat completion through the configured provider
+ * @param {string} callType - One of CALL_TYPES, used to pick the model and mock fixture
+ * @param {Object} params - OpenAI chat completion params, without `model` or `stream`
+ * @param {Object} options - { onDelta(contentSoFar), signal } where aborting `signal` stops the stream
+ * @param {Object} meter - Optional usage meter from quota.js that records the tokens used
+ * @returns {Promise<Object>} - Response in the OpenAI chat completion shape, with `cancelled`
+ */
+async function streamChatCompletion(callType, params, options = {}, meter = null) {
+  if (!CALL_TYPES.includes(callType)) {
+    throw new Error(`Unknown LLM call type "${callType}".`);
+  }
+
+  const provider = getProvider();
+  const response = await provider.streamChatCompletion({
+    ...params,
+    model: resolveModel(callType),
+  }, callType, options);
+
+  if (meter) {
+    await meter.record(callType, response);
+  }
+
+  return { ...response, cancelled: Boolean(options.signal?.aborted) };
+}
+
+module.exports = {
+  CALL_TYPES,
+  createChatCompletion,
+  estimateTokens,
+  getLLMConfig,
+  resolveModel,
+  streamChatCompletion,
+};
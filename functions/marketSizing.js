@@ -0,0 +1,64 @@
+/**
+ * Market sizing: TAM, SAM and SOM worked out from four explicit assumptions
+ * on the marketSizing card. Users can override any assumption in the app;
+ * overrides are stored on the idea as `marketSizingOverrides` ({ [key]: number })
+ * and win over the card. Must match src/utils/marketSizing.js.
+ */
+
+// In the order the funnel applies them
+const MARKET_ASSUMPTIONS = ['population', 'annualPrice', 'serviceableShare', 'penetration'];
+
+// Assumptions stored as a share from 0 to 1
+const SHARE_ASSUMPTIONS = ['serviceableShare', 'penetration'];
+
+// Models sometimes write a value as text, e.g. "24,000,000" or "$120"
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Clamp an assumption to its range; a share of 12 almost always means 12%
+ * @param {string} key - One of MARKET_ASSUMPTIONS
+ * @param {number|string} value - Raw value
+ * @returns {number}
+ */
+function normalizeAssumptionValue(key, value) {
+  const number = Math.max(0, toNumber(value));
+  if (!SHARE_ASSUMPTIONS.includes(key)) return number;
+  return Math.min(number > 1 ? number / 100 : number, 1);
+}
+
+/**
+ * Values to size the market with: the user's overrides, then the card's
+ * @param {Object} card - marketSizing card
+ * @param {Object} overrides - The idea's marketSizingOverrides, if any
+ * @returns {Object} - { [key]: number }
+ */
+function getMarketAssumptions(card, overrides = {}) {
+  const values = {};
+  MARKET_ASSUMPTIONS.forEach((key) => {
+    const value = typeof overrides?.[key] === 'number' ? overrides[key] : card?.assumptions?.[key]?.value;
+    values[key] = normalizeAssumptionValue(key, value);
+  });
+  return values;
+}
+
+/**
+ * Yearly market size at each level of the funnel
+ * @param {Object} values - From getMarketAssumptions
+ * @returns {Object} - { tam, sam, som } in the card's currency per year
+ */
+function computeMarketSize(values) {
+  const tam = values.population * values.annualPrice;
+  const sam = tam * values.serviceableShare;
+  const som = sam * values.penetration;
+  return { tam, sam, som };
+}
+
+module.exports = {
+  MARKET_ASSUMPTIONS,
+  computeMarketSize,
+  getMarketAssumptions,
+  normalizeAssumptionValue,
+};
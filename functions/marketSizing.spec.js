@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeMarketSize, getMarketAssumptions } = require('./marketSizing');
+
+test('assumptions written as text size the market like numbers', () => {
+  const card = {
+    assumptions: {
+      population: { value: '24,000,000' },
+      annualPrice: { value: '$120' },
+      serviceableShare: { value: '25%' },
+      penetration: { value: 0.02 },
+    },
+  };
+
+  assert.deepStrictEqual(getMarketAssumptions(card), {
+    population: 24000000,
+    annualPrice: 120,
+    serviceableShare: 0.25,
+    penetration: 0.02,
+  });
+  assert.deepStrictEqual(computeMarketSize(getMarketAssumptions(card)), {
+    tam: 2880000000,
+    sam: 720000000,
+    som: 14400000,
+  });
+});
+
+test('values that are not numbers count as zero', () => {
+  const card = { assumptions: { population: { value: 'unknown' }, annualPrice: { value: null } } };
+
+  const values = getMarketAssumptions(card, { annualPrice: 50 });
+
+  assert.strictEqual(values.population, 0);
+  assert.strictEqual(values.annualPrice, 50);
+});
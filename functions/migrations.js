@@ -0,0 +1,184 @@
+/**
+ * Idea schema versions. Every idea records the `schemaVersion` it is stored
+ * in, and MIGRATIONS are the ordered steps that bring an older idea up to
+ * IDEA_SCHEMA_VERSION. Ideas are upgraded when a function reads them
+ * (upgradeIdea), when the app opens them (the upgradeIdeaSchema callable),
+ * and in the background by the migrateIdeaSchemas job, so the app and the
+ * functions only ever handle the current shape.
+ *
+ * To change the shape of an idea, add a step with the next version number
+ * and bump IDEA_SCHEMA_VERSION in src/services/firestore.js to match; never
+ * edit a step that has shipped. `migrate` gets the idea as stored and
+ * returns the Firestore updates for it, and runs in a transaction so a step
+ * is applied once however many upgrades race. Writes outside the idea
+ * document go in `prepare`, which runs first and must be safe to repeat.
+ */
+
+const admin = require('firebase-admin');
+
+// Firestore allows 500 writes per batch
+const MAX_BATCH_WRITES = 450;
+
+// IDs for legacy data that never had one; fixed so every run agrees on them
+const LEGACY_CANVAS_ID = 'canvas_main';
+
+/**
+ * Canvases kept on the idea document: a `canvases` array, or from before
+ * canvases a bare `notes` array
+ * @param {Object} idea - Idea document data
+ * @returns {Array<Object>|null} - null when there is nothing to move
+ */
+function getLegacyCanvases(idea) {
+  if (Array.isArray(idea.canvases)) return idea.canvases;
+  if (Array.isArray(idea.notes)) return [{ id: LEGACY_CANVAS_ID, name: 'Main Canvas', notes: idea.notes }];
+  return null;
+}
+
+/**
+ * Copy canvases kept on the idea document into the `canvases` subcollection,
+ * keeping canvas and note IDs so copying again overwrites the same documents
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Object} idea - Idea document data
+ * @returns {Promise<void>}
+ */
+async function copyCanvasesToSubcollections(ideaRef, idea) {
+  const canvases = getLegacyCanvases(idea);
+  if (!canvases) return;
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const writes = [];
+  canvases.forEach(({ id, notes = [], ...canvas }) => {
+    const canvasRef = ideaRef.collection('canvases').doc(id);
+    writes.push([canvasRef, { ...canvas, createdAt: canvas.createdAt || now, updatedAt: canvas.updatedAt || now }]);
+    notes.forEach(({ id: noteId, ...note }, index) => {
+      writes.push([canvasRef.collection('notes').doc(String(noteId || `note_${index}`)), {
+        ...note,
+        createdAt: now,
+        updatedAt: now,
+      }]);
+    });
+  });
+
+  for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+    const batch = admin.firestore().batch();
+    writes.slice(start, start + MAX_BATCH_WRITES).forEach(([ref, data]) => batch.set(ref, data));
+    await batch.commit();
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move the business name from cards.conceptBranding to the Core Concept card',
+    migrate: (idea) => {
+      const branding = idea.cards?.conceptBranding;
+      if (!branding) return {};
+
+      const updates = { 'cards.conceptBranding': admin.firestore.FieldValue.delete() };
+      if (!idea.cards.mvp) {
+        updates['cards.mvp'] = { name: branding.name || '' };
+      } else if (!idea.cards.mvp.name && branding.name) {
+        updates['cards.mvp.name'] = branding.name;
+      }
+      return updates;
+    },
+  },
+  {
+    version: 2,
+    description: 'Turn the Core Concept card\'s guidance list into a section',
+    migrate: (idea) => {
+      const mvp = idea.cards?.mvp;
+      if (!mvp || !('guidance' in mvp)) return {};
+
+      const updates = { 'cards.mvp.guidance': admin.firestore.FieldValue.delete() };
+      if (!mvp.sections?.length && mvp.guidance?.length) {
+        // The app showed old guidance under this title
+        updates['cards.mvp.sections'] = [{ title: 'Getting Started', description: '', points: mvp.guidance }];
+      }
+      return updates;
+    },
+  },
+  {
+    version: 3,
+    description: 'Move canvases and notes from the idea document into subcollections',
+    prepare: copyCanvasesToSubcollections,
+    migrate: (idea) => {
+      const canvases = getLegacyCanvases(idea);
+      if (!canvases) return {};
+
+      const updates = {
+        canvases: admin.firestore.FieldValue.delete(),
+        notes: admin.firestore.FieldValue.delete(),
+      };
+      // With no canvases at all the app creates one when the idea is opened
+      if (canvases.length > 0 && !canvases.some((canvas) => canvas.id === idea.currentCanvasId)) {
+        updates.currentCanvasId = canvases[0].id;
+      }
+      return updates;
+    },
+  },
+  {
+    version: 4,
+    description: 'Date archived and trashed ideas so the trash can be purged',
+    migrate: (idea) => {
+      // Ideas put away before these dates were kept were last updated then
+      const putAwayAt = idea.updatedAt || admin.firestore.FieldValue.serverTimestamp();
+      if (idea.status === 'deleted' && !idea.deletedAt) return { deletedAt: putAwayAt };
+      if (idea.status === 'archived' && !idea.archivedAt) return { archivedAt: putAwayAt };
+      return {};
+    },
+  },
+];
+
+const IDEA_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Whether an idea is stored in an older schema
+ * @param {Object} idea - Idea document data
+ * @returns {boolean}
+ */
+function needsUpgrade(idea) {
+  return (idea.schemaVersion || 0) < IDEA_SCHEMA_VERSION;
+}
+
+/**
+ * Bring an idea up to the current schema, one step at a time
+ * @param {Object} ideaRef - Idea document reference
+ * @param {Object} idea - Idea document data as read
+ * @returns {Promise<Object>} - The idea document data, upgraded
+ */
+async function upgradeIdea(ideaRef, idea) {
+  if (!needsUpgrade(idea)) return idea;
+
+  const db = admin.firestore();
+  let current = idea;
+
+  for (const step of MIGRATIONS) {
+    if ((current.schemaVersion || 0) >= step.version) continue;
+
+    if (step.prepare) {
+      await step.prepare(ideaRef, current);
+    }
+
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ideaRef);
+      const data = snapshot.data();
+      // Another upgrade got here first
+      if ((data.schemaVersion || 0) >= step.version) return;
+
+      transaction.update(ideaRef, { ...step.migrate(data), schemaVersion: step.version });
+    });
+
+    current = (await ideaRef.get()).data();
+    console.log(`Upgraded idea ${ideaRef.id} to schema ${step.version}: ${step.description}`);
+  }
+
+  return current;
+}
+
+module.exports = {
+  IDEA_SCHEMA_VERSION,
+  MIGRATIONS,
+  needsUpgrade,
+  upgradeIdea,
+};
@@ -0,0 +1,43 @@
+/**
+ * Canvas note merging, mirrored from the app (src/utils/noteMerge.js).
+ * Each device writes its changes to a note into `edits.<deviceId>.<field>`
+ * as { value, clock }; a field resolves to the value with the latest clock,
+ * and a delete is a tombstone that wins over concurrent edits.
+ */
+
+const NOTE_FIELDS = ['title', 'category', 'content', 'categoryData', 'position', 'dimensions', 'zIndex'];
+
+/**
+ * Merge a note document into the note every device agrees on
+ * @param {string} id - Note document ID
+ * @param {Object} data - Note document data
+ * @returns {Object} - The note, with `deleted`
+ */
+function resolveNote(id, data) {
+  const note = { id };
+  const clocks = {};
+  let deleted = false;
+
+  NOTE_FIELDS.forEach((field) => {
+    note[field] = data[field];
+    clocks[field] = data.clock || '';
+  });
+
+  Object.values(data.edits || {}).forEach((deviceEdits) => {
+    NOTE_FIELDS.forEach((field) => {
+      const edit = deviceEdits[field];
+      if (edit && edit.clock > clocks[field]) {
+        note[field] = edit.value;
+        clocks[field] = edit.clock;
+      }
+    });
+    if (deviceEdits.deleted && deviceEdits.deleted.value) deleted = true;
+  });
+
+  return { ...note, deleted };
+}
+
+module.exports = {
+  NOTE_FIELDS,
+  resolveNote,
+};
@@ -0,0 +1,187 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: 10,
+  requestsPerHour: 120,
+  dailyTokens: 200000,
+  monthlyTokens: 2000000,
+};
+
+// Same precedence as llm.js: functions config first, then env vars for the emulator
+const readLimit = (configValue, envName, fallback) => {
+  const value = parseInt(configValue || process.env[envName], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+function getQuotaLimits() {
+  const quota = functions.config()?.quota || {};
+
+  return {
+    requestsPerMinute: readLimit(quota.requests_per_minute, 'QUOTA_REQUESTS_PER_MINUTE', DEFAULT_LIMITS.requestsPerMinute),
+    requestsPerHour: readLimit(quota.requests_per_hour, 'QUOTA_REQUESTS_PER_HOUR', DEFAULT_LIMITS.requestsPerHour),
+    dailyTokens: readLimit(quota.daily_tokens, 'QUOTA_DAILY_TOKENS', DEFAULT_LIMITS.dailyTokens),
+    monthlyTokens: readLimit(quota.monthly_tokens, 'QUOTA_MONTHLY_TOKENS', DEFAULT_LIMITS.monthlyTokens),
+  };
+}
+
+// Quota periods are UTC calendar days and months
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const nextDayReset = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+const nextMonthReset = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+const usageRef = (uid) => admin.firestore().collection('usage').doc(uid);
+
+// Token totals stored for a past day or month no longer count
+function currentTotals(usage = {}, now = new Date()) {
+  return {
+    dailyTokens: usage.day === dayKey(now) ? usage.dailyTokens || 0 : 0,
+    monthlyTokens: usage.month === monthKey(now) ? usage.monthlyTokens || 0 : 0,
+  };
+}
+
+function quotaError(reason, message, details = {}) {
+  return new functions.https.HttpsError('resource-exhausted', message, { reason, ...details });
+}
+
+/**
+ * Admit one AI request for a user, or throw `resource-exhausted` when they are
+ * over a rate limit or out of tokens for the day or month.
+ * @param {string} uid - User ID
+ * @returns {Promise<void>}
+ */
+async function enforceQuota(uid) {
+  const limits = getQuotaLimits();
+  const ref = usageRef(uid);
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const usage = snapshot.exists ? snapshot.data() : {};
+    const now = new Date();
+    const nowMs = now.getTime();
+
+    const recentRequests = (usage.recentRequests || []).filter((time) => time > nowMs - HOUR_MS);
+    const lastMinute = recentRequests.filter((time) => time > nowMs - MINUTE_MS);
+
+    if (lastMinute.length >= limits.requestsPerMinute) {
+      throw quotaError('rate-limit', 'You are sending requests too quickly. Please wait a minute and try again.', {
+        retryAfterSeconds: Math.ceil((lastMinute[0] + MINUTE_MS - nowMs) / 1000),
+      });
+    }
+
+    if (recentRequests.length >= limits.requestsPerHour) {
+      throw quotaError('rate-limit', 'You have reached the hourly request limit. Please try again later.', {
+        retryAfterSeconds: Math.ceil((recentRequests[0] + HOUR_MS - nowMs) / 1000),
+      });
+    }
+
+    const totals = currentTotals(usage, now);
+
+    if (totals.dailyTokens >= limits.dailyTokens) {
+      throw quotaError('daily-quota', 'You have used today\'s AI allowance. It resets at midnight UTC.', {
+        resetsAt: nextDayReset(now).toISOString(),
+      });
+    }
+
+    if (totals.monthlyTokens >= limits.monthlyTokens) {
+      throw quotaError('monthly-quota', 'You have used this month\'s AI allowance. It resets on the 1st.', {
+        resetsAt: nextMonthReset(now).toISOString(),
+      });
+    }
+
+    transaction.set(ref, {
+      recentRequests: [...recentRequests, nowMs],
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  });
+}
+
+/**
+ * Create a meter that records token usage for every model call made on
+ * behalf of a user. Pass it to createChatCompletion.
+ * @param {string} uid - User ID
+ * @param {Object} options - { ideaId, functionName }
+ * @returns {Object} - { record(callType, response) }
+ */
+function createUsageMeter(uid, { ideaId = null, functionName } = {}) {
+  return {
+    record: async (callType, response) => {
+      const usage = response?.usage;
+      if (!uid || !usage) return;
+
+      const ref = usageRef(uid);
+      const totalTokens = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+
+      try {
+        await admin.firestore().runTransaction(async (transaction) => {
+          const snapshot = await transaction.get(ref);
+          const now = new Date();
+          const totals = currentTotals(snapshot.exists ? snapshot.data() : {}, now);
+
+          transaction.set(ref, {
+            day: dayKey(now),
+            month: monthKey(now),
+            dailyTokens: totals.dailyTokens + totalTokens,
+            monthlyTokens: totals.monthlyTokens + totalTokens,
+            lifetimeTokens: admin.firestore.FieldValue.increment(totalTokens),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }, { merge: true });
+
+          transaction.set(ref.collection('ledger').doc(), {
+            callType,
+            model: response.model || null,
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0,
+            totalTokens,
+            // Transcriptions are metered by the length of the recording
+            ...(usage.audio_seconds ? { audioSeconds: usage.audio_seconds } : {}),
+            ideaId,
+            functionName: functionName || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        });
+      } catch (error) {
+        // Never fail the user's request because bookkeeping failed
+        console.error('Error recording AI usage:', error);
+      }
+    },
+  };
+}
+
+/**
+ * Current usage against the limits, for display in the app
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} - { daily, monthly } with used, limit, remaining, resetsAt
+ */
+async function getUsageSummary(uid) {
+  const limits = getQuotaLimits();
+  const snapshot = await usageRef(uid).get();
+  const now = new Date();
+  const totals = currentTotals(snapshot.exists ? snapshot.data() : {}, now);
+
+  const period = (used, limit, resetsAt) => ({
+    used,
+    limit,
+    remaining: Math.max(0, limit - used),
+    resetsAt: resetsAt.toISOString(),
+  });
+
+  return {
+    daily: period(totals.dailyTokens, limits.dailyTokens, nextDayReset(now)),
+    monthly: period(totals.monthlyTokens, limits.monthlyTokens, nextMonthReset(now)),
+  };
+}
+
+module.exports = {
+  createUsageMeter,
+  enforceQuota,
+  getQuotaLimits,
+  getUsageSummary,
+};
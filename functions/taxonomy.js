@@ -0,0 +1,127 @@
+/**
+ * The categories and tags a user files ideas under. Users manage them in the
+ * app, stored on `users/{uid}` as `categories` and `tags` ([{ id, name, color }]);
+ * anyone who has not set their own gets the built-in categories.
+ */
+
+const admin = require('firebase-admin');
+const { DEFAULT_CATEGORY, IDEA_CATEGORIES } = require('./cardSchemas');
+const { sanitizeInline } = require('./promptSafety');
+
+// Keeps the classifier prompt bounded for users with very long lists
+const MAX_PROMPT_LABELS = 50;
+const MAX_LABEL_LENGTH = 24;
+
+/**
+ * Names from a profile label list, made safe to quote in a prompt
+ * @param {Array<Object|string>} labels - [{ name }] or plain names
+ * @returns {Array<string>}
+ */
+function labelNames(labels) {
+  return (Array.isArray(labels) ? labels : [])
+    .map((label) => sanitizeInline(typeof label === 'string' ? label : label?.name, MAX_LABEL_LENGTH).replace(/"/g, ''))
+    .filter(Boolean)
+    .slice(0, MAX_PROMPT_LABELS);
+}
+
+/**
+ * Load a user's categories and tag names
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} - { categories, tags }
+ */
+async function getUserTaxonomy(uid) {
+  const profileDoc = await admin.firestore().collection('users').doc(uid).get();
+  const profile = profileDoc.data() || {};
+  const categories = labelNames(profile.categories);
+
+  return {
+    categories: categories.length > 0 ? categories : IDEA_CATEGORIES,
+    tags: labelNames(profile.tags),
+  };
+}
+
+// Compare labels loosely, since the model's answer is stripped of punctuation
+const labelKey = (label) => String(label).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+const findLabel = (value, labels) => labels.find((label) => labelKey(label) === labelKey(value));
+
+/**
+ * Snap a classification onto the user's own labels: the category must be one
+ * of theirs (or the default), and tags they already use keep their spelling
+ * @param {Object} classification - Normalized classification response
+ * @param {Object} taxonomy - From getUserTaxonomy
+ * @returns {Object}
+ */
+function applyTaxonomy(classification, taxonomy) {
+  const category = findLabel(classification.category, taxonomy.categories) || DEFAULT_CATEGORY;
+  const seen = new Set([category.toLowerCase()]);
+  const secondaryTags = classification.secondaryTags
+    .map((tag) => findLabel(tag, taxonomy.tags) || tag)
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  return { ...classification, category, secondaryTags };
+}
+
+/**
+ * How an idea's category and tags are quoted in the card prompts,
+ * e.g. `"App" (tagged "Food", "Parents")`
+ * @param {string} category - Primary category
+ * @param {Array<string>} tags - Secondary tags
+ * @returns {string}
+ */
+function describeCategory(category, tags = []) {
+  const [name] = labelNames([category]);
+  const tagNames = labelNames(tags);
+  const quotedCategory = `"${name || DEFAULT_CATEGORY}"`;
+
+  return tagNames.length > 0
+    ? `${quotedCategory} (tagged ${tagNames.map((tag) => `"${tag}"`).join(', ')})`
+    : quotedCategory;
+}
+
+/**
+ * An idea's labels after a category or tag is renamed or deleted. `tags[0]`
+ * and `classification.category` are the same label, so they change together,
+ * and an idea whose category is deleted moves to the default one rather than
+ * promoting a secondary tag. The app applies this to every idea that uses
+ * the label; mirrored in src/constants/categories.js.
+ * @param {Object} idea - Idea document data
+ * @param {string} oldName - Name being replaced
+ * @param {string|null} newName - Replacement, or null to delete the label
+ * @returns {Object} - { tags, classification } to write; classification only if the idea has one
+ */
+function replaceIdeaLabel(idea, oldName, newName = null) {
+  const replaceCategory = (name) => (name === oldName ? newName || DEFAULT_CATEGORY : name);
+  const replaceTags = (tags, category) => [...new Set(
+    tags.map((tag) => (tag === oldName ? newName : tag))
+      .filter((tag) => tag && tag !== category)
+  )];
+
+  const [first, ...secondaryTags] = idea.tags || [];
+  const category = replaceCategory(first);
+  const updates = {
+    tags: category ? [category, ...replaceTags(secondaryTags, category)] : [],
+  };
+
+  if (idea.classification) {
+    const classifiedCategory = replaceCategory(idea.classification.category);
+    updates.classification = {
+      ...idea.classification,
+      category: classifiedCategory,
+      secondaryTags: replaceTags(idea.classification.secondaryTags || [], classifiedCategory),
+    };
+  }
+  return updates;
+}
+
+module.exports = {
+  applyTaxonomy,
+  describeCategory,
+  getUserTaxonomy,
+  labelNames,
+  replaceIdeaLabel,
+};
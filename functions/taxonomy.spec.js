@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { replaceIdeaLabel } = require('./taxonomy');
+
+const classifiedIdea = () => ({
+  tags: ['Product', 'Kitchen', 'Parents'],
+  classification: {
+    category: 'Product',
+    confidence: 0.9,
+    secondaryTags: ['Kitchen', 'Parents'],
+    source: 'ai',
+  },
+});
+
+test('deleting the primary category moves the idea to the default one', () => {
+  const updates = replaceIdeaLabel(classifiedIdea(), 'Product', null);
+
+  assert.deepStrictEqual(updates.tags, ['General', 'Kitchen', 'Parents']);
+  assert.strictEqual(updates.classification.category, 'General');
+  assert.deepStrictEqual(updates.classification.secondaryTags, ['Kitchen', 'Parents']);
+});
+
+test('renaming the primary category renames it in tags and classification', () => {
+  const updates = replaceIdeaLabel(classifiedIdea(), 'Product', 'Hardware');
+
+  assert.deepStrictEqual(updates.tags, ['Hardware', 'Kitchen', 'Parents']);
+  assert.strictEqual(updates.classification.category, 'Hardware');
+  assert.strictEqual(updates.classification.confidence, 0.9);
+});
+
+test('renaming the category to one of its tags keeps the tag only once', () => {
+  const updates = replaceIdeaLabel(classifiedIdea(), 'Product', 'Kitchen');
+
+  assert.deepStrictEqual(updates.tags, ['Kitchen', 'Parents']);
+  assert.deepStrictEqual(updates.classification.secondaryTags, ['Parents']);
+});
+
+test('deleting a secondary tag leaves the category alone', () => {
+  const updates = replaceIdeaLabel(classifiedIdea(), 'Kitchen', null);
+
+  assert.deepStrictEqual(updates.tags, ['Product', 'Parents']);
+  assert.strictEqual(updates.classification.category, 'Product');
+  assert.deepStrictEqual(updates.classification.secondaryTags, ['Parents']);
+});
+
+test('ideas that were never classified only get their tags updated', () => {
+  const updates = replaceIdeaLabel({ tags: ['App', 'Food'] }, 'App', null);
+
+  assert.deepStrictEqual(updates, { tags: ['General', 'Food'] });
+});
@@ -0,0 +1,135 @@
+const functions = require('firebase-functions');
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+const fs = require('fs');
+const path = require('path');
+const { getLLMConfig } = require('./llm');
+
+const DEFAULT_TRANSCRIPTION_MODEL = 'whisper-1';
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'transcription.json');
+
+// Transcription is billed by the minute, not by the token, so each second of
+// audio counts against the token quota at this rate
+const AUDIO_TOKENS_PER_SECOND = 25;
+// For providers that do not report the duration: the app records 128 kbps AAC
+const ESTIMATED_AUDIO_BYTES_PER_SECOND = 16000;
+
+// Same precedence as llm.js: functions config first, then env vars for the emulator
+const readSetting = (configValue, envName) => configValue || process.env[envName] || undefined;
+
+/**
+ * Transcription settings. The provider defaults to the LLM provider, so a
+ * mock or local setup transcribes the same way without extra config.
+ */
+function getTranscriptionConfig() {
+  const transcription = functions.config()?.transcription || {};
+  const llmConfig = getLLMConfig();
+
+  return {
+    provider: readSetting(transcription.provider, 'TRANSCRIPTION_PROVIDER') || llmConfig.provider,
+    baseUrl: readSetting(transcription.base_url, 'TRANSCRIPTION_BASE_URL') || llmConfig.baseUrl,
+    apiKey: readSetting(transcription.api_key, 'TRANSCRIPTION_API_KEY') || llmConfig.apiKey,
+    openaiApiKey: llmConfig.openaiApiKey,
+    model: readSetting(transcription.model, 'TRANSCRIPTION_MODEL') || DEFAULT_TRANSCRIPTION_MODEL,
+  };
+}
+
+// verbose_json includes the recording's duration, which is what it costs
+const transcribeWithClient = async (client, model, { audio, fileName, contentType }) => {
+  const result = await client.audio.transcriptions.create({
+    file: await toFile(audio, fileName, { type: contentType }),
+    model,
+    response_format: 'verbose_json',
+  });
+  return { text: result.text, durationSeconds: result.duration };
+};
+
+/**
+ * OpenAI Whisper
+ */
+function createOpenAITranscriber(transcriptionConfig) {
+  if (!transcriptionConfig.openaiApiKey) {
+    throw new Error('OpenAI API key is not configured in functions config.');
+  }
+
+  const client = new OpenAI({ apiKey: transcriptionConfig.openaiApiKey });
+
+  return {
+    name: 'openai',
+    transcribe: (input) => transcribeWithClient(client, transcriptionConfig.model, input),
+  };
+}
+
+/**
+ * Any server that speaks the OpenAI audio transcriptions API
+ * (faster-whisper-server, LocalAI, whisper.cpp server, ...)
+ */
+function createLocalTranscriber(transcriptionConfig) {
+  if (!transcriptionConfig.baseUrl) {
+    throw new Error('transcription.base_url must be set when using the local provider.');
+  }
+
+  const client = new OpenAI({
+    apiKey: transcriptionConfig.apiKey || 'local',
+    baseURL: transcriptionConfig.baseUrl,
+  });
+
+  return {
+    name: 'local',
+    transcribe: (input) => transcribeWithClient(client, transcriptionConfig.model, input),
+  };
+}
+
+/**
+ * Offline stub for the emulator: every recording transcribes to the text in
+ * fixtures/transcription.json
+ */
+function createMockTranscriber() {
+  return {
+    name: 'mock',
+    transcribe: async () => ({ text: JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8')) }),
+  };
+}
+
+const TRANSCRIBER_FACTORIES = {
+  openai: createOpenAITranscriber,
+  local: createLocalTranscriber,
+  mock: createMockTranscriber,
+};
+
+/**
+ * Transcribe a recording with the configured provider
+ * @param {Object} input - { audio: Buffer, fileName, contentType }
+ * @returns {Promise<Object>} - { text, model, usage }, where usage is in the
+ *   shape of a chat completion's so a usage meter can record it
+ */
+async function transcribe(input) {
+  const transcriptionConfig = getTranscriptionConfig();
+  const factory = TRANSCRIBER_FACTORIES[transcriptionConfig.provider];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown transcription provider "${transcriptionConfig.provider}". Must be one of: ${Object.keys(TRANSCRIBER_FACTORIES).join(', ')}`
+    );
+  }
+
+  const { text, durationSeconds } = await factory(transcriptionConfig).transcribe(input);
+  const audioSeconds = Math.ceil(durationSeconds || input.audio.length / ESTIMATED_AUDIO_BYTES_PER_SECOND);
+  const audioTokens = audioSeconds * AUDIO_TOKENS_PER_SECOND;
+
+  return {
+    text: (text || '').trim(),
+    model: transcriptionConfig.model,
+    usage: {
+      prompt_tokens: audioTokens,
+      completion_tokens: 0,
+      total_tokens: audioTokens,
+      audio_seconds: audioSeconds,
+    },
+  };
+}
+
+module.exports = {
+  getTranscriptionConfig,
+  transcribe,
+};
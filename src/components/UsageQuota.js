@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Colors } from '../constants/colors';
+import { getUsageQuota } from '../services/openai';
+
+const formatResetTime = (resetsAt) => {
+  const date = new Date(resetsAt);
+  return date.toLocaleString('en-US', {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
+
+/**
+ * Remaining daily AI allowance for the signed-in user. Refetches whenever
+ * `refreshKey` changes, e.g. after each message or regeneration.
+ */
+export default function UsageQuota({ refreshKey, style }) {
+  const [quota, setQuota] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getUsageQuota()
+      .then((usage) => {
+        if (!cancelled) setQuota(usage);
+      })
+      .catch(() => {
+        // The meter is informational; the callables still enforce the limits
+        if (!cancelled) setQuota(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  if (!quota?.daily) return null;
+
+  const { daily, monthly } = quota;
+  // Whichever period runs out first is the one that matters
+  const limiting = monthly && monthly.remaining < daily.remaining ? monthly : daily;
+  const remainingShare = limiting.limit > 0 ? limiting.remaining / limiting.limit : 0;
+  const exhausted = limiting.remaining <= 0;
+  const low = remainingShare < 0.2;
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.labelRow}>
+        <Text style={[styles.label, exhausted && styles.labelExhausted]}>
+          {exhausted
+            ? `AI limit reached · resets ${formatResetTime(limiting.resetsAt)}`
+            : `AI allowance ${Math.round(remainingShare * 100)}% left${limiting === monthly ? ' this month' : ' today'}`}
+        </Text>
+      </View>
+      <View style={styles.track}>
+        <View
+          style={[
+            styles.fill,
+            { width: `${Math.round(remainingShare * 100)}%` },
+            low && styles.fillLow,
+          ]}
+        />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  label: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+  },
+  labelExhausted: {
+    color: Colors.error,
+    fontWeight: '600',
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: Colors.border,
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+    borderRadius: 2,
+    backgroundColor: Colors.accent1,
+  },
+  fillLow: {
+    backgroundColor: Colors.error,
+  },
+});
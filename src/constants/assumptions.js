@@ -0,0 +1,39 @@
+import { Colors } from './colors';
+
+// Assumption statuses, mirrored from the Cloud Functions
+export const AssumptionStatus = {
+  UNTESTED: 'untested',
+  VALIDATED: 'validated',
+  INVALIDATED: 'invalidated',
+};
+
+export const AssumptionStatusOptions = [
+  { value: AssumptionStatus.UNTESTED, label: 'Untested', icon: 'help-circle-outline', color: Colors.textTertiary },
+  { value: AssumptionStatus.VALIDATED, label: 'Validated', icon: 'checkmark-circle', color: Colors.success },
+  { value: AssumptionStatus.INVALIDATED, label: 'Invalidated', icon: 'close-circle', color: Colors.error },
+];
+
+// Riskiest first, which is also the order the register is listed in
+export const RiskLevels = [
+  { value: 'high', label: 'High risk', color: Colors.error },
+  { value: 'medium', label: 'Medium risk', color: Colors.warning },
+  { value: 'low', label: 'Low risk', color: Colors.info },
+];
+
+export const DEFAULT_RISK = 'medium';
+
+/**
+ * Display details for a status, falling back to untested
+ * @param {string} status - One of AssumptionStatus
+ * @returns {Object} - { value, label, icon, color }
+ */
+export const getStatusOption = (status) =>
+  AssumptionStatusOptions.find(option => option.value === status) || AssumptionStatusOptions[0];
+
+/**
+ * Display details for a risk level, falling back to medium
+ * @param {string} risk - 'high', 'medium' or 'low'
+ * @returns {Object} - { value, label, color }
+ */
+export const getRiskLevel = (risk) =>
+  RiskLevels.find(level => level.value === risk) || RiskLevels.find(level => level.value === DEFAULT_RISK);
@@ -0,0 +1,103 @@
+import { getIdeaCategory } from './categories';
+
+// Per-card generation status, mirrored from the Cloud Functions
+export const CardStatus = {
+  PENDING: 'pending',
+  GENERATING: 'generating',
+  READY: 'ready',
+  FAILED: 'failed',
+};
+
+// Every analysis card type, with what the Workspace shows before it is generated
+export const AnalysisCards = {
+  summary: {
+    label: 'Summary',
+    placeholder: 'Summary will be generated by AI',
+  },
+  actionableInsights: {
+    label: 'Actionable Insights',
+    placeholder: 'Actionable insights will be generated by AI',
+  },
+  similarConcepts: {
+    label: 'Competitive Landscape',
+    placeholder: 'Competitors will be researched by AI',
+  },
+  userScenarios: {
+    label: 'User Scenarios',
+    placeholder: 'User scenarios will be generated by AI',
+  },
+  monetization: {
+    label: 'Monetization',
+    placeholder: 'Monetization strategy will be generated by AI',
+  },
+  marketSizing: {
+    label: 'Market Size',
+    placeholder: 'TAM, SAM and SOM will be estimated by AI from assumptions you can edit',
+  },
+  mvp: {
+    label: 'Core Concept',
+    placeholder: 'Core Concept blueprint will be generated by AI with tactical guidance specific to your idea',
+  },
+  manufacturing: {
+    label: 'Manufacturing',
+    placeholder: 'A bill of materials and production plan will be generated by AI',
+  },
+  serviceBlueprint: {
+    label: 'Service Blueprint',
+    placeholder: 'A service delivery blueprint will be generated by AI',
+  },
+  techArchitecture: {
+    label: 'Technical Architecture',
+    placeholder: 'A technical architecture will be generated by AI',
+  },
+};
+
+// Cards every idea gets, in display order
+const BASE_CARDS = [
+  'summary',
+  'actionableInsights',
+  'similarConcepts',
+  'userScenarios',
+  'monetization',
+  'marketSizing',
+  'mvp',
+];
+
+// Card packs by category, mirrored from the Cloud Functions. Extra cards go
+// after the base ones; other categories get the base cards only.
+export const CardPacks = {
+  Product: ['manufacturing'],
+  Service: ['serviceBlueprint'],
+  Software: ['techArchitecture'],
+};
+
+/**
+ * Card types for a category, in display order
+ * @param {string} category - Category name
+ * @returns {Array<string>}
+ */
+export const getCardPack = (category) => {
+  const key = Object.keys(CardPacks).find(name => name.toLowerCase() === String(category || '').toLowerCase());
+  return [...BASE_CARDS, ...(key ? CardPacks[key] : [])];
+};
+
+/**
+ * The analysis cards an idea shows, from the pack for its category
+ * @param {Object} idea - Idea document data
+ * @returns {Array<Object>} - [{ type, label, placeholder }]
+ */
+export const getIdeaCards = (idea) =>
+  getCardPack(getIdeaCategory(idea)).map(type => ({ type, ...AnalysisCards[type] }));
+
+/**
+ * Resolve the status of a card, falling back for ideas analyzed before
+ * per-card status existed
+ * @param {Object} idea - Idea document data
+ * @param {string} cardType - Card key in idea.cards
+ * @returns {string|null} - One of CardStatus, or null if the card was never generated
+ */
+export const getCardStatus = (idea, cardType) => {
+  const status = idea?.cardStatus?.[cardType];
+  if (status) return status;
+  return idea?.cards?.[cardType] ? CardStatus.READY : null;
+};
@@ -0,0 +1,122 @@
+import { Colors } from './colors';
+
+// Built-in idea categories, mirrored from the Cloud Functions classifier.
+// Users who have not set up their own categories get these.
+export const IdeaCategories = ['App', 'Product', 'Service', 'Software'];
+export const DEFAULT_CATEGORY = 'General';
+
+// Colors users can give their categories and tags
+export const LabelColors = [
+  Colors.accent1,
+  Colors.accent2,
+  Colors.accent3,
+  Colors.accent5,
+  Colors.accent6,
+  '#9b6fc4',
+  '#c4577a',
+  Colors.textTertiary,
+];
+export const MAX_LABEL_LENGTH = 24;
+
+// Below this the Workspace invites the user to check the AI's pick
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+export const MAX_SECONDARY_TAGS = 3;
+
+// Placeholder tag on ideas that have not been analyzed yet
+export const IN_PROGRESS_TAG = 'In Progress';
+
+// Names a user category or tag can't take, since the app uses them itself
+export const RESERVED_LABELS = [DEFAULT_CATEGORY, IN_PROGRESS_TAG];
+
+/**
+ * Id for a new category or tag. Ideas store names, so ids only need to be
+ * unique within one profile list.
+ * @returns {string}
+ */
+export const createLabelId = () =>
+  `label_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+/**
+ * Categories for a user who has not set up their own
+ * @returns {Array<Object>} - [{ id, name, color }]
+ */
+export const getDefaultCategories = () =>
+  IdeaCategories.map((name, index) => ({
+    id: name.toLowerCase(),
+    name,
+    color: LabelColors[index % LabelColors.length],
+  }));
+
+/**
+ * Primary category of an idea. `tags[0]` holds it; older ideas may have a
+ * placeholder there instead.
+ * @param {Object} idea - Idea document data
+ * @returns {string}
+ */
+export const getIdeaCategory = (idea) => {
+  const category = idea?.classification?.category || idea?.tags?.[0];
+  return category && category !== IN_PROGRESS_TAG ? category : DEFAULT_CATEGORY;
+};
+
+/**
+ * Secondary tags of an idea, everything after the category in `tags`
+ * @param {Object} idea - Idea document data
+ * @returns {Array<string>}
+ */
+export const getSecondaryTags = (idea) =>
+  (idea?.tags || []).slice(1).filter(tag => tag !== IN_PROGRESS_TAG);
+
+/**
+ * An idea's labels after a category or tag is renamed or deleted, mirrored
+ * from the Cloud Functions. `tags[0]` and `classification.category` change
+ * together, and an idea whose category is deleted moves to the default one.
+ * @param {Object} idea - Idea document data
+ * @param {string} oldName - Name being replaced
+ * @param {string|null} newName - Replacement, or null to delete the label
+ * @returns {Object} - { tags, classification } to write; classification only if the idea has one
+ */
+export const replaceIdeaLabel = (idea, oldName, newName = null) => {
+  const replaceCategory = (name) => (name === oldName ? newName || DEFAULT_CATEGORY : name);
+  const replaceTags = (tags, category) => [...new Set(
+    tags.map(tag => (tag === oldName ? newName : tag))
+      .filter(tag => tag && tag !== category)
+  )];
+
+  const [first, ...secondaryTags] = idea.tags || [];
+  const category = replaceCategory(first);
+  const updates = {
+    tags: category ? [category, ...replaceTags(secondaryTags, category)] : [],
+  };
+
+  if (idea.classification) {
+    const classifiedCategory = replaceCategory(idea.classification.category);
+    updates.classification = {
+      ...idea.classification,
+      category: classifiedCategory,
+      secondaryTags: replaceTags(idea.classification.secondaryTags || [], classifiedCategory),
+    };
+  }
+  return updates;
+};
+
+/**
+ * Tags to filter the Dashboard by: the user's categories, then every
+ * secondary tag in use, most common first
+ * @param {Array<Object>} ideas - The user's ideas
+ * @param {Array<string>} categoryNames - The user's category names
+ * @returns {Array<string>}
+ */
+export const getFilterTags = (ideas, categoryNames = IdeaCategories) => {
+  const counts = {};
+  ideas.forEach(idea => {
+    getSecondaryTags(idea).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+
+  const secondaryTags = Object.keys(counts)
+    .filter(tag => !categoryNames.includes(tag))
+    .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+
+  return [...categoryNames, ...secondaryTags];
+};
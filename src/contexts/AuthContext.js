@@ -1,6 +1,12 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
-import { onAuthStateChanged, signOut as firebaseSignOut } from 'firebase/auth';
+import {
+  onAuthStateChanged,
+  signOut as firebaseSignOut,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+} from 'firebase/auth';
 import { auth } from '../config/firebase';
+import { requestAccountDeletion } from '../services/openai';
 
 const AuthContext = createContext({});
 
@@ -28,10 +34,25 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Deleting an account needs a fresh sign-in, so the password is checked again
+  const deleteAccount = async (password) => {
+    try {
+      const credential = EmailAuthProvider.credential(auth.currentUser.email, password);
+      await reauthenticateWithCredential(auth.currentUser, credential);
+      await requestAccountDeletion();
+      // The server has disabled the account and deletes it in the background
+      await firebaseSignOut(auth);
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      throw error;
+    }
+  };
+
   const value = {
     user,
     loading,
     signOut,
+    deleteAccount,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
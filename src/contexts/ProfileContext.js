@@ -0,0 +1,185 @@
+import React, { createContext, useState, useEffect, useContext, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import {
+  subscribeToUserProfile,
+  updateUserProfile,
+  replaceIdeaTag,
+} from '../services/firestore';
+import {
+  DEFAULT_CATEGORY,
+  LabelColors,
+  MAX_LABEL_LENGTH,
+  RESERVED_LABELS,
+  createLabelId,
+  getDefaultCategories,
+} from '../constants/categories';
+
+const ProfileContext = createContext({});
+
+// Profile lists a label kind is stored under
+const LABEL_KINDS = ['categories', 'tags'];
+
+export function ProfileProvider({ children }) {
+  const { user } = useAuth();
+  const [profile, setProfile] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  // Subscribe to the signed-in user's profile
+  useEffect(() => {
+    if (!user) {
+      setProfile({});
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToUserProfile(user.uid, (data) => {
+      setProfile(data);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user]);
+
+  // Until the user changes them, categories are the built-in ones
+  const categories = useMemo(
+    () => (profile.categories?.length > 0 ? profile.categories : getDefaultCategories()),
+    [profile.categories]
+  );
+  const tags = useMemo(() => profile.tags || [], [profile.tags]);
+  const categoryNames = useMemo(() => categories.map(category => category.name), [categories]);
+  const tagNames = useMemo(() => tags.map(tag => tag.name), [tags]);
+  const labels = { categories, tags };
+
+  /**
+   * Check a name for a new or renamed label
+   * @param {string} name - Proposed name
+   * @param {string} excludeId - Label being renamed, if any
+   * @returns {string|null} - Problem to show the user, or null if the name is fine
+   */
+  const validateLabelName = (name, excludeId = null) => {
+    const trimmed = name.trim();
+    if (!trimmed) return 'Enter a name.';
+    if (trimmed.length > MAX_LABEL_LENGTH) return `Keep names under ${MAX_LABEL_LENGTH} characters.`;
+
+    const key = trimmed.toLowerCase();
+    if (RESERVED_LABELS.some(reserved => reserved.toLowerCase() === key)) {
+      return `"${trimmed}" is used by the app. Pick another name.`;
+    }
+    const taken = [...categories, ...tags]
+      .some(label => label.id !== excludeId && label.name.toLowerCase() === key);
+    return taken ? `You already have a category or tag called "${trimmed}".` : null;
+  };
+
+  const saveLabels = (kind, list) => {
+    if (!LABEL_KINDS.includes(kind)) {
+      throw new Error(`Unknown label kind: ${kind}`);
+    }
+    return updateUserProfile(user.uid, { [kind]: list });
+  };
+
+  const addLabel = async (kind, { name, color }) => {
+    const problem = validateLabelName(name);
+    if (problem) throw new Error(problem);
+
+    const list = labels[kind];
+    const label = {
+      id: createLabelId(),
+      name: name.trim(),
+      color: color || LabelColors[list.length % LabelColors.length],
+    };
+    await saveLabels(kind, [...list, label]);
+    return label;
+  };
+
+  // Renames carry over to every idea that uses the label
+  const updateLabel = async (kind, labelId, { name, color }) => {
+    const list = labels[kind];
+    const existing = list.find(label => label.id === labelId);
+    if (!existing) throw new Error('That label no longer exists.');
+
+    const newName = name === undefined ? existing.name : name.trim();
+    if (newName !== existing.name) {
+      const problem = validateLabelName(newName, labelId);
+      if (problem) throw new Error(problem);
+    }
+
+    await saveLabels(kind, list.map(label => (
+      label.id === labelId ? { ...label, name: newName, color: color || label.color } : label
+    )));
+
+    if (newName !== existing.name) {
+      await replaceIdeaTag(user.uid, existing.name, newName);
+    }
+  };
+
+  // Ideas in a deleted category move to the default one; deleted tags are dropped
+  const deleteLabel = async (kind, labelId) => {
+    const list = labels[kind];
+    const existing = list.find(label => label.id === labelId);
+    if (!existing) return;
+    if (kind === 'categories' && list.length <= 1) {
+      throw new Error('Keep at least one category.');
+    }
+
+    await saveLabels(kind, list.filter(label => label.id !== labelId));
+    await replaceIdeaTag(user.uid, existing.name, kind === 'categories' ? DEFAULT_CATEGORY : null);
+  };
+
+  /**
+   * Add any tags the user typed on an idea that aren't in their list yet
+   * @param {Array<string>} names - Tag names from an idea
+   */
+  const rememberTags = async (names) => {
+    const known = new Set([...categories, ...tags].map(label => label.name.toLowerCase()));
+    const newTags = names
+      .filter(name => !known.has(name.toLowerCase()) && !validateLabelName(name))
+      .map((name, index) => ({
+        id: createLabelId(),
+        name,
+        color: LabelColors[(tags.length + index) % LabelColors.length],
+      }));
+
+    if (newTags.length > 0) {
+      await saveLabels('tags', [...tags, ...newTags]);
+    }
+  };
+
+  /**
+   * Color for a category or tag name, if the user has one set
+   * @param {string} name - Label name as stored on an idea
+   * @returns {string|null}
+   */
+  const getLabelColor = (name) => {
+    const key = name?.toLowerCase();
+    const label = [...categories, ...tags].find(item => item.name.toLowerCase() === key);
+    return label?.color || null;
+  };
+
+  const value = {
+    loading,
+    categories,
+    tags,
+    categoryNames,
+    tagNames,
+    validateLabelName,
+    addLabel,
+    updateLabel,
+    deleteLabel,
+    rememberTags,
+    getLabelColor,
+  };
+
+  return <ProfileContext.Provider value={value}>{children}</ProfileContext.Provider>;
+}
+
+// Custom hook to use profile context
+export function useProfile() {
+  const context = useContext(ProfileContext);
+  if (context === undefined) {
+    throw new Error('useProfile must be used within a ProfileProvider');
+  }
+  return context;
+}
+
+export default ProfileContext;
@@ -1,5 +1,5 @@
 import React from 'react';
-import { NavigationContainer, DarkTheme } from '@react-navigation/native';
+import { NavigationContainer, DarkTheme, useNavigation } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { View, ActivityIndicator, StyleSheet, TouchableOpacity, Text, Alert } from 'react-native';
@@ -14,6 +14,8 @@ import DashboardScreen from '../screens/Dashboard/DashboardScreen';
 import ChatScreen from '../screens/Chat/ChatScreen';
 import WorkspaceScreen from '../screens/Workspace/WorkspaceScreen';
 import ExploreScreen from '../screens/Explore/ExploreScreen';
+import SettingsScreen from '../screens/Settings/SettingsScreen';
+import IdeaBinScreen from '../screens/Dashboard/IdeaBinScreen';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -99,6 +101,20 @@ function SignOutButton() {
   );
 }
 
+// Icon button in the Dashboard header that opens another screen
+function HeaderIconButton({ icon, screen }) {
+  const navigation = useNavigation();
+
+  return (
+    <TouchableOpacity
+      onPress={() => navigation.navigate(screen)}
+      style={{ marginRight: 16 }}
+    >
+      <Ionicons name={icon} size={22} color={Colors.accent1} />
+    </TouchableOpacity>
+  );
+}
+
 // Dashboard stack for the Dashboard tab
 function DashboardStack() {
   return (
@@ -127,7 +143,14 @@ function DashboardStack() {
         options={{
           title: 'DASHBOARD',
           headerShown: true,
-          headerRight: () => <SignOutButton />,
+          headerRight: () => (
+            <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+              <HeaderIconButton icon="archive-outline" screen="Archive" />
+              <HeaderIconButton icon="trash-outline" screen="Trash" />
+              <HeaderIconButton icon="settings-outline" screen="Settings" />
+              <SignOutButton />
+            </View>
+          ),
           headerTitleAlign: 'left',
           headerTitleStyle: {
             fontWeight: '900',
@@ -136,6 +159,35 @@ function DashboardStack() {
           },
         }}
       />
+      <Stack.Screen
+        name="Settings"
+        component={SettingsScreen}
+        options={{
+          title: 'SETTINGS',
+          headerShown: true,
+          headerTitleAlign: 'left',
+        }}
+      />
+      <Stack.Screen
+        name="Archive"
+        component={IdeaBinScreen}
+        initialParams={{ status: 'archived' }}
+        options={{
+          title: 'ARCHIVE',
+          headerShown: true,
+          headerTitleAlign: 'left',
+        }}
+      />
+      <Stack.Screen
+        name="Trash"
+        component={IdeaBinScreen}
+        initialParams={{ status: 'deleted' }}
+        options={{
+          title: 'TRASH',
+          headerShown: true,
+          headerTitleAlign: 'left',
+        }}
+      />
       <Stack.Screen
         name="Chat"
         component={ChatScreen}
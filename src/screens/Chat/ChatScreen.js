@@ -6,6 +6,7 @@ import {
   TextInput,
   TouchableOpacity,
   FlatList,
+  ScrollView,
   KeyboardAvoidingView,
   Platform,
   StatusBar,
@@ -19,7 +20,9 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { Timestamp } from 'firebase/firestore';
 import { Colors } from '../../constants/colors';
+import { IN_PROGRESS_TAG, getIdeaCategory } from '../../constants/categories';
 import { useAuth } from '../../contexts/AuthContext';
+import { useProfile } from '../../contexts/ProfileContext';
 import {
   createIdea,
   addChatMessage,
@@ -27,11 +30,18 @@ import {
   getChatHistory,
   getIdea,
   updateIdea,
+  saveCardVersion,
+  subscribeToIdea,
+  cancelChatReply,
 } from '../../services/firestore';
-import { generateIdeaCards, continueChat } from '../../services/openai';
+import { requestIdeaAnalysis, continueChat, getQuotaErrorMessage } from '../../services/openai';
+import UsageQuota from '../../components/UsageQuota';
+import VoiceNoteButton from './VoiceNoteButton';
+import IntakeCoverage from './IntakeCoverage';
 
 export default function ChatScreen({ navigation, route }) {
   const { user } = useAuth();
+  const { categories } = useProfile();
   const { ideaId } = route.params || {};
 
   const [messages, setMessages] = useState([
@@ -42,22 +52,26 @@ export default function ChatScreen({ navigation, route }) {
     },
   ]);
   const [inputText, setInputText] = useState('');
-  const [showQuickReplies, setShowQuickReplies] = useState(false);
   const [showCategorySelection, setShowCategorySelection] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('');
   const [currentIdeaId, setCurrentIdeaId] = useState(ideaId);
   const [firstUserMessage, setFirstUserMessage] = useState('');
   const [saving, setSaving] = useState(false);
   const [isAIThinking, setIsAIThinking] = useState(false);
-  const [questionCount, setQuestionCount] = useState(0);
+  const [intake, setIntake] = useState(null); // interview coverage, from the idea document
   const [ideaContext, setIdeaContext] = useState(null);
   const [isContinuation, setIsContinuation] = useState(false);
   const [editBusinessNameModalVisible, setEditBusinessNameModalVisible] = useState(false);
   const [editBusinessNameValue, setEditBusinessNameValue] = useState('');
   const [hasPerformedInitialScroll, setHasPerformedInitialScroll] = useState(false);
   const [hasShownAnalyzeButton, setHasShownAnalyzeButton] = useState(false);
+  const [chatMemory, setChatMemory] = useState(null);
+  const [memoryModalVisible, setMemoryModalVisible] = useState(false);
+  const [cancellingReply, setCancellingReply] = useState(false);
   const flatListRef = useRef(null);
   const inputRef = useRef(null);
+  // The header button is set once, so it calls the handler from the latest render
+  const analyzeFromHeaderRef = useRef(null);
   const dot1Anim = useRef(new Animated.Value(0)).current;
   const dot2Anim = useRef(new Animated.Value(0)).current;
   const dot3Anim = useRef(new Animated.Value(0)).current;
@@ -69,9 +83,7 @@ export default function ChatScreen({ navigation, route }) {
     });
   }, []);
 
-  const categories = ['App', 'Product', 'Service', 'Software'];
   const analyzeButtonLabel = 'Analyze';
-  const maxQuestions = 4; // AI will ask 3-4 qualifying questions
   const WELCOME_BACK_COOLDOWN_MS = 1000 * 60 * 10; // 10 minutes
 
   // Load idea context if this is a continuation
@@ -83,12 +95,12 @@ export default function ChatScreen({ navigation, route }) {
           if (ideaData && ideaData.cards && !ideaData.analyzing) {
             // This is a continuation - idea has been analyzed
             const cards = ideaData.cards || {};
-            const businessName = cards?.mvp?.name || cards?.conceptBranding?.name || null;
+            const businessName = cards?.mvp?.name || null;
 
             setIsContinuation(true);
             setIdeaContext({
               title: ideaData.title,
-              category: ideaData.tags?.[0] || 'General',
+              category: getIdeaCategory(ideaData),
               summary: cards.summary,
               cards,
               businessName,
@@ -202,9 +214,6 @@ export default function ChatScreen({ navigation, route }) {
 
           return uniqueMessages;
         });
-
-        const assistantMessages = chatMessages.filter(msg => msg.role === 'assistant');
-        setQuestionCount(assistantMessages.length);
       });
 
       return () => unsubscribe();
@@ -215,6 +224,38 @@ export default function ChatScreen({ navigation, route }) {
     setHasPerformedInitialScroll(false);
   }, [currentIdeaId]);
 
+  // Rolling summary of older turns and interview coverage, both kept up to
+  // date by the chat Cloud Function
+  useEffect(() => {
+    if (!currentIdeaId) return undefined;
+
+    const unsubscribe = subscribeToIdea(currentIdeaId, (ideaData) => {
+      setChatMemory(ideaData.chatMemory?.summary ? ideaData.chatMemory : null);
+      setIntake(ideaData.intake?.topics ? ideaData.intake : null);
+    });
+
+    return () => unsubscribe();
+  }, [currentIdeaId]);
+
+  // Analyze unlocks once the interview has covered every required topic
+  useEffect(() => {
+    if (isContinuation || hasShownAnalyzeButton || !intake?.complete) return;
+
+    setHasShownAnalyzeButton(true);
+    navigation.setOptions({
+      headerRight: () => (
+        <Animated.View style={{ transform: [{ scale: pulseAnim }] }}>
+          <TouchableOpacity
+            onPress={() => analyzeFromHeaderRef.current()}
+            style={styles.headerAnalyzeButton}
+          >
+            <Text style={styles.headerAnalyzeButtonText}>{analyzeButtonLabel}</Text>
+          </TouchableOpacity>
+        </Animated.View>
+      ),
+    });
+  }, [intake?.complete, isContinuation, hasShownAnalyzeButton]);
+
 
   // Initial scroll to bottom when messages first load
   useEffect(() => {
@@ -331,53 +372,23 @@ export default function ChatScreen({ navigation, route }) {
         tempIdeaId = await createIdea(user.uid, {
           title: 'New Idea',
           originalInput: userMessageContent,
-          tags: ['In Progress'],
+          tags: [IN_PROGRESS_TAG],
           status: 'active',
         });
         setCurrentIdeaId(tempIdeaId);
       }
 
-      // Get chat history (excluding the initial greeting)
-      const chatHistory = messages.slice(1).map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
-
-      // Call AI via Cloud Function with continuation context
-      const aiResponse = await continueChat(
-        tempIdeaId,
-        chatHistory,
-        userMessageContent,
-        isContinuation,
-        ideaContext
-      );
-
-      // Increment question count (only in initial intake mode)
-      if (!isContinuation) {
-        const newQuestionCount = questionCount + 1;
-        setQuestionCount(newQuestionCount);
-
-        // Show analyze button in header after 4 AI responses
-        if (newQuestionCount >= maxQuestions && !hasShownAnalyzeButton) {
-          setHasShownAnalyzeButton(true);
-          navigation.setOptions({
-            headerRight: () => (
-              <Animated.View style={{ transform: [{ scale: pulseAnim }] }}>
-                <TouchableOpacity
-                  onPress={handleAnalyzeFromHeader}
-                  style={styles.headerAnalyzeButton}
-                >
-                  <Text style={styles.headerAnalyzeButtonText}>{analyzeButtonLabel}</Text>
-                </TouchableOpacity>
-              </Animated.View>
-            ),
-          });
-        }
-      }
-
+      // The Cloud Function loads the saved conversation and cards itself, and
+      // updates the interview coverage that arrives through the idea subscription
+      await continueChat(tempIdeaId, userMessageContent);
     } catch (error) {
       console.error('Error getting AI response:', error);
-      Alert.alert('Error', 'Failed to get AI response. Please try again.');
+      const quotaMessage = getQuotaErrorMessage(error);
+      if (quotaMessage) {
+        Alert.alert('AI Limit Reached', quotaMessage);
+      } else {
+        Alert.alert('Error', 'Failed to get AI response. Please try again.');
+      }
 
       // Remove the user message from UI on error
       setMessages((prev) => prev.filter(msg => msg.id !== userMessage.id));
@@ -409,64 +420,62 @@ export default function ChatScreen({ navigation, route }) {
         .map((msg) => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
         .join('\n\n');
 
-      // Try to detect category from conversation
-      const conversationText = conversationTranscript.toLowerCase();
-      let detectedCategory = selectedCategory || '';
-
-      if (!detectedCategory) {
-        // Simple keyword-based detection
-        if (conversationText.includes('app') || conversationText.includes('mobile') || conversationText.includes('web app')) {
-          detectedCategory = 'App';
-        } else if (conversationText.includes('product') || conversationText.includes('physical') || conversationText.includes('device')) {
-          detectedCategory = 'Product';
-        } else if (conversationText.includes('service') || conversationText.includes('consulting') || conversationText.includes('coaching')) {
-          detectedCategory = 'Service';
-        } else if (conversationText.includes('software') || conversationText.includes('platform') || conversationText.includes('saas')) {
-          detectedCategory = 'Software';
-        } else {
-          detectedCategory = 'General';
-        }
-      }
-
       // Update the idea with analyzing flag (use existing ideaId from conversation)
       const title = generateIdeaTitle(firstUserMessage);
 
       if (currentIdeaId) {
         // Update existing idea
-        await updateIdea(currentIdeaId, {
-          title,
-          tags: [detectedCategory],
-          analyzing: true,
-          analysisReviewed: false,
-        });
+        await updateIdea(currentIdeaId, { title });
 
         // Save the "Getting started!" message
-        await addChatMessage(currentIdeaId, 'assistant', 'Getting started! ✨');
+        await addChatMessage(currentIdeaId, 'assistant', 'Getting started! ✨', false, { notice: true });
+
+        // Queue server-side analysis with full conversation context. The job
+        // classifies the idea (a category picked here is only a hint), sets
+        // the analyzing flag and survives the app closing.
+        await requestIdeaAnalysis(
+          currentIdeaId,
+          firstUserMessage,
+          conversationTranscript,
+          selectedCategory || intake?.category || null
+        );
 
         // Navigate to dashboard
         navigation.reset({
           index: 0,
           routes: [{ name: 'DashboardHome' }],
         });
-
-        // Generate AI cards with full conversation context
-        generateIdeaCards(
-          currentIdeaId,
-          firstUserMessage,
-          conversationTranscript,
-          detectedCategory
-        ).catch((error) => {
-          console.error('Error generating cards:', error);
-        });
       }
     } catch (error) {
       console.error('Error processing idea:', error);
+      const quotaMessage = getQuotaErrorMessage(error);
+      if (quotaMessage) {
+        Alert.alert('AI Limit Reached', quotaMessage);
+        return;
+      }
       const errorMessage = error.message || 'Failed to process idea. Please try again.';
       Alert.alert('Error', errorMessage);
     } finally {
       setSaving(false);
     }
   };
+  analyzeFromHeaderRef.current = handleAnalyzeFromHeader;
+
+  // Analysis before the interview is done works, but has less to go on
+  const handleAnalyzeEarly = () => {
+    const missing = intake.topics
+      .filter(topic => topic.required && !topic.covered)
+      .map(topic => topic.label.toLowerCase());
+
+    Alert.alert(
+      'Analyze Now?',
+      `We haven't talked about ${missing.join(', ')} yet, so those parts of the analysis will be thinner.`,
+      [
+        { text: 'Keep Chatting', style: 'cancel' },
+        { text: 'Analyze Anyway', onPress: handleAnalyzeFromHeader },
+      ]
+    );
+  };
 
   const generateIdeaTitle = (text) => {
     // Generate a title from the first message (max 50 chars)
@@ -483,22 +492,15 @@ export default function ChatScreen({ navigation, route }) {
     if (editBusinessNameValue && editBusinessNameValue.trim()) {
       try {
         const newName = editBusinessNameValue.trim();
+        const mvp = { ...ideaContext.cards?.mvp, name: newName };
 
-        // Update in Firestore
-        const updateData = {
-          cards: {
-            ...ideaContext,
-            mvp: {
-              name: newName,
-            }
-          }
-        };
-
-        await updateIdea(currentIdeaId, updateData);
+        // The name lives on the mvp card, so the edit is saved to its history
+        await saveCardVersion(currentIdeaId, 'mvp', mvp, 'edit', { previousCard: ideaContext.cards?.mvp });
 
         // Update local context
         setIdeaContext({
           ...ideaContext,
+          cards: { ...ideaContext.cards, mvp },
           businessName: newName,
         });
 
@@ -526,117 +528,56 @@ export default function ChatScreen({ navigation, route }) {
     }
   };
 
-  const handleCategorySelection = (category) => {
+  // Voice notes land in the composer so they can be corrected before sending
+  const handleVoiceTranscript = (text) => {
+    setInputText((prev) => (prev.trim() ? `${prev.trim()} ${text}` : text).slice(0, 500));
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+    });
+  };
+
+  // Picking a category switches the interview to that category's questions
+  // from the next reply on, and stops the assistant from guessing it
+  const handleCategorySelection = async (category) => {
     setSelectedCategory(category);
     setShowCategorySelection(false);
+    if (!currentIdeaId) return;
 
-    // Add category selection as a user message
-    const categoryMessage = {
-      id: (Date.now()).toString(),
-      role: 'user',
-      content: category,
-    };
-    setMessages((prev) => [...prev, categoryMessage]);
-
-    // AI confirms and asks next steps
-    setTimeout(() => {
-      const aiMessage = {
-        id: (Date.now() + 1).toString(),
-        role: 'assistant',
-        content: `Perfect! I've categorized this as a ${category}. Would you like me to analyze it?`,
-      };
-      setMessages((prev) => [...prev, aiMessage]);
-      setShowQuickReplies(true);
-    }, 800);
+    try {
+      await updateIdea(currentIdeaId, {
+        'intake.category': category,
+        'intake.categorySource': 'user',
+      });
+    } catch (error) {
+      console.error('Error changing interview category:', error);
+      Alert.alert('Error', 'Failed to change the interview category');
+    }
   };
 
-  const handleQuickReply = async (reply) => {
-    if (reply !== analyzeButtonLabel) return;
+  // Reply the Cloud Function is still writing, shown as it arrives. Only a
+  // reply this session is waiting for can be stopped; a draft left behind by
+  // a call that died is cleaned up by the server.
+  const streamingMessage = isAIThinking ? messages.find(msg => msg.streaming) : null;
 
-    setShowQuickReplies(false);
-    setSaving(true);
+  const handleCancelReply = async () => {
+    if (!streamingMessage || cancellingReply) return;
 
+    setCancellingReply(true);
     try {
-      // AI responds "Getting started!"
-      const gettingStartedMessage = {
-        id: Date.now().toString(),
-        role: 'assistant',
-        content: 'Getting started! ✨',
-      };
-      setMessages((prev) => [...prev, gettingStartedMessage]);
-
-      // Wait a moment for the message to appear
-      await new Promise(resolve => setTimeout(resolve, 500));
-
-      // Build full conversation transcript for AI analysis
-      const conversationTranscript = messages
-        .filter((msg) => msg.id !== '1') // Exclude initial greeting
-        .map((msg) => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
-        .join('\n\n');
-
-      // Try to detect category from conversation
-      const conversationText = conversationTranscript.toLowerCase();
-      let detectedCategory = selectedCategory || '';
-
-      if (!detectedCategory) {
-        // Simple keyword-based detection
-        if (conversationText.includes('app') || conversationText.includes('mobile') || conversationText.includes('web app')) {
-          detectedCategory = 'App';
-        } else if (conversationText.includes('product') || conversationText.includes('physical') || conversationText.includes('device')) {
-          detectedCategory = 'Product';
-        } else if (conversationText.includes('service') || conversationText.includes('consulting') || conversationText.includes('coaching')) {
-          detectedCategory = 'Service';
-        } else if (conversationText.includes('software') || conversationText.includes('platform') || conversationText.includes('saas')) {
-          detectedCategory = 'Software';
-        } else {
-          detectedCategory = 'General';
-        }
-      }
-
-      // Update the idea with analyzing flag (use existing ideaId from conversation)
-      const title = generateIdeaTitle(firstUserMessage);
-
-      if (currentIdeaId) {
-        // Update existing idea
-        const { updateIdea } = require('../../services/firestore');
-        await updateIdea(currentIdeaId, {
-          title,
-          tags: [detectedCategory],
-          analyzing: true,
-          analysisReviewed: false,
-        });
-
-        // Save the "Getting started!" message
-        await addChatMessage(currentIdeaId, 'assistant', 'Getting started! ✨');
-
-        // Navigate to dashboard
-        navigation.reset({
-          index: 0,
-          routes: [{ name: 'DashboardHome' }],
-        });
-
-        // Generate AI cards with full conversation context
-        generateIdeaCards(
-          currentIdeaId,
-          firstUserMessage,
-          conversationTranscript,
-          detectedCategory
-        ).catch((error) => {
-          console.error('Error generating cards:', error);
-        });
-      }
+      await cancelChatReply(currentIdeaId, streamingMessage.id);
     } catch (error) {
-      console.error('Error processing idea:', error);
-      const errorMessage = error.message || 'Failed to process idea. Please try again.';
-      Alert.alert('Error', errorMessage);
+      Alert.alert('Error', 'Failed to stop the reply.');
     } finally {
-      setSaving(false);
+      setCancellingReply(false);
     }
   };
 
   const renderMessage = ({ item }) => {
     const isUser = item.role === 'user';
 
+    // The typing dots stand in until the first words arrive
+    if (item.streaming && !item.content) return null;
+
     return (
       <View
         style={[
@@ -665,15 +606,19 @@ export default function ChatScreen({ navigation, route }) {
               ]}
             >
               {item.content}
+              {item.streaming ? <Text style={styles.streamingCursor}> ▍</Text> : null}
             </Text>
           </View>
+          {item.cancelled && (
+            <Text style={styles.stoppedLabel}>Stopped</Text>
+          )}
         </View>
       </View>
     );
   };
 
   const renderTypingIndicator = () => {
-    if (!isAIThinking) return null;
+    if (!isAIThinking || streamingMessage?.content) return null;
 
     return (
       <View style={styles.typingIndicatorContainer}>
@@ -726,6 +671,20 @@ export default function ChatScreen({ navigation, route }) {
         resizeMode="contain"
       />
 
+      {/* Assistant Memory */}
+      {chatMemory && (
+        <TouchableOpacity
+          style={styles.memoryBar}
+          onPress={() => setMemoryModalVisible(true)}
+        >
+          <Ionicons name="bulb-outline" size={14} color={Colors.accent4} />
+          <Text style={styles.memoryBarText}>
+            The assistant remembers {chatMemory.messageCount} earlier messages as a summary
+          </Text>
+          <Ionicons name="chevron-forward" size={14} color={Colors.textTertiary} />
+        </TouchableOpacity>
+      )}
+
       {/* Messages List */}
       <FlatList
         ref={flatListRef}
@@ -741,20 +700,39 @@ export default function ChatScreen({ navigation, route }) {
       {/* Category Selection */}
       {showCategorySelection && (
         <View style={styles.quickRepliesContainer}>
-          {categories.map((category, index) => (
+          {categories.map((category) => (
             <TouchableOpacity
-              key={index}
-              style={styles.categoryChip}
-              onPress={() => handleCategorySelection(category)}
+              key={category.id}
+              style={[styles.categoryChip, { backgroundColor: category.color }]}
+              onPress={() => handleCategorySelection(category.name)}
             >
-              <Text style={styles.categoryText}>{category}</Text>
+              <Text style={styles.categoryText}>{category.name}</Text>
             </TouchableOpacity>
           ))}
         </View>
       )}
 
+      {/* Interview Coverage */}
+      {/* Analyze stays possible if the coverage check has never succeeded */}
+      {!isContinuation && (intake || (currentIdeaId && firstUserMessage && !isAIThinking)) && (
+        <IntakeCoverage
+          intake={intake}
+          onChangeCategory={() => setShowCategorySelection(prev => !prev)}
+          onAnalyzeEarly={handleAnalyzeEarly}
+          onAnalyze={handleAnalyzeFromHeader}
+        />
+      )}
+
+      <UsageQuota refreshKey={messages.length} />
+
       {/* Input Area */}
       <View style={styles.inputContainer}>
+        <VoiceNoteButton
+          userId={user.uid}
+          ideaId={currentIdeaId}
+          onTranscript={handleVoiceTranscript}
+          disabled={isAIThinking || saving}
+        />
         <TextInput
           ref={inputRef}
           style={styles.input}
@@ -766,17 +744,27 @@ export default function ChatScreen({ navigation, route }) {
           maxLength={500}
           blurOnSubmit={false}
         />
-        <TouchableOpacity
-          style={[styles.sendButton, isAIThinking && styles.sendButtonDisabled]}
-          onPress={handleSend}
-          disabled={isAIThinking}
-        >
-          {isAIThinking ? (
-            <ActivityIndicator size="small" color={Colors.textPrimary} />
-          ) : (
-            <Text style={styles.sendButtonText}>→</Text>
-          )}
-        </TouchableOpacity>
+        {streamingMessage ? (
+          <TouchableOpacity
+            style={[styles.sendButton, styles.stopButton]}
+            onPress={handleCancelReply}
+            disabled={cancellingReply}
+          >
+            <Ionicons name="stop" size={18} color={Colors.textPrimary} />
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.sendButton, isAIThinking && styles.sendButtonDisabled]}
+            onPress={handleSend}
+            disabled={isAIThinking}
+          >
+            {isAIThinking ? (
+              <ActivityIndicator size="small" color={Colors.textPrimary} />
+            ) : (
+              <Text style={styles.sendButtonText}>→</Text>
+            )}
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Edit Business Name Modal */}
@@ -824,6 +812,45 @@ export default function ChatScreen({ navigation, route }) {
           </KeyboardAvoidingView>
         </View>
       </Modal>
+
+      {/* Assistant Memory Modal */}
+      <Modal
+        visible={memoryModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setMemoryModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContainer, styles.modalContent]}>
+            <Text style={styles.modalTitle}>What the assistant remembers</Text>
+            <Text style={styles.memoryHint}>
+              Recent messages are sent to the assistant in full. Older ones are kept as this summary, updated as the chat grows.
+            </Text>
+            <ScrollView style={styles.memoryScroll}>
+              <Text style={styles.memorySummary}>{chatMemory?.summary}</Text>
+            </ScrollView>
+            {chatMemory?.updatedAt?.toDate && (
+              <Text style={styles.memoryMeta}>
+                Summarized from {chatMemory.messageCount} messages · updated{' '}
+                {chatMemory.updatedAt.toDate().toLocaleString('en-US', {
+                  month: 'short',
+                  day: 'numeric',
+                  hour: 'numeric',
+                  minute: '2-digit',
+                })}
+              </Text>
+            )}
+            <View style={styles.modalActions}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.modalSaveButton]}
+                onPress={() => setMemoryModalVisible(false)}
+              >
+                <Text style={styles.modalSaveText}>Close</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </KeyboardAvoidingView>
   );
 }
@@ -876,6 +903,15 @@ const styles = StyleSheet.create({
   aiText: {
     color: Colors.textPrimary,
   },
+  streamingCursor: {
+    color: Colors.accent4,
+  },
+  stoppedLabel: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
   quickRepliesContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -954,6 +990,9 @@ const styles = StyleSheet.create({
   sendButtonDisabled: {
     opacity: 0.5,
   },
+  stopButton: {
+    backgroundColor: Colors.error,
+  },
   sendButtonText: {
     color: Colors.textPrimary,
     fontSize: 20,
@@ -1064,6 +1103,41 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  memoryBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginHorizontal: 16,
+    marginTop: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 12,
+    backgroundColor: Colors.surface,
+  },
+  memoryBarText: {
+    flex: 1,
+    color: Colors.textSecondary,
+    fontSize: 13,
+  },
+  memoryHint: {
+    color: Colors.textTertiary,
+    fontSize: 13,
+    lineHeight: 18,
+    marginBottom: 12,
+  },
+  memoryScroll: {
+    maxHeight: 320,
+  },
+  memorySummary: {
+    color: Colors.textPrimary,
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  memoryMeta: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+    marginTop: 12,
+  },
   headerAnalyzeButton: {
     backgroundColor: Colors.accent1,
     paddingHorizontal: 14,
@@ -0,0 +1,156 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors } from '../../constants/colors';
+
+/**
+ * Coverage meter for the intake interview. Shows which topics of the
+ * category's interview template have come up, from the idea's `intake`
+ * field that the chat Cloud Function keeps up to date. Until the function
+ * has managed to check coverage, `intake` is null and a plain Analyze
+ * option stands in for the meter.
+ */
+export default function IntakeCoverage({ intake, onChangeCategory, onAnalyzeEarly, onAnalyze }) {
+  if (!intake) {
+    return (
+      <View style={[styles.container, styles.headerRow]}>
+        <Text style={styles.countText}>Interview progress isn't available yet</Text>
+        <TouchableOpacity onPress={onAnalyze}>
+          <Text style={styles.analyzeText}>Analyze</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const requiredTopics = intake.topics.filter(topic => topic.required);
+  const coveredCount = requiredTopics.filter(topic => topic.covered).length;
+  const progress = requiredTopics.length > 0 ? coveredCount / requiredTopics.length : 1;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity style={styles.categoryButton} onPress={onChangeCategory}>
+          <Text style={styles.categoryText}>{intake.category} interview</Text>
+          <Ionicons name="chevron-down" size={12} color={Colors.textTertiary} />
+        </TouchableOpacity>
+        {intake.complete ? (
+          <Text style={styles.readyText}>Ready to analyze</Text>
+        ) : (
+          <TouchableOpacity onPress={onAnalyzeEarly}>
+            <Text style={styles.countText}>
+              {coveredCount} of {requiredTopics.length} covered
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.progressTrack}>
+        <View
+          style={[
+            styles.progressFill,
+            { width: `${Math.round(progress * 100)}%` },
+            intake.complete && styles.progressFillComplete,
+          ]}
+        />
+      </View>
+
+      <View style={styles.topicsRow}>
+        {intake.topics.map(topic => (
+          <View
+            key={topic.id}
+            style={[styles.topicChip, topic.covered && styles.topicChipCovered]}
+          >
+            <Ionicons
+              name={topic.covered ? 'checkmark-circle' : 'ellipse-outline'}
+              size={12}
+              color={topic.covered ? Colors.success : Colors.textTertiary}
+            />
+            <Text style={[styles.topicText, topic.covered && styles.topicTextCovered]}>
+              {topic.label}{topic.required ? '' : ' (optional)'}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: Colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: Colors.border,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  categoryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  categoryText: {
+    color: Colors.textSecondary,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  countText: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+  },
+  analyzeText: {
+    color: Colors.accent1,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  readyText: {
+    color: Colors.success,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: Colors.background,
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 2,
+    backgroundColor: Colors.accent1,
+  },
+  progressFillComplete: {
+    backgroundColor: Colors.success,
+  },
+  topicsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  topicChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 9999,
+    backgroundColor: Colors.background,
+  },
+  topicChipCovered: {
+    backgroundColor: 'rgba(82, 183, 136, 0.15)',
+  },
+  topicText: {
+    color: Colors.textTertiary,
+    fontSize: 11,
+    fontWeight: '500',
+  },
+  topicTextCovered: {
+    color: Colors.textSecondary,
+  },
+});
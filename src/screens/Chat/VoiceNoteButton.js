@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  AudioModule,
+  RecordingPresets,
+  setAudioModeAsync,
+  useAudioRecorder,
+  useAudioRecorderState,
+} from 'expo-audio';
+import { Colors } from '../../constants/colors';
+import { uploadVoiceNote } from '../../services/storage';
+import { transcribeAudio, getQuotaErrorMessage } from '../../services/openai';
+
+// Long enough for a rambling idea, short enough to stay well under the upload limit
+const MAX_RECORDING_MS = 2 * 60 * 1000;
+
+const formatDuration = (millis) => {
+  const totalSeconds = Math.floor(millis / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Mic button for the chat composer. Tap to record, tap again to stop; the
+ * recording is uploaded, transcribed on the server, and handed back through
+ * onTranscript so it can be edited before sending.
+ */
+export default function VoiceNoteButton({ userId, ideaId, onTranscript, disabled }) {
+  const recorder = useAudioRecorder(RecordingPresets.HIGH_QUALITY);
+  const recorderState = useAudioRecorderState(recorder);
+  const [transcribing, setTranscribing] = useState(false);
+
+  const isRecording = recorderState.isRecording;
+
+  const startRecording = async () => {
+    try {
+      const permission = await AudioModule.requestRecordingPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert('Microphone Access', 'Allow microphone access in Settings to record voice notes.');
+        return;
+      }
+
+      await setAudioModeAsync({ playsInSilentMode: true, allowsRecording: true });
+      await recorder.prepareToRecordAsync();
+      recorder.record();
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      Alert.alert('Error', 'Failed to start recording.');
+    }
+  };
+
+  const stopRecording = async ({ discard = false } = {}) => {
+    try {
+      await recorder.stop();
+      await setAudioModeAsync({ allowsRecording: false });
+    } catch (error) {
+      console.error('Error stopping recording:', error);
+      return;
+    }
+
+    if (discard || !recorder.uri) return;
+
+    setTranscribing(true);
+    try {
+      const storagePath = await uploadVoiceNote(userId, recorder.uri);
+      const text = await transcribeAudio(storagePath, ideaId);
+      if (text) {
+        onTranscript(text);
+      } else {
+        Alert.alert('Nothing Heard', 'No speech was found in that recording. Please try again.');
+      }
+    } catch (error) {
+      const quotaMessage = getQuotaErrorMessage(error);
+      if (quotaMessage) {
+        Alert.alert('AI Limit Reached', quotaMessage);
+      } else {
+        Alert.alert('Error', 'Failed to transcribe your voice note. Please try again.');
+      }
+    } finally {
+      setTranscribing(false);
+    }
+  };
+
+  // Stop automatically at the time limit
+  useEffect(() => {
+    if (isRecording && recorderState.durationMillis >= MAX_RECORDING_MS) {
+      stopRecording();
+    }
+  }, [isRecording, recorderState.durationMillis]);
+
+  if (transcribing) {
+    return (
+      <View style={styles.button}>
+        <ActivityIndicator size="small" color={Colors.accent1} />
+      </View>
+    );
+  }
+
+  if (isRecording) {
+    return (
+      <View style={styles.recordingRow}>
+        <TouchableOpacity
+          style={styles.discardButton}
+          onPress={() => stopRecording({ discard: true })}
+        >
+          <Ionicons name="trash-outline" size={18} color={Colors.textSecondary} />
+        </TouchableOpacity>
+        <Text style={styles.duration}>{formatDuration(recorderState.durationMillis)}</Text>
+        <TouchableOpacity
+          style={[styles.button, styles.buttonRecording]}
+          onPress={() => stopRecording()}
+        >
+          <Ionicons name="stop" size={18} color={Colors.textPrimary} />
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, disabled && styles.buttonDisabled]}
+      onPress={startRecording}
+      disabled={disabled}
+    >
+      <Ionicons name="mic-outline" size={22} color={Colors.textSecondary} />
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  button: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonRecording: {
+    backgroundColor: Colors.error,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  recordingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  discardButton: {
+    width: 32,
+    height: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  duration: {
+    color: Colors.error,
+    fontSize: 14,
+    fontWeight: '600',
+    fontVariant: ['tabular-nums'],
+    minWidth: 36,
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -16,10 +16,20 @@ import { Swipeable } from 'react-native-gesture-handler';
 import { Ionicons } from '@expo/vector-icons';
 import { Colors } from '../../constants/colors';
 import { useAuth } from '../../contexts/AuthContext';
-import { subscribeToUserIdeas, deleteIdea } from '../../services/firestore';
-
-// Pulsing overlay component for analyzing ideas
-function AnalyzingOverlay() {
+import { useProfile } from '../../contexts/ProfileContext';
+import { subscribeToUserIdeas, archiveIdea, deleteIdea, TRASH_RETENTION_DAYS } from '../../services/firestore';
+import { retryIdeaAnalysis, getQuotaErrorMessage } from '../../services/openai';
+import { CardStatus, getCardStatus, getIdeaCards } from '../../constants/cards';
+import { getFilterTags } from '../../constants/categories';
+
+const CARD_STATUS_COLORS = {
+  [CardStatus.READY]: Colors.success,
+  [CardStatus.GENERATING]: Colors.accent1,
+  [CardStatus.FAILED]: Colors.error,
+};
+
+// Pulsing overlay component for analyzing ideas, with per-card progress
+function AnalyzingOverlay({ idea }) {
   const pulseAnim = useRef(new Animated.Value(0)).current;
 
   useEffect(() => {
@@ -46,18 +56,48 @@ function AnalyzingOverlay() {
     outputRange: [0.3, 0.7],
   });
 
+  const ideaCards = getIdeaCards(idea);
+  const statuses = ideaCards.map(({ type }) => getCardStatus(idea, type) || CardStatus.PENDING);
+  const readyCount = statuses.filter(status => status === CardStatus.READY).length;
+  const job = idea.analysisJob;
+
+  let statusLabel = 'Analyzing...';
+  if (job?.status === 'queued') {
+    statusLabel = 'Queued...';
+  } else if (job?.status === 'retrying') {
+    statusLabel = `Retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})...`;
+  }
+
   return (
     <Animated.View style={[styles.analyzingOverlay, { opacity }]}>
       <View style={styles.analyzingContent}>
         <ActivityIndicator size="large" color={Colors.accent1} />
-        <Text style={styles.analyzingText}>Analyzing...</Text>
+        <Text style={styles.analyzingText}>{statusLabel}</Text>
+        {idea.cardStatus && (
+          <>
+            <View style={styles.cardProgressRow}>
+              {statuses.map((status, index) => (
+                <View
+                  key={ideaCards[index].type}
+                  style={[
+                    styles.cardProgressDot,
+                    CARD_STATUS_COLORS[status] && { backgroundColor: CARD_STATUS_COLORS[status] },
+                  ]}
+                />
+              ))}
+            </View>
+            <Text style={styles.cardProgressText}>
+              {readyCount} of {ideaCards.length} cards ready
+            </Text>
+          </>
+        )}
       </View>
     </Animated.View>
   );
 }
 
 // Pulsing overlay component for analysis complete state
-function AnalysisCompleteOverlay() {
+function AnalysisCompleteOverlay({ idea }) {
   const pulseAnim = useRef(new Animated.Value(0)).current;
 
   useEffect(() => {
@@ -84,28 +124,81 @@ function AnalysisCompleteOverlay() {
     outputRange: [0.4, 0.8],
   });
 
+  const failedCount = getIdeaCards(idea).filter(({ type }) => getCardStatus(idea, type) === CardStatus.FAILED).length;
+
   return (
     <Animated.View style={[styles.analysisCompleteOverlay, { opacity }]}>
       <View style={styles.analysisCompleteContent}>
         <Ionicons name="checkmark-circle" size={48} color="#4CAF50" />
         <Text style={styles.analysisCompleteText}>Analysis Complete</Text>
-        <Text style={styles.readyForReviewText}>Ready for Review</Text>
+        <Text style={styles.readyForReviewText}>
+          {failedCount > 0
+            ? `Ready for Review · ${failedCount} ${failedCount === 1 ? 'card needs' : 'cards need'} a retry`
+            : 'Ready for Review'}
+        </Text>
       </View>
     </Animated.View>
   );
 }
 
+// Overlay shown when an analysis job has run out of retries
+function AnalysisFailedOverlay({ idea, onRetry, retrying }) {
+  return (
+    <View style={styles.analysisFailedOverlay}>
+      <View style={styles.analysisCompleteContent}>
+        <Ionicons name="alert-circle" size={44} color={Colors.error} />
+        <Text style={styles.analysisFailedText}>Analysis Failed</Text>
+        <Text style={styles.analysisFailedDetail} numberOfLines={2}>
+          {idea.analysisJob?.error || 'Something went wrong while analyzing this idea.'}
+        </Text>
+        <TouchableOpacity
+          style={styles.retryAnalysisButton}
+          onPress={onRetry}
+          disabled={retrying}
+        >
+          {retrying ? (
+            <ActivityIndicator size="small" color={Colors.textPrimary} />
+          ) : (
+            <>
+              <Ionicons name="refresh" size={16} color={Colors.textPrimary} />
+              <Text style={styles.retryAnalysisText}>Retry Analysis</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
 export default function DashboardScreen({ navigation }) {
   const { user } = useAuth();
+  const { categoryNames, getLabelColor } = useProfile();
   const [ideas, setIdeas] = useState([]);
   const [filteredIdeas, setFilteredIdeas] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
-  const [selectedFilter, setSelectedFilter] = useState('All');
+  const [selectedFilters, setSelectedFilters] = useState([]); // empty means All
   const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [retryingIdeaId, setRetryingIdeaId] = useState(null);
   const swipeableRefs = useRef({});
   const openSwipeableId = useRef(null);
 
-  const filters = ['All', 'App', 'Product', 'Service', 'Software'];
+  const filters = useMemo(() => ['All', ...getFilterTags(ideas, categoryNames)], [ideas, categoryNames]);
+  const isFiltered = selectedFilters.length > 0;
+
+  const isFilterSelected = (filter) =>
+    filter === 'All' ? !isFiltered : selectedFilters.includes(filter);
+
+  // Chips combine: an idea shows if it has any selected tag. All clears them.
+  const toggleFilter = (filter) => {
+    if (filter === 'All') {
+      setSelectedFilters([]);
+      return;
+    }
+    setSelectedFilters(prev =>
+      prev.includes(filter) ? prev.filter(f => f !== filter) : [...prev, filter]
+    );
+  };
 
   // Subscribe to user's ideas from Firestore
   useEffect(() => {
@@ -113,6 +206,10 @@ export default function DashboardScreen({ navigation }) {
 
     const unsubscribe = subscribeToUserIdeas(user.uid, (userIdeas) => {
       setIdeas(userIdeas);
+      setLoadFailed(false);
+      setLoading(false);
+    }, () => {
+      setLoadFailed(true);
       setLoading(false);
     });
 
@@ -124,9 +221,9 @@ export default function DashboardScreen({ navigation }) {
     let result = ideas;
 
     // Filter by tag
-    if (selectedFilter !== 'All') {
+    if (selectedFilters.length > 0) {
       result = result.filter(idea =>
-        idea.tags && idea.tags.includes(selectedFilter)
+        idea.tags && idea.tags.some(tag => selectedFilters.includes(tag))
       );
     }
 
@@ -140,7 +237,7 @@ export default function DashboardScreen({ navigation }) {
     }
 
     setFilteredIdeas(result);
-  }, [ideas, selectedFilter, searchQuery]);
+  }, [ideas, selectedFilters, searchQuery]);
 
   // Format date for display
   const formatDate = (timestamp) => {
@@ -157,10 +254,18 @@ export default function DashboardScreen({ navigation }) {
     return date.toLocaleDateString();
   };
 
+  const handleArchiveIdea = async (ideaId) => {
+    try {
+      await archiveIdea(ideaId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to archive idea');
+    }
+  };
+
   const handleDeleteIdea = (ideaId, ideaTitle) => {
     Alert.alert(
       'Delete Idea',
-      `Are you sure you want to delete "${ideaTitle}"?`,
+      `Move "${ideaTitle}" to the Trash? You can restore it for ${TRASH_RETENTION_DAYS} days.`,
       [
         {
           text: 'Cancel',
@@ -181,6 +286,24 @@ export default function DashboardScreen({ navigation }) {
     );
   };
 
+  const handleRetryAnalysis = async (ideaId) => {
+    if (retryingIdeaId) return;
+
+    setRetryingIdeaId(ideaId);
+    try {
+      await retryIdeaAnalysis(ideaId);
+    } catch (error) {
+      const quotaMessage = getQuotaErrorMessage(error);
+      if (quotaMessage) {
+        Alert.alert('AI Limit Reached', quotaMessage);
+      } else {
+        Alert.alert('Error', 'Failed to restart the analysis. Please try again.');
+      }
+    } finally {
+      setRetryingIdeaId(null);
+    }
+  };
+
   const closeOpenSwipeable = () => {
     if (openSwipeableId.current && swipeableRefs.current[openSwipeableId.current]) {
       swipeableRefs.current[openSwipeableId.current].close();
@@ -198,6 +321,16 @@ export default function DashboardScreen({ navigation }) {
   const renderRightActions = (item) => {
     return (
       <View style={styles.swipeActions}>
+        <TouchableOpacity
+          style={styles.archiveButton}
+          onPress={() => {
+            closeOpenSwipeable();
+            handleArchiveIdea(item.id);
+          }}
+          activeOpacity={0.7}
+        >
+          <Ionicons name="archive" size={20} color={Colors.textPrimary} />
+        </TouchableOpacity>
         <TouchableOpacity
           style={styles.deleteButton}
           onPress={() => {
@@ -214,8 +347,10 @@ export default function DashboardScreen({ navigation }) {
 
   const handleIdeaClick = async (item) => {
     const isAnalyzing = item.analyzing === true;
+    const hasReadyCards = getIdeaCards(item).some(({ type }) => getCardStatus(item, type) === CardStatus.READY);
 
-    if (isAnalyzing) {
+    // Ideas can be opened mid-analysis once the first card is ready
+    if (isAnalyzing && !hasReadyCards) {
       Alert.alert('Analysis in Progress', 'Your idea is currently being analyzed. Please wait...');
       return;
     }
@@ -228,9 +363,10 @@ export default function DashboardScreen({ navigation }) {
     // Get preview text from summary card or original input
     const preview = item.cards?.summary?.problem || item.originalInput || 'No description yet';
     const isAnalyzing = item.analyzing === true;
-    const isAnalysisComplete = item.analyzing === false && item.analysisReviewed !== true;
-    const hasOverlay = isAnalyzing || isAnalysisComplete;
-    const businessName = item.cards?.conceptBranding?.name;
+    const isAnalysisFailed = !isAnalyzing && item.analysisJob?.status === 'failed' && item.analysisReviewed !== true;
+    const isAnalysisComplete = item.analyzing === false && item.analysisReviewed !== true && !isAnalysisFailed;
+    const hasOverlay = isAnalyzing || isAnalysisComplete || isAnalysisFailed;
+    const businessName = item.cards?.mvp?.name;
 
     return (
       <Swipeable
@@ -260,7 +396,7 @@ export default function DashboardScreen({ navigation }) {
                 <View style={styles.tags}>
                   {item.tags && item.tags.slice(0, 3).map((tag, index) => (
                     <View key={index} style={styles.tag}>
-                      <Text style={styles.tagText}>{tag}</Text>
+                      <Text style={[styles.tagText, getLabelColor(tag) && { color: getLabelColor(tag) }]}>{tag}</Text>
                     </View>
                   ))}
                 </View>
@@ -271,8 +407,15 @@ export default function DashboardScreen({ navigation }) {
               <Text style={styles.cardDate}>{formatDate(item.createdAt)}</Text>
             </View>
           </View>
-          {isAnalyzing && <AnalyzingOverlay />}
-          {isAnalysisComplete && <AnalysisCompleteOverlay />}
+          {isAnalyzing && <AnalyzingOverlay idea={item} />}
+          {isAnalysisComplete && <AnalysisCompleteOverlay idea={item} />}
+          {isAnalysisFailed && (
+            <AnalysisFailedOverlay
+              idea={item}
+              onRetry={() => handleRetryAnalysis(item.id)}
+              retrying={retryingIdeaId === item.id}
+            />
+          )}
         </TouchableOpacity>
       </Swipeable>
     );
@@ -304,14 +447,14 @@ export default function DashboardScreen({ navigation }) {
             <TouchableOpacity
               style={[
                 styles.filterChip,
-                selectedFilter === item && styles.filterChipActive,
+                isFilterSelected(item) && styles.filterChipActive,
               ]}
-              onPress={() => setSelectedFilter(item)}
+              onPress={() => toggleFilter(item)}
             >
               <Text
                 style={[
                   styles.filterChipText,
-                  selectedFilter === item && styles.filterChipTextActive,
+                  isFilterSelected(item) && styles.filterChipTextActive,
                 ]}
               >
                 {item}
@@ -337,14 +480,18 @@ export default function DashboardScreen({ navigation }) {
           ListEmptyComponent={
             <View style={styles.emptyState}>
               <Text style={styles.emptyStateTitle}>
-                {searchQuery || selectedFilter !== 'All'
-                  ? 'No ideas found'
-                  : 'No ideas yet'}
+                {loadFailed
+                  ? 'Couldn\'t load your ideas'
+                  : searchQuery || isFiltered
+                    ? 'No ideas found'
+                    : 'No ideas yet'}
               </Text>
               <Text style={styles.emptyStateText}>
-                {searchQuery || selectedFilter !== 'All'
-                  ? 'Try adjusting your search or filters'
-                  : 'Tap the + button to capture your first idea'}
+                {loadFailed
+                  ? 'Please check your connection and try again later'
+                  : searchQuery || isFiltered
+                    ? 'Try adjusting your search or filters'
+                    : 'Tap the + button to capture your first idea'}
               </Text>
             </View>
           }
@@ -531,6 +678,20 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     marginBottom: 16,
     paddingRight: 16,
+    gap: 12,
+  },
+  archiveButton: {
+    backgroundColor: Colors.accent6,
+    justifyContent: 'center',
+    alignItems: 'center',
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+    elevation: 4,
   },
   deleteButton: {
     backgroundColor: Colors.error,
@@ -576,6 +737,23 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginTop: 12,
   },
+  cardProgressRow: {
+    flexDirection: 'row',
+    gap: 6,
+    marginTop: 12,
+  },
+  cardProgressDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: Colors.surfaceLight,
+  },
+  cardProgressText: {
+    color: Colors.textSecondary,
+    fontSize: 13,
+    fontWeight: '500',
+    marginTop: 6,
+  },
   analysisCompleteOverlay: {
     position: 'absolute',
     top: 0,
@@ -587,6 +765,47 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     borderRadius: 16,
   },
+  analysisFailedOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(72, 72, 71, 0.85)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 16,
+    paddingHorizontal: 16,
+  },
+  analysisFailedText: {
+    color: Colors.error,
+    fontSize: 18,
+    fontWeight: '700',
+    marginTop: 8,
+  },
+  analysisFailedDetail: {
+    color: Colors.textSecondary,
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  retryAnalysisButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: Colors.accent1,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 9999,
+    marginTop: 12,
+    minWidth: 140,
+    justifyContent: 'center',
+  },
+  retryAnalysisText: {
+    color: Colors.textPrimary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
   analysisCompleteContent: {
     alignItems: 'center',
   },
@@ -0,0 +1,421 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors } from '../../constants/colors';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  subscribeToIdeasByStatus,
+  restoreIdeas,
+  deleteIdeas,
+  TRASH_RETENTION_DAYS,
+} from '../../services/firestore';
+import { deleteIdeasPermanently } from '../../services/openai';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// The Archive and Trash share this screen; the route's `status` picks which
+const BINS = {
+  archived: {
+    emptyTitle: 'No archived ideas',
+    emptyText: 'Swipe an idea on the Dashboard to archive it',
+    notice: 'Archived ideas are hidden from the Dashboard until you restore them.',
+  },
+  deleted: {
+    emptyTitle: 'Trash is empty',
+    emptyText: 'Ideas you delete wait here before they are gone for good',
+    notice: `Ideas in the Trash are deleted for good after ${TRASH_RETENTION_DAYS} days.`,
+  },
+};
+
+const toMillis = (timestamp) => {
+  if (!timestamp) return Date.now();
+  return timestamp.toMillis ? timestamp.toMillis() : new Date(timestamp).getTime();
+};
+
+const pluralIdeas = (count) => `${count} ${count === 1 ? 'idea' : 'ideas'}`;
+
+export default function IdeaBinScreen({ route }) {
+  const { status } = route.params;
+  const bin = BINS[status];
+  const isTrash = status === 'deleted';
+  const { user } = useAuth();
+  const [ideas, setIdeas] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadFailed, setLoadFailed] = useState(false);
+  // null outside selection mode, otherwise the selected idea IDs
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const isSelecting = selectedIds !== null;
+
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = subscribeToIdeasByStatus(user.uid, status, (binIdeas) => {
+      setIdeas(binIdeas);
+      setLoadFailed(false);
+      setLoading(false);
+      // Drop selected ideas that were restored or purged elsewhere
+      setSelectedIds(prev => prev && prev.filter(id => binIdeas.some(idea => idea.id === id)));
+    }, () => {
+      setLoadFailed(true);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [user, status]);
+
+  const formatPutAway = (item) => {
+    if (!isTrash) {
+      return `Archived ${new Date(toMillis(item.archivedAt)).toLocaleDateString()}`;
+    }
+    const daysLeft = Math.ceil((toMillis(item.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS);
+    if (daysLeft <= 1) return 'Deleted for good within a day';
+    return `Deleted for good in ${daysLeft} days`;
+  };
+
+  const runAction = async (action, failureMessage) => {
+    setWorking(true);
+    try {
+      await action();
+      setSelectedIds(null);
+    } catch (error) {
+      Alert.alert('Error', failureMessage);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRestore = (ideaIds) => {
+    runAction(() => restoreIdeas(ideaIds), 'Failed to restore. Please try again.');
+  };
+
+  const handleMoveToTrash = (ideaIds) => {
+    Alert.alert(
+      'Move to Trash',
+      `Move ${pluralIdeas(ideaIds.length)} to the Trash? ${BINS.deleted.notice}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Move to Trash',
+          style: 'destructive',
+          onPress: () => runAction(() => deleteIdeas(ideaIds), 'Failed to move to the Trash. Please try again.'),
+        },
+      ]
+    );
+  };
+
+  const handleDeleteForever = (ideaIds, title = 'Delete Forever') => {
+    Alert.alert(
+      title,
+      `Delete ${pluralIdeas(ideaIds.length)} for good? Their chats, canvases and notes go too. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => runAction(() => deleteIdeasPermanently(ideaIds), 'Failed to delete. Please try again.'),
+        },
+      ]
+    );
+  };
+
+  const toggleSelected = (ideaId) => {
+    setSelectedIds(prev => {
+      const current = prev || [];
+      return current.includes(ideaId) ? current.filter(id => id !== ideaId) : [...current, ideaId];
+    });
+  };
+
+  const handleIdeaPress = (item) => {
+    if (isSelecting) {
+      toggleSelected(item.id);
+      return;
+    }
+
+    Alert.alert(
+      item.title,
+      formatPutAway(item),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', onPress: () => handleRestore([item.id]) },
+        isTrash
+          ? { text: 'Delete Forever', style: 'destructive', onPress: () => handleDeleteForever([item.id]) }
+          : { text: 'Move to Trash', style: 'destructive', onPress: () => handleMoveToTrash([item.id]) },
+      ]
+    );
+  };
+
+  const allSelected = isSelecting && ideas.length > 0 && selectedIds.length === ideas.length;
+
+  const renderIdeaCard = ({ item }) => {
+    const isSelected = isSelecting && selectedIds.includes(item.id);
+    const preview = item.cards?.summary?.problem || item.originalInput || 'No description yet';
+
+    return (
+      <TouchableOpacity
+        style={[styles.ideaCard, isSelected && styles.ideaCardSelected]}
+        onPress={() => handleIdeaPress(item)}
+        onLongPress={() => !isSelecting && setSelectedIds([item.id])}
+        activeOpacity={0.7}
+        disabled={working}
+      >
+        {isSelecting && (
+          <Ionicons
+            name={isSelected ? 'checkmark-circle' : 'ellipse-outline'}
+            size={22}
+            color={isSelected ? Colors.accent1 : Colors.textTertiary}
+            style={styles.selectIcon}
+          />
+        )}
+        <View style={styles.cardContent}>
+          <Text style={styles.cardTitle}>{item.title}</Text>
+          <Text style={styles.cardPreview} numberOfLines={2}>
+            {preview}
+          </Text>
+          <Text style={styles.cardDate}>{formatPutAway(item)}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={Colors.accent1} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Toolbar */}
+      <View style={styles.toolbar}>
+        {isSelecting ? (
+          <>
+            <Text style={styles.toolbarText}>{selectedIds.length} selected</Text>
+            <View style={styles.toolbarActions}>
+              <TouchableOpacity
+                onPress={() => setSelectedIds(allSelected ? [] : ideas.map(idea => idea.id))}
+                disabled={working}
+              >
+                <Text style={styles.toolbarButtonText}>{allSelected ? 'Select None' : 'Select All'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => setSelectedIds(null)} disabled={working}>
+                <Text style={styles.toolbarButtonText}>Done</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        ) : (
+          <>
+            <Text style={styles.noticeText}>{bin.notice}</Text>
+            {ideas.length > 0 && (
+              <View style={styles.toolbarActions}>
+                <TouchableOpacity onPress={() => setSelectedIds([])} disabled={working}>
+                  <Text style={styles.toolbarButtonText}>Select</Text>
+                </TouchableOpacity>
+                {isTrash && (
+                  <TouchableOpacity
+                    onPress={() => handleDeleteForever(ideas.map(idea => idea.id), 'Empty Trash')}
+                    disabled={working}
+                  >
+                    <Text style={[styles.toolbarButtonText, styles.destructiveText]}>Empty Trash</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+          </>
+        )}
+      </View>
+
+      <FlatList
+        data={ideas}
+        renderItem={renderIdeaCard}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateTitle}>{loadFailed ? 'Couldn\'t load these ideas' : bin.emptyTitle}</Text>
+            <Text style={styles.emptyStateText}>
+              {loadFailed ? 'Please check your connection and try again later' : bin.emptyText}
+            </Text>
+          </View>
+        }
+      />
+
+      {/* Bulk actions for the selected ideas */}
+      {isSelecting && (
+        <View style={styles.actionBar}>
+          {working ? (
+            <ActivityIndicator size="small" color={Colors.accent1} />
+          ) : (
+            <>
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => handleRestore(selectedIds)}
+                disabled={selectedIds.length === 0}
+              >
+                <Ionicons name="arrow-undo" size={18} color={Colors.textPrimary} />
+                <Text style={styles.actionButtonText}>Restore</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.actionButtonDestructive]}
+                onPress={() => (isTrash ? handleDeleteForever(selectedIds) : handleMoveToTrash(selectedIds))}
+                disabled={selectedIds.length === 0}
+              >
+                <Ionicons name="trash" size={18} color={Colors.textPrimary} />
+                <Text style={styles.actionButtonText}>{isTrash ? 'Delete Forever' : 'Move to Trash'}</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: Colors.background,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  toolbarText: {
+    color: Colors.textPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  noticeText: {
+    flex: 1,
+    color: Colors.textTertiary,
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  toolbarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+  },
+  toolbarButtonText: {
+    color: Colors.accent1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  destructiveText: {
+    color: Colors.error,
+  },
+  listContainer: {
+    padding: 16,
+    paddingBottom: 100,
+  },
+  ideaCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    marginBottom: 16,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  ideaCardSelected: {
+    borderColor: Colors.accent1,
+  },
+  selectIcon: {
+    marginLeft: 16,
+  },
+  cardContent: {
+    flex: 1,
+    padding: 16,
+  },
+  cardTitle: {
+    color: Colors.textPrimary,
+    fontSize: 18,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  cardPreview: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  cardDate: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingTop: 48 * 2,
+  },
+  emptyStateTitle: {
+    color: Colors.textPrimary,
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  emptyStateText: {
+    color: Colors.textSecondary,
+    fontSize: 16,
+    textAlign: 'center',
+    paddingHorizontal: 32,
+  },
+  actionBar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 32,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 12,
+    backgroundColor: Colors.surfaceLight,
+    borderRadius: 16,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  actionButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    backgroundColor: Colors.accent1,
+    paddingVertical: 10,
+    borderRadius: 9999,
+  },
+  actionButtonDestructive: {
+    backgroundColor: Colors.error,
+  },
+  actionButtonText: {
+    color: Colors.textPrimary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
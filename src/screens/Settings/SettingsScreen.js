@@ -0,0 +1,426 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors } from '../../constants/colors';
+import { useProfile } from '../../contexts/ProfileContext';
+import { DEFAULT_CATEGORY, LabelColors, MAX_LABEL_LENGTH } from '../../constants/categories';
+import DeleteAccountModal from './DeleteAccountModal';
+
+const SECTIONS = [
+  {
+    kind: 'categories',
+    title: 'Categories',
+    singular: 'Category',
+    description: `Every idea is filed under one category. Ideas in a deleted category move to ${DEFAULT_CATEGORY}.`,
+  },
+  {
+    kind: 'tags',
+    title: 'Tags',
+    singular: 'Tag',
+    description: 'Ideas can have up to three tags. The AI reuses yours when it tags new ideas.',
+  },
+];
+
+export default function SettingsScreen() {
+  const profile = useProfile();
+  // { kind, label } of the label being edited; label is null when adding
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(LabelColors[0]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deletingAccount, setDeletingAccount] = useState(false);
+
+  const openEditor = (kind, label = null) => {
+    setEditing({ kind, label });
+    setName(label?.name || '');
+    setColor(label?.color || LabelColors[profile[kind].length % LabelColors.length]);
+    setError(null);
+  };
+
+  const closeEditor = () => {
+    if (saving) return;
+    setEditing(null);
+  };
+
+  const handleSave = async () => {
+    const problem = profile.validateLabelName(name, editing.label?.id);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editing.label) {
+        await profile.updateLabel(editing.kind, editing.label.id, { name, color });
+      } else {
+        await profile.addLabel(editing.kind, { name, color });
+      }
+      setEditing(null);
+    } catch (saveError) {
+      console.error('Error saving label:', saveError);
+      setError(saveError.message || 'Failed to save. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const { kind, label } = editing;
+    const consequence = kind === 'categories'
+      ? `Ideas in "${label.name}" will move to ${DEFAULT_CATEGORY}.`
+      : `"${label.name}" will be removed from every idea.`;
+
+    Alert.alert(
+      `Delete ${label.name}?`,
+      consequence,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setSaving(true);
+            try {
+              await profile.deleteLabel(kind, label.id);
+              setEditing(null);
+            } catch (deleteError) {
+              console.error('Error deleting label:', deleteError);
+              setError(deleteError.message || 'Failed to delete. Please try again.');
+            } finally {
+              setSaving(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderSection = ({ kind, title, singular, description }) => (
+    <View key={kind} style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <Text style={styles.sectionTitle}>{title}</Text>
+        <TouchableOpacity style={styles.addButton} onPress={() => openEditor(kind)}>
+          <Ionicons name="add" size={18} color={Colors.accent1} />
+          <Text style={styles.addButtonText}>Add {singular}</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.sectionDescription}>{description}</Text>
+
+      {profile[kind].length === 0 ? (
+        <Text style={styles.emptyText}>No {title.toLowerCase()} yet</Text>
+      ) : (
+        profile[kind].map(label => (
+          <TouchableOpacity
+            key={label.id}
+            style={styles.labelRow}
+            onPress={() => openEditor(kind, label)}
+            activeOpacity={0.7}
+          >
+            <View style={[styles.colorDot, { backgroundColor: label.color }]} />
+            <Text style={styles.labelName}>{label.name}</Text>
+            <Ionicons name="chevron-forward" size={18} color={Colors.textTertiary} />
+          </TouchableOpacity>
+        ))
+      )}
+    </View>
+  );
+
+  if (profile.loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={Colors.accent1} />
+      </View>
+    );
+  }
+
+  const editingSection = editing && SECTIONS.find(section => section.kind === editing.kind);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {SECTIONS.map(renderSection)}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Account</Text>
+          <Text style={styles.sectionDescription}>
+            Deleting your account removes all your ideas and settings for good.
+          </Text>
+          <TouchableOpacity
+            style={styles.labelRow}
+            onPress={() => setDeletingAccount(true)}
+            activeOpacity={0.7}
+          >
+            <Ionicons name="trash-outline" size={18} color={Colors.error} style={styles.rowIcon} />
+            <Text style={[styles.labelName, styles.destructiveText]}>Delete my account</Text>
+            <Ionicons name="chevron-forward" size={18} color={Colors.textTertiary} />
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+
+      <DeleteAccountModal visible={deletingAccount} onClose={() => setDeletingAccount(false)} />
+
+      <Modal
+        visible={Boolean(editing)}
+        transparent
+        animationType="fade"
+        onRequestClose={closeEditor}
+      >
+        <View style={styles.modalOverlay}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.modalContainer}
+          >
+            <View style={styles.modalContent}>
+              <View style={styles.modalHeader}>
+                <Text style={styles.modalTitle}>
+                  {editing?.label ? `Edit ${editingSection?.singular}` : `New ${editingSection?.singular}`}
+                </Text>
+                <TouchableOpacity onPress={closeEditor}>
+                  <Ionicons name="close" size={24} color={Colors.textSecondary} />
+                </TouchableOpacity>
+              </View>
+
+              <TextInput
+                style={styles.input}
+                placeholder="Name"
+                placeholderTextColor={Colors.textTertiary}
+                value={name}
+                onChangeText={(text) => {
+                  setName(text);
+                  setError(null);
+                }}
+                maxLength={MAX_LABEL_LENGTH}
+                autoFocus
+              />
+              {editing?.label && name.trim() !== editing.label.name && (
+                <Text style={styles.hintText}>Renaming updates every idea that uses it.</Text>
+              )}
+
+              <View style={styles.colorRow}>
+                {LabelColors.map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[
+                      styles.colorSwatch,
+                      { backgroundColor: option },
+                      color === option && styles.colorSwatchActive,
+                    ]}
+                    onPress={() => setColor(option)}
+                  />
+                ))}
+              </View>
+
+              {error && <Text style={styles.errorText}>{error}</Text>}
+
+              <View style={styles.modalButtons}>
+                {editing?.label && (
+                  <TouchableOpacity
+                    style={[styles.modalButton, styles.deleteButton]}
+                    onPress={handleDelete}
+                    disabled={saving}
+                  >
+                    <Text style={styles.deleteButtonText}>Delete</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.saveButton]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator size="small" color={Colors.textPrimary} />
+                  ) : (
+                    <Text style={styles.saveButtonText}>Save</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </View>
+          </KeyboardAvoidingView>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: Colors.background,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  section: {
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    color: Colors.textPrimary,
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  sectionDescription: {
+    color: Colors.textSecondary,
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  addButtonText: {
+    color: Colors.accent1,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyText: {
+    color: Colors.textTertiary,
+    fontSize: 14,
+    paddingVertical: 8,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: Colors.border,
+  },
+  colorDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    marginRight: 12,
+  },
+  labelName: {
+    flex: 1,
+    color: Colors.textPrimary,
+    fontSize: 16,
+  },
+  rowIcon: {
+    marginRight: 10,
+  },
+  destructiveText: {
+    color: Colors.error,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContainer: {
+    width: '90%',
+    maxWidth: 420,
+  },
+  modalContent: {
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    padding: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  modalTitle: {
+    color: Colors.textPrimary,
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  input: {
+    backgroundColor: Colors.background,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: Colors.textPrimary,
+    fontSize: 16,
+  },
+  hintText: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+    marginTop: 6,
+  },
+  colorRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginTop: 16,
+  },
+  colorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  colorSwatchActive: {
+    borderColor: Colors.textPrimary,
+  },
+  errorText: {
+    color: Colors.error,
+    fontSize: 13,
+    marginTop: 12,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  deleteButton: {
+    borderWidth: 1,
+    borderColor: Colors.error,
+  },
+  deleteButtonText: {
+    color: Colors.error,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: Colors.accent1,
+  },
+  saveButtonText: {
+    color: Colors.textPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors } from '../../constants/colors';
+import {
+  AssumptionStatus,
+  AssumptionStatusOptions,
+  RiskLevels,
+  DEFAULT_RISK,
+} from '../../constants/assumptions';
+
+const EMPTY_ASSUMPTION = {
+  statement: '',
+  risk: DEFAULT_RISK,
+  validationMethod: '',
+  status: AssumptionStatus.UNTESTED,
+  evidence: '',
+};
+
+/**
+ * Add an assumption, or record how testing one went: its status and the
+ * evidence behind it. `assumption` is null when adding.
+ */
+export default function AssumptionEditorModal({ visible, assumption, onClose, onSave, onDelete, saving }) {
+  const [form, setForm] = useState(EMPTY_ASSUMPTION);
+
+  useEffect(() => {
+    if (!visible) return;
+    setForm({ ...EMPTY_ASSUMPTION, ...assumption });
+  }, [visible]);
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = () => {
+    onSave({
+      statement: form.statement.trim(),
+      risk: form.risk,
+      validationMethod: form.validationMethod.trim(),
+      status: form.status,
+      evidence: form.evidence.trim(),
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={styles.container}
+        >
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <View style={styles.header}>
+              <Text style={styles.title}>{assumption ? 'Assumption' : 'New Assumption'}</Text>
+              <TouchableOpacity onPress={onClose}>
+                <Ionicons name="close" size={24} color={Colors.textSecondary} />
+              </TouchableOpacity>
+            </View>
+
+            <TextInput
+              style={[styles.input, styles.multilineInput]}
+              placeholder="What must be true, e.g. Parents will pay $4/month"
+              placeholderTextColor={Colors.textTertiary}
+              value={form.statement}
+              onChangeText={(text) => setField('statement', text)}
+              multiline
+            />
+
+            <Text style={styles.sectionLabel}>Risk</Text>
+            <View style={styles.chipRow}>
+              {RiskLevels.map(level => (
+                <TouchableOpacity
+                  key={level.value}
+                  style={[styles.chip, form.risk === level.value && { backgroundColor: level.color }]}
+                  onPress={() => setField('risk', level.value)}
+                >
+                  <Text style={[styles.chipText, form.risk === level.value && styles.chipTextActive]}>
+                    {level.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionLabel}>How to test it</Text>
+            <TextInput
+              style={[styles.input, styles.multilineInput]}
+              placeholder="A quick experiment, survey or prototype"
+              placeholderTextColor={Colors.textTertiary}
+              value={form.validationMethod}
+              onChangeText={(text) => setField('validationMethod', text)}
+              multiline
+            />
+
+            <Text style={styles.sectionLabel}>Status</Text>
+            <View style={styles.chipRow}>
+              {AssumptionStatusOptions.map(option => (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.chip, styles.statusChip, form.status === option.value && { backgroundColor: option.color }]}
+                  onPress={() => setField('status', option.value)}
+                >
+                  <Ionicons
+                    name={option.icon}
+                    size={14}
+                    color={form.status === option.value ? Colors.textPrimary : option.color}
+                  />
+                  <Text style={[styles.chipText, form.status === option.value && styles.chipTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionLabel}>Evidence</Text>
+            <TextInput
+              style={[styles.input, styles.multilineInput]}
+              placeholder="What you found out, e.g. 7 of 10 interviewees said yes"
+              placeholderTextColor={Colors.textTertiary}
+              value={form.evidence}
+              onChangeText={(text) => setField('evidence', text)}
+              multiline
+            />
+
+            <View style={styles.buttonRow}>
+              {assumption && (
+                <TouchableOpacity
+                  style={[styles.button, styles.deleteButton]}
+                  onPress={onDelete}
+                  disabled={saving}
+                >
+                  <Text style={styles.deleteButtonText}>Delete</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={[styles.button, styles.saveButton, !form.statement.trim() && styles.buttonDisabled]}
+                onPress={handleSave}
+                disabled={saving || !form.statement.trim()}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color={Colors.textPrimary} />
+                ) : (
+                  <Text style={styles.saveButtonText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </KeyboardAvoidingView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    width: '90%',
+    maxWidth: 420,
+    maxHeight: '85%',
+  },
+  content: {
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    color: Colors.textPrimary,
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  sectionLabel: {
+    color: Colors.accent1,
+    fontSize: 13,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: Colors.background,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: Colors.textPrimary,
+    fontSize: 15,
+  },
+  multilineInput: {
+    minHeight: 64,
+    textAlignVertical: 'top',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    backgroundColor: Colors.background,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 9999,
+  },
+  statusChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  chipText: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: Colors.textPrimary,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  deleteButton: {
+    borderWidth: 1,
+    borderColor: Colors.error,
+  },
+  deleteButtonText: {
+    color: Colors.error,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: Colors.accent1,
+  },
+  saveButtonText: {
+    color: Colors.textPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
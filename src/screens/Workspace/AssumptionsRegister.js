@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors } from '../../constants/colors';
+import {
+  AssumptionStatus,
+  AssumptionStatusOptions,
+  RiskLevels,
+  getRiskLevel,
+  getStatusOption,
+} from '../../constants/assumptions';
+import {
+  subscribeToAssumptions,
+  addAssumption,
+  updateAssumption,
+  deleteAssumption,
+} from '../../services/firestore';
+import { extractAssumptions, getQuotaErrorMessage } from '../../services/openai';
+import AssumptionEditorModal from './AssumptionEditorModal';
+
+const riskOrder = (risk) => {
+  const index = RiskLevels.findIndex(level => level.value === risk);
+  return index === -1 ? 1 : index;
+};
+
+/**
+ * The idea's assumptions register: what has to be true for it to work, how
+ * to test it and what testing showed. Statuses and evidence are picked up by
+ * the chat and by card regeneration.
+ */
+export default function AssumptionsRegister({ ideaId, canExtract, onAiUsage }) {
+  const [assumptions, setAssumptions] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  // { assumption } being edited; assumption is null when adding
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [extracting, setExtracting] = useState(false);
+
+  useEffect(() => {
+    if (!ideaId) return undefined;
+    const unsubscribe = subscribeToAssumptions(ideaId, setAssumptions);
+    return () => unsubscribe();
+  }, [ideaId]);
+
+  // Riskiest first; the register keeps its own order within a risk level
+  const sortedAssumptions = useMemo(
+    () => [...assumptions].sort((a, b) => riskOrder(a.risk) - riskOrder(b.risk)),
+    [assumptions]
+  );
+  const testedCount = assumptions.filter(item => item.status && item.status !== AssumptionStatus.UNTESTED).length;
+
+  const handleExtract = async () => {
+    setExtracting(true);
+    try {
+      const added = await extractAssumptions(ideaId);
+      setExpanded(true);
+      if (added === 0) {
+        Alert.alert('Nothing New', 'The register already covers what the analysis depends on.');
+      }
+    } catch (error) {
+      console.error('Error extracting assumptions:', error);
+      const quotaMessage = getQuotaErrorMessage(error);
+      Alert.alert(
+        quotaMessage ? 'AI Limit Reached' : 'Error',
+        quotaMessage || 'Failed to find assumptions. Please try again.'
+      );
+    } finally {
+      setExtracting(false);
+      onAiUsage?.();
+    }
+  };
+
+  const handleSave = async (values) => {
+    setSaving(true);
+    try {
+      if (editing.assumption) {
+        await updateAssumption(ideaId, editing.assumption.id, values);
+      } else {
+        await addAssumption(ideaId, values);
+      }
+      setEditing(null);
+    } catch (error) {
+      console.error('Error saving assumption:', error);
+      Alert.alert('Error', 'Failed to save assumption');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    const { assumption } = editing;
+    Alert.alert(
+      'Delete Assumption?',
+      assumption.statement,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteAssumption(ideaId, assumption.id);
+              setEditing(null);
+            } catch (error) {
+              console.error('Error deleting assumption:', error);
+              Alert.alert('Error', 'Failed to delete assumption');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <TouchableOpacity style={styles.header} onPress={() => setExpanded(prev => !prev)}>
+        <View>
+          <Text style={styles.title}>Assumptions</Text>
+          {assumptions.length > 0 && (
+            <Text style={styles.progressText}>{testedCount} of {assumptions.length} tested</Text>
+          )}
+        </View>
+        <Text style={styles.expandIcon}>{expanded ? '−' : '+'}</Text>
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.content}>
+          {sortedAssumptions.length === 0 ? (
+            <Text style={styles.emptyText}>
+              List what has to be true for this idea to work, then track what you learn as you test it.
+            </Text>
+          ) : (
+            sortedAssumptions.map(assumption => {
+              const status = getStatusOption(assumption.status);
+              const risk = getRiskLevel(assumption.risk);
+
+              return (
+                <TouchableOpacity
+                  key={assumption.id}
+                  style={styles.row}
+                  onPress={() => setEditing({ assumption })}
+                  activeOpacity={0.7}
+                >
+                  <Ionicons name={status.icon} size={20} color={status.color} style={styles.statusIcon} />
+                  <View style={styles.rowBody}>
+                    <Text
+                      style={[
+                        styles.statement,
+                        assumption.status === AssumptionStatus.INVALIDATED && styles.statementInvalidated,
+                      ]}
+                    >
+                      {assumption.statement}
+                    </Text>
+                    <View style={styles.metaRow}>
+                      <View style={[styles.riskBadge, { borderColor: risk.color }]}>
+                        <Text style={[styles.riskText, { color: risk.color }]}>{risk.label}</Text>
+                      </View>
+                      <Text style={styles.statusText}>{status.label}</Text>
+                    </View>
+                    {assumption.evidence ? (
+                      <Text style={styles.detailText} numberOfLines={2}>Evidence: {assumption.evidence}</Text>
+                    ) : assumption.validationMethod ? (
+                      <Text style={styles.detailText} numberOfLines={2}>Test: {assumption.validationMethod}</Text>
+                    ) : null}
+                  </View>
+                </TouchableOpacity>
+              );
+            })
+          )}
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.actionButton} onPress={() => setEditing({ assumption: null })}>
+              <Ionicons name="add" size={18} color={Colors.accent1} />
+              <Text style={styles.actionText}>Add Assumption</Text>
+            </TouchableOpacity>
+            {canExtract && (
+              <TouchableOpacity style={styles.actionButton} onPress={handleExtract} disabled={extracting}>
+                {extracting ? (
+                  <ActivityIndicator size="small" color={Colors.accent1} />
+                ) : (
+                  <Ionicons name="sparkles-outline" size={18} color={Colors.accent1} />
+                )}
+                <Text style={styles.actionText}>Find with AI</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          <View style={styles.legend}>
+            {AssumptionStatusOptions.map(option => (
+              <View key={option.value} style={styles.legendItem}>
+                <Ionicons name={option.icon} size={12} color={option.color} />
+                <Text style={styles.legendText}>{option.label}</Text>
+              </View>
+            ))}
+          </View>
+        </View>
+      )}
+
+      <AssumptionEditorModal
+        visible={Boolean(editing)}
+        assumption={editing?.assumption || null}
+        onClose={() => setEditing(null)}
+        onSave={handleSave}
+        onDelete={handleDelete}
+        saving={saving}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    margin: 16,
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.border,
+  },
+  title: {
+    color: Colors.textPrimary,
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  progressText: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+    marginTop: 2,
+  },
+  expandIcon: {
+    color: Colors.textSecondary,
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  content: {
+    padding: 16,
+  },
+  emptyText: {
+    color: Colors.textTertiary,
+    fontSize: 14,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: Colors.background,
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  statusIcon: {
+    marginRight: 10,
+    marginTop: 1,
+  },
+  rowBody: {
+    flex: 1,
+  },
+  statement: {
+    color: Colors.textPrimary,
+    fontSize: 15,
+    lineHeight: 21,
+  },
+  statementInvalidated: {
+    color: Colors.textTertiary,
+    textDecorationLine: 'line-through',
+  },
+  metaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 6,
+  },
+  riskBadge: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+  },
+  riskText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  statusText: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+  },
+  detailText: {
+    color: Colors.textSecondary,
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 16,
+    marginTop: 4,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 8,
+  },
+  actionText: {
+    color: Colors.accent1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  legend: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  legendText: {
+    color: Colors.textTertiary,
+    fontSize: 11,
+  },
+});
@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors } from '../../constants/colors';
+import { subscribeToCardVersions, restoreCardVersion } from '../../services/firestore';
+import { diffCards, formatFieldValue } from '../../utils/cardDiff';
+
+const SOURCE_LABELS = {
+  generated: 'Generated',
+  regenerated: 'Regenerated',
+  edit: 'Edited',
+  restore: 'Restored',
+};
+
+const CHANGE_COLORS = {
+  added: Colors.success,
+  removed: Colors.error,
+  changed: Colors.accent2,
+};
+
+const formatVersionDate = (timestamp) => {
+  if (!timestamp) return 'Just now';
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
+
+/**
+ * Browse the saved versions of one card, compare any two of them field by
+ * field, and restore an earlier one.
+ */
+export default function CardHistoryModal({ visible, onClose, ideaId, cardType, cardLabel }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    if (!visible || !ideaId || !cardType) return undefined;
+
+    setLoading(true);
+    const unsubscribe = subscribeToCardVersions(ideaId, (allVersions) => {
+      const cardVersions = allVersions.filter(version => version.cardType === cardType);
+      setVersions(cardVersions);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [visible, ideaId, cardType]);
+
+  // Default to comparing the latest version against the one before it
+  useEffect(() => {
+    if (!visible) {
+      setBaseId(null);
+      setCompareId(null);
+      return;
+    }
+    if (versions.length === 0) return;
+
+    setCompareId(prev => (versions.some(v => v.id === prev) ? prev : versions[0].id));
+    setBaseId(prev => (versions.some(v => v.id === prev) ? prev : versions[1]?.id || null));
+  }, [visible, versions]);
+
+  const baseVersion = versions.find(v => v.id === baseId);
+  const compareVersion = versions.find(v => v.id === compareId);
+  const latestVersion = versions[0];
+
+  const changes = useMemo(() => {
+    if (!baseVersion || !compareVersion) return [];
+    return diffCards(baseVersion.card, compareVersion.card);
+  }, [baseVersion, compareVersion]);
+
+  const versionLabel = (version) => {
+    const index = versions.length - versions.indexOf(version);
+    return `v${index}`;
+  };
+
+  const handleRestore = () => {
+    if (!compareVersion || restoring) return;
+
+    Alert.alert(
+      'Restore Version',
+      `Replace the current ${cardLabel} card with ${versionLabel(compareVersion)}? The current card stays in the history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            setRestoring(true);
+            try {
+              await restoreCardVersion(ideaId, compareVersion);
+              onClose();
+            } catch (error) {
+              console.error('Error restoring card version:', error);
+              Alert.alert('Error', 'Failed to restore this version.');
+            } finally {
+              setRestoring(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderVersionRow = (version) => {
+    const isBase = version.id === baseId;
+    const isCompare = version.id === compareId;
+
+    return (
+      <View key={version.id} style={styles.versionRow}>
+        <View style={styles.versionInfo}>
+          <Text style={styles.versionName}>
+            {versionLabel(version)} · {SOURCE_LABELS[version.source] || version.source}
+            {version.id === latestVersion?.id ? ' (current)' : ''}
+          </Text>
+          <Text style={styles.versionDate}>{formatVersionDate(version.createdAt)}</Text>
+          {version.refinementPrompt ? (
+            <Text style={styles.versionPrompt} numberOfLines={1}>
+              “{version.refinementPrompt}”
+            </Text>
+          ) : null}
+        </View>
+        <TouchableOpacity
+          style={[styles.pickButton, isBase && styles.pickButtonActive]}
+          onPress={() => setBaseId(version.id)}
+        >
+          <Text style={[styles.pickButtonText, isBase && styles.pickButtonTextActive]}>A</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.pickButton, isCompare && styles.pickButtonActive]}
+          onPress={() => setCompareId(version.id)}
+        >
+          <Text style={[styles.pickButtonText, isCompare && styles.pickButtonTextActive]}>B</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderDiff = () => {
+    if (!baseVersion || !compareVersion) {
+      return (
+        <Text style={styles.emptyText}>
+          Pick two versions (A and B) to see what changed.
+        </Text>
+      );
+    }
+
+    if (changes.length === 0) {
+      return <Text style={styles.emptyText}>These versions are identical.</Text>;
+    }
+
+    return changes.map(change => (
+      <View key={change.path} style={styles.changeRow}>
+        <View style={styles.changeHeader}>
+          <View style={[styles.changeBadge, { backgroundColor: CHANGE_COLORS[change.kind] }]}>
+            <Text style={styles.changeBadgeText}>{change.kind}</Text>
+          </View>
+          <Text style={styles.changeLabel}>{change.label}</Text>
+        </View>
+        {change.kind !== 'added' && (
+          <Text style={styles.changeBefore}>{formatFieldValue(change.before)}</Text>
+        )}
+        {change.kind !== 'removed' && (
+          <Text style={styles.changeAfter}>{formatFieldValue(change.after)}</Text>
+        )}
+      </View>
+    ));
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{cardLabel} History</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={Colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          {loading ? (
+            <ActivityIndicator size="large" color={Colors.accent1} style={styles.loading} />
+          ) : versions.length === 0 ? (
+            <Text style={styles.emptyText}>
+              No saved versions yet. A version is saved every time this card is generated, edited, or restored.
+            </Text>
+          ) : (
+            <ScrollView style={styles.body}>
+              <Text style={styles.sectionLabel}>Versions</Text>
+              {versions.map(renderVersionRow)}
+
+              <Text style={styles.sectionLabel}>
+                Changes{baseVersion && compareVersion
+                  ? ` (${versionLabel(baseVersion)} → ${versionLabel(compareVersion)})`
+                  : ''}
+              </Text>
+              {renderDiff()}
+            </ScrollView>
+          )}
+
+          {compareVersion && compareVersion.id !== latestVersion?.id && (
+            <TouchableOpacity
+              style={styles.restoreButton}
+              onPress={handleRestore}
+              disabled={restoring}
+            >
+              {restoring ? (
+                <ActivityIndicator size="small" color={Colors.textPrimary} />
+              ) : (
+                <Text style={styles.restoreButtonText}>
+                  Restore {versionLabel(compareVersion)}
+                </Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    width: '92%',
+    maxWidth: 480,
+    maxHeight: '85%',
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    color: Colors.textPrimary,
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  loading: {
+    marginVertical: 32,
+  },
+  body: {
+    flexGrow: 0,
+  },
+  sectionLabel: {
+    color: Colors.accent1,
+    fontSize: 13,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  versionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.border,
+  },
+  versionInfo: {
+    flex: 1,
+  },
+  versionName: {
+    color: Colors.textPrimary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  versionDate: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+    marginTop: 2,
+  },
+  versionPrompt: {
+    color: Colors.textSecondary,
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  pickButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  pickButtonActive: {
+    backgroundColor: Colors.accent1,
+    borderColor: Colors.accent1,
+  },
+  pickButtonText: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  pickButtonTextActive: {
+    color: Colors.textPrimary,
+  },
+  emptyText: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+    lineHeight: 20,
+    marginVertical: 8,
+  },
+  changeRow: {
+    backgroundColor: Colors.background,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  changeHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 4,
+  },
+  changeBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+  },
+  changeBadgeText: {
+    color: Colors.textPrimary,
+    fontSize: 10,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+  },
+  changeLabel: {
+    flex: 1,
+    color: Colors.textPrimary,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  changeBefore: {
+    color: Colors.error,
+    fontSize: 13,
+    textDecorationLine: 'line-through',
+    marginTop: 2,
+  },
+  changeAfter: {
+    color: Colors.success,
+    fontSize: 13,
+    marginTop: 2,
+  },
+  restoreButton: {
+    backgroundColor: Colors.accent1,
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  restoreButtonText: {
+    color: Colors.textPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+import { Colors } from '../../constants/colors';
+import {
+  MARKET_ASSUMPTIONS,
+  ASSUMPTION_SOURCE,
+  getMarketAssumptions,
+  computeMarketSize,
+  formatCount,
+  formatShare,
+} from '../../utils/marketSizing';
+import { formatCurrency } from '../../utils/revenueModel';
+
+const FUNNEL_LEVELS = [
+  { key: 'tam', label: 'TAM', description: 'Everyone who could buy' },
+  { key: 'sam', label: 'SAM', description: 'The part you can reach' },
+  { key: 'som', label: 'SOM', description: 'What you can win in 3 years' },
+];
+
+const formatValue = (kind, value, currency) => {
+  if (kind === 'currency') return formatCurrency(value, currency);
+  if (kind === 'share') return formatShare(value);
+  return formatCount(value);
+};
+
+// Shares are typed as percentages, so keep every input as a string while typing
+const toInputText = (kind, value) =>
+  String(kind === 'share' ? Number((value * 100).toFixed(2)) : value);
+
+const fromInputText = (kind, text) => {
+  const number = parseFloat(String(text).replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(number)) return 0;
+  return kind === 'share' ? Math.min(number / 100, 1) : number;
+};
+
+const toDraft = (assumptions) => {
+  const draft = {};
+  MARKET_ASSUMPTIONS.forEach(({ key, kind }) => {
+    draft[key] = toInputText(kind, assumptions[key].value);
+  });
+  return draft;
+};
+
+/**
+ * TAM/SAM/SOM for the market sizing card, worked out from its assumptions.
+ * Each assumption shows whether it is the AI's or the user's; the user's
+ * values are saved per idea through onSave. Read-only without onSave.
+ */
+export default function MarketSizingCalculator({ card, overrides, onSave }) {
+  const currency = card.currency || 'USD';
+  const savedOverrides = useMemo(() => overrides || {}, [overrides]);
+  const [draft, setDraft] = useState(() => toDraft(getMarketAssumptions(card, savedOverrides)));
+
+  // Pick up changes made elsewhere (another device, a regenerated card)
+  const sourceKey = JSON.stringify([savedOverrides, card.assumptions || null]);
+  useEffect(() => {
+    setDraft(toDraft(getMarketAssumptions(card, savedOverrides)));
+  }, [sourceKey]);
+
+  const saved = getMarketAssumptions(card, savedOverrides);
+  // Totals follow what is typed, before it is saved
+  const assumptions = { ...saved };
+  MARKET_ASSUMPTIONS.forEach(({ key, kind }) => {
+    assumptions[key] = { ...saved[key], value: fromInputText(kind, draft[key]) };
+  });
+  const size = computeMarketSize(assumptions);
+
+  const saveOverride = (key, value) => {
+    const nextOverrides = { ...savedOverrides };
+    if (value === null || value === saved[key].aiValue) {
+      delete nextOverrides[key];
+    } else {
+      nextOverrides[key] = value;
+    }
+    onSave(Object.keys(nextOverrides).length > 0 ? nextOverrides : null);
+  };
+
+  const commitDraft = (key) => {
+    if (assumptions[key].value !== saved[key].value) {
+      saveOverride(key, assumptions[key].value);
+    }
+  };
+
+  return (
+    <>
+      {card.segment ? (
+        <View style={styles.segmentBox}>
+          <Text style={styles.segmentLabel}>Segment</Text>
+          <Text style={styles.segmentText}>{card.segment}</Text>
+        </View>
+      ) : null}
+
+      {/* TAM / SAM / SOM */}
+      {FUNNEL_LEVELS.map(({ key, label, description }) => (
+        <View key={key} style={styles.funnelRow}>
+          <View style={styles.funnelLabelColumn}>
+            <Text style={styles.funnelLabel}>{label}</Text>
+            <Text style={styles.funnelDescription}>{description}</Text>
+          </View>
+          <View style={styles.funnelBarColumn}>
+            <View style={styles.funnelTrack}>
+              <View
+                style={[
+                  styles.funnelBar,
+                  { width: `${size.tam > 0 ? Math.max(2, (size[key] / size.tam) * 100) : 0}%` },
+                ]}
+              />
+            </View>
+            <Text style={styles.funnelValue}>{formatCurrency(size[key], currency, true)} / year</Text>
+          </View>
+        </View>
+      ))}
+
+      {/* Assumptions */}
+      <View style={styles.assumptionsHeader}>
+        <Text style={styles.subheading}>Assumptions</Text>
+        {onSave && Object.keys(savedOverrides).length > 0 && (
+          <TouchableOpacity onPress={() => onSave(null)}>
+            <Text style={styles.resetText}>Reset all to AI</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {MARKET_ASSUMPTIONS.map(({ key, label, kind }) => {
+        const assumption = saved[key];
+        const isUser = assumption.source === ASSUMPTION_SOURCE.USER;
+
+        return (
+          <View key={key} style={styles.assumptionRow}>
+            <View style={styles.assumptionHeader}>
+              <Text style={styles.assumptionLabel}>{label}</Text>
+              <View style={[styles.sourceBadge, isUser && styles.sourceBadgeUser]}>
+                <Text style={[styles.sourceText, isUser && styles.sourceTextUser]}>
+                  {isUser ? 'You' : 'AI'}
+                </Text>
+              </View>
+              {onSave ? (
+                <View style={styles.inputWrapper}>
+                  {kind === 'currency' && <Text style={styles.inputAffix}>{currency}</Text>}
+                  <TextInput
+                    style={styles.input}
+                    value={draft[key]}
+                    onChangeText={(text) => setDraft(prev => ({ ...prev, [key]: text }))}
+                    onEndEditing={() => commitDraft(key)}
+                    keyboardType="decimal-pad"
+                  />
+                  {kind === 'share' && <Text style={styles.inputAffix}>%</Text>}
+                </View>
+              ) : (
+                <Text style={styles.assumptionValue}>{formatValue(kind, assumption.value, currency)}</Text>
+              )}
+            </View>
+            {isUser ? (
+              <TouchableOpacity onPress={() => saveOverride(key, null)}>
+                <Text style={styles.rationaleText}>
+                  AI estimate: {formatValue(kind, assumption.aiValue, currency)} · <Text style={styles.resetText}>Use it</Text>
+                </Text>
+              </TouchableOpacity>
+            ) : assumption.rationale ? (
+              <Text style={styles.rationaleText}>{assumption.rationale}</Text>
+            ) : null}
+          </View>
+        );
+      })}
+
+      {card.caveats?.length > 0 && (
+        <>
+          <Text style={styles.subheading}>Caveats</Text>
+          {card.caveats.map((caveat, index) => (
+            <Text key={index} style={styles.caveatText}>
+              • {caveat}
+            </Text>
+          ))}
+        </>
+      )}
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  segmentBox: {
+    backgroundColor: Colors.background,
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  segmentLabel: {
+    color: Colors.accent2,
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  segmentText: {
+    color: Colors.textSecondary,
+    fontSize: 15,
+    lineHeight: 21,
+  },
+  funnelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  funnelLabelColumn: {
+    width: 110,
+  },
+  funnelLabel: {
+    color: Colors.textPrimary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  funnelDescription: {
+    color: Colors.textTertiary,
+    fontSize: 11,
+  },
+  funnelBarColumn: {
+    flex: 1,
+  },
+  funnelTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: Colors.background,
+    overflow: 'hidden',
+  },
+  funnelBar: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: Colors.accent1,
+  },
+  funnelValue: {
+    color: Colors.textPrimary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  assumptionsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: Colors.border,
+    paddingTop: 12,
+  },
+  subheading: {
+    color: Colors.textPrimary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  resetText: {
+    color: Colors.textTertiary,
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+  assumptionRow: {
+    marginBottom: 12,
+  },
+  assumptionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  assumptionLabel: {
+    flex: 1,
+    color: Colors.textSecondary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  assumptionValue: {
+    color: Colors.textPrimary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  sourceBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 6,
+    backgroundColor: Colors.background,
+  },
+  sourceBadgeUser: {
+    backgroundColor: Colors.accent2,
+  },
+  sourceText: {
+    color: Colors.textTertiary,
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  sourceTextUser: {
+    color: Colors.background,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    width: 130,
+  },
+  inputAffix: {
+    color: Colors.textTertiary,
+    fontSize: 13,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: Colors.background,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    color: Colors.textPrimary,
+    fontSize: 15,
+    textAlign: 'right',
+  },
+  rationaleText: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+    lineHeight: 17,
+    marginTop: 4,
+  },
+  caveatText: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 4,
+  },
+});
@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  PanResponder,
+} from 'react-native';
+import { Colors } from '../../constants/colors';
+import {
+  DEFAULT_NEW_CUSTOMERS_PER_MONTH,
+  CUSTOMER_MILESTONES,
+  normalizeAssumptions,
+  getCardAssumptions,
+  getBlendedArpu,
+  getLifetimeValue,
+  projectAtCustomerCount,
+  projectGrowth,
+  formatCurrency,
+} from '../../utils/revenueModel';
+
+const CHART_HEIGHT = 120;
+
+// Tier prices and mix are edited as text, so keep them as strings while typing
+const toDraft = (assumptions, scenario) => ({
+  currency: assumptions.currency,
+  tiers: assumptions.tiers.map(tier => ({
+    name: tier.name,
+    monthlyPrice: String(tier.monthlyPrice),
+    mix: String(Math.round(tier.mix * 100)),
+  })),
+  monthlyChurnRate: assumptions.monthlyChurnRate,
+  cac: assumptions.cac,
+  newCustomersPerMonth: scenario?.newCustomersPerMonth ?? DEFAULT_NEW_CUSTOMERS_PER_MONTH,
+});
+
+const fromDraft = (draft) => ({
+  assumptions: normalizeAssumptions({
+    currency: draft.currency,
+    tiers: draft.tiers,
+    monthlyChurnRate: draft.monthlyChurnRate,
+    cac: draft.cac,
+  }),
+  scenario: {
+    newCustomersPerMonth: draft.newCustomersPerMonth,
+  },
+});
+
+/**
+ * Draggable slider for a scenario value. Reports every change while dragging
+ * and calls onComplete once on release so saving happens only once.
+ */
+function ScenarioSlider({ label, value, min, max, step, formatValue, onChange, onComplete }) {
+  const [trackWidth, setTrackWidth] = useState(0);
+  const startValue = useRef(value);
+  const latestValue = useRef(value);
+  const propsRef = useRef({});
+  propsRef.current = { value, min, max, step, trackWidth, onChange, onComplete };
+
+  const valueForOffset = (offset) => {
+    const { min: lo, max: hi, step: increment, trackWidth: width } = propsRef.current;
+    if (width <= 0) return lo;
+    const raw = lo + (Math.min(Math.max(offset, 0), width) / width) * (hi - lo);
+    const stepped = Math.round(raw / increment) * increment;
+    return Math.min(Math.max(Number(stepped.toFixed(4)), lo), hi);
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: (event) => {
+        const next = valueForOffset(event.nativeEvent.locationX);
+        startValue.current = next;
+        latestValue.current = next;
+        propsRef.current.onChange(next);
+      },
+      onPanResponderMove: (event, gesture) => {
+        const { min: lo, max: hi, trackWidth: width } = propsRef.current;
+        const startOffset = width * ((startValue.current - lo) / (hi - lo || 1));
+        const next = valueForOffset(startOffset + gesture.dx);
+        latestValue.current = next;
+        propsRef.current.onChange(next);
+      },
+      onPanResponderRelease: () => {
+        propsRef.current.onComplete(latestValue.current);
+      },
+    })
+  ).current;
+
+  const fraction = max > min ? (Math.min(Math.max(value, min), max) - min) / (max - min) : 0;
+
+  return (
+    <View style={styles.sliderRow}>
+      <View style={styles.sliderLabelRow}>
+        <Text style={styles.inputLabel}>{label}</Text>
+        <Text style={styles.sliderValue}>{formatValue(value)}</Text>
+      </View>
+      <View
+        style={styles.sliderTrackArea}
+        onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+        {...panResponder.panHandlers}
+      >
+        <View style={styles.sliderTrack} pointerEvents="none">
+          <View style={[styles.sliderFill, { width: `${fraction * 100}%` }]} />
+        </View>
+        <View
+          pointerEvents="none"
+          style={[styles.sliderThumb, { left: Math.max(0, fraction * trackWidth - 10) }]}
+        />
+      </View>
+    </View>
+  );
+}
+
+/**
+ * Interactive projections for the monetization card. Starts from the card's
+ * AI assumptions; anything the user changes is saved per idea through onSave.
+ */
+export default function RevenueModelCalculator({ card, savedModel, onSave }) {
+  const aiAssumptions = useMemo(() => getCardAssumptions(card), [card]);
+  const initialDraft = () => toDraft(savedModel?.assumptions
+    ? normalizeAssumptions(savedModel.assumptions)
+    : aiAssumptions, savedModel?.scenario);
+
+  const [draft, setDraft] = useState(initialDraft);
+
+  // Pick up changes made elsewhere (another device, a regenerated card)
+  const sourceKey = JSON.stringify([savedModel || null, card?.assumptions || card?.pricingTiers || null]);
+  useEffect(() => {
+    setDraft(initialDraft());
+  }, [sourceKey]);
+
+  const { assumptions, scenario } = fromDraft(draft);
+  const { currency } = assumptions;
+  const arpu = getBlendedArpu(assumptions);
+  const lifetimeValue = getLifetimeValue(assumptions);
+  const growth = projectGrowth(assumptions, scenario.newCustomersPerMonth);
+  const maxRevenue = Math.max(...growth.map(point => point.revenue), 1);
+
+  const save = (nextDraft) => {
+    onSave(fromDraft(nextDraft));
+  };
+
+  const updateTier = (index, field, text) => {
+    setDraft(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, tIndex) => (tIndex === index ? { ...tier, [field]: text } : tier)),
+    }));
+  };
+
+  const updateScenarioValue = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const completeScenarioValue = (field, value) => {
+    const nextDraft = { ...draft, [field]: value };
+    setDraft(nextDraft);
+    save(nextDraft);
+  };
+
+  if (assumptions.tiers.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>Revenue Model</Text>
+        {savedModel && (
+          <TouchableOpacity onPress={() => onSave(null)}>
+            <Text style={styles.resetText}>Reset to AI assumptions</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Tier price and mix */}
+      <View style={styles.tierHeaderRow}>
+        <Text style={[styles.inputLabel, styles.tierNameColumn]}>Tier</Text>
+        <Text style={[styles.inputLabel, styles.tierInputColumn]}>Price / mo</Text>
+        <Text style={[styles.inputLabel, styles.tierInputColumn]}>Mix %</Text>
+      </View>
+      {draft.tiers.map((tier, index) => (
+        <View key={index} style={styles.tierRow}>
+          <Text style={[styles.tierName, styles.tierNameColumn]} numberOfLines={1}>{tier.name}</Text>
+          <TextInput
+            style={[styles.input, styles.tierInputColumn]}
+            value={tier.monthlyPrice}
+            onChangeText={(text) => updateTier(index, 'monthlyPrice', text)}
+            onEndEditing={() => save(draft)}
+            keyboardType="decimal-pad"
+          />
+          <TextInput
+            style={[styles.input, styles.tierInputColumn]}
+            value={tier.mix}
+            onChangeText={(text) => updateTier(index, 'mix', text)}
+            onEndEditing={() => save(draft)}
+            keyboardType="number-pad"
+          />
+        </View>
+      ))}
+
+      {/* Scenario sliders */}
+      <ScenarioSlider
+        label="New customers / month"
+        value={draft.newCustomersPerMonth}
+        min={0}
+        max={1000}
+        step={10}
+        formatValue={(value) => String(value)}
+        onChange={(value) => updateScenarioValue('newCustomersPerMonth', value)}
+        onComplete={(value) => completeScenarioValue('newCustomersPerMonth', value)}
+      />
+      <ScenarioSlider
+        label="Monthly churn"
+        value={draft.monthlyChurnRate}
+        min={0}
+        max={0.25}
+        step={0.005}
+        formatValue={(value) => `${(value * 100).toFixed(1)}%`}
+        onChange={(value) => updateScenarioValue('monthlyChurnRate', value)}
+        onComplete={(value) => completeScenarioValue('monthlyChurnRate', value)}
+      />
+      <ScenarioSlider
+        label="Customer acquisition cost"
+        value={draft.cac}
+        min={0}
+        max={Math.max(500, Math.ceil(aiAssumptions.cac * 2))}
+        step={1}
+        formatValue={(value) => formatCurrency(value, currency)}
+        onChange={(value) => updateScenarioValue('cac', value)}
+        onComplete={(value) => completeScenarioValue('cac', value)}
+      />
+
+      {/* Unit economics */}
+      <View style={styles.metricsRow}>
+        <View style={styles.metric}>
+          <Text style={styles.metricValue}>{formatCurrency(arpu, currency)}</Text>
+          <Text style={styles.metricLabel}>Avg / customer</Text>
+        </View>
+        <View style={styles.metric}>
+          <Text style={styles.metricValue}>
+            {lifetimeValue === null ? '∞' : formatCurrency(lifetimeValue, currency)}
+          </Text>
+          <Text style={styles.metricLabel}>Lifetime value</Text>
+        </View>
+        <View style={styles.metric}>
+          <Text style={styles.metricValue}>
+            {assumptions.cac > 0 && lifetimeValue !== null
+              ? `${(lifetimeValue / assumptions.cac).toFixed(1)}x`
+              : '—'}
+          </Text>
+          <Text style={styles.metricLabel}>LTV : CAC</Text>
+        </View>
+      </View>
+
+      {/* Monthly revenue at fixed customer counts */}
+      <Text style={styles.subheading}>Monthly projections</Text>
+      {CUSTOMER_MILESTONES.map((customers) => {
+        const projection = projectAtCustomerCount(assumptions, customers);
+        return (
+          <View key={customers} style={styles.projectionRow}>
+            <Text style={styles.projectionCustomers}>{customers} customers</Text>
+            <View style={styles.projectionValues}>
+              <Text style={styles.projectionRevenue}>{formatCurrency(projection.revenue, currency)}</Text>
+              {projection.replacementCost > 0 && (
+                <Text style={styles.projectionNet}>
+                  {formatCurrency(projection.net, currency)} after replacing churn
+                </Text>
+              )}
+            </View>
+          </View>
+        );
+      })}
+
+      {/* 12 month growth chart */}
+      <Text style={styles.subheading}>
+        First {growth.length} months at {scenario.newCustomersPerMonth} new customers / month
+      </Text>
+      <View style={styles.chart}>
+        {growth.map((point) => (
+          <View key={point.month} style={styles.chartColumn}>
+            <View style={styles.chartBarArea}>
+              <View
+                style={[
+                  styles.chartBar,
+                  { height: Math.max(2, (point.revenue / maxRevenue) * CHART_HEIGHT) },
+                ]}
+              />
+            </View>
+            <Text style={styles.chartLabel}>{point.month}</Text>
+          </View>
+        ))}
+      </View>
+      <Text style={styles.chartCaption}>
+        Month {growth.length}: {formatCurrency(growth[growth.length - 1].revenue, currency, true)} / month
+        from {growth[growth.length - 1].customers} customers
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    paddingTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: Colors.border,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    color: Colors.accent1,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  resetText: {
+    color: Colors.textTertiary,
+    fontSize: 13,
+    textDecorationLine: 'underline',
+  },
+  inputLabel: {
+    color: Colors.textSecondary,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  tierHeaderRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 6,
+  },
+  tierRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  tierNameColumn: {
+    flex: 2,
+  },
+  tierInputColumn: {
+    flex: 1,
+  },
+  tierName: {
+    color: Colors.textPrimary,
+    fontSize: 15,
+  },
+  input: {
+    backgroundColor: Colors.background,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    color: Colors.textPrimary,
+    fontSize: 15,
+  },
+  sliderRow: {
+    marginTop: 12,
+  },
+  sliderLabelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  sliderValue: {
+    color: Colors.textPrimary,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  sliderTrackArea: {
+    height: 32,
+    justifyContent: 'center',
+  },
+  sliderTrack: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: Colors.background,
+    overflow: 'hidden',
+  },
+  sliderFill: {
+    height: 4,
+    backgroundColor: Colors.accent1,
+  },
+  sliderThumb: {
+    position: 'absolute',
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: Colors.textPrimary,
+    borderWidth: 2,
+    borderColor: Colors.accent1,
+  },
+  metricsRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 16,
+  },
+  metric: {
+    flex: 1,
+    backgroundColor: Colors.background,
+    borderRadius: 12,
+    padding: 10,
+    alignItems: 'center',
+  },
+  metricValue: {
+    color: Colors.textPrimary,
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  metricLabel: {
+    color: Colors.textTertiary,
+    fontSize: 11,
+    marginTop: 2,
+  },
+  subheading: {
+    color: Colors.textPrimary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  projectionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.border,
+  },
+  projectionCustomers: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+  },
+  projectionValues: {
+    alignItems: 'flex-end',
+  },
+  projectionRevenue: {
+    color: Colors.textPrimary,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  projectionNet: {
+    color: Colors.textTertiary,
+    fontSize: 11,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 4,
+  },
+  chartColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  chartBarArea: {
+    height: CHART_HEIGHT,
+    justifyContent: 'flex-end',
+    width: '100%',
+  },
+  chartBar: {
+    width: '100%',
+    backgroundColor: Colors.accent2,
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  chartLabel: {
+    color: Colors.textTertiary,
+    fontSize: 10,
+    marginTop: 4,
+  },
+  chartCaption: {
+    color: Colors.textSecondary,
+    fontSize: 12,
+    marginTop: 8,
+  },
+});
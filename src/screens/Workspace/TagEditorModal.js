@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Colors } from '../../constants/colors';
+import { useProfile } from '../../contexts/ProfileContext';
+import {
+  DEFAULT_CATEGORY,
+  MAX_LABEL_LENGTH,
+  MAX_SECONDARY_TAGS,
+  getIdeaCategory,
+  getSecondaryTags,
+} from '../../constants/categories';
+
+/**
+ * Pick an idea's category and edit its secondary tags. Saving marks the tags
+ * as set by the user so a later analysis does not reclassify the idea.
+ */
+export default function TagEditorModal({ visible, idea, onClose, onSave, saving }) {
+  const { categoryNames, tagNames, getLabelColor } = useProfile();
+  const [category, setCategory] = useState(DEFAULT_CATEGORY);
+  const [secondaryTags, setSecondaryTags] = useState([]);
+  const [newTag, setNewTag] = useState('');
+
+  useEffect(() => {
+    if (!visible) return;
+    setCategory(getIdeaCategory(idea));
+    setSecondaryTags(getSecondaryTags(idea));
+    setNewTag('');
+  }, [visible]);
+
+  const handleAddTag = (value = newTag) => {
+    const tag = value.trim().slice(0, MAX_LABEL_LENGTH);
+    if (!tag || secondaryTags.length >= MAX_SECONDARY_TAGS) return;
+
+    const isDuplicate = [category, ...secondaryTags]
+      .some(existing => existing.toLowerCase() === tag.toLowerCase());
+    if (!isDuplicate) {
+      setSecondaryTags(prev => [...prev, tag]);
+    }
+    setNewTag('');
+  };
+
+  const handleRemoveTag = (tag) => {
+    setSecondaryTags(prev => prev.filter(existing => existing !== tag));
+  };
+
+  // The user's own tags that aren't on the idea yet, offered as one-tap adds
+  const suggestedTags = tagNames.filter(tag =>
+    ![category, ...secondaryTags].some(existing => existing.toLowerCase() === tag.toLowerCase())
+  );
+
+  const handleSave = () => {
+    onSave({
+      category,
+      secondaryTags: secondaryTags.filter(tag => tag.toLowerCase() !== category.toLowerCase()),
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={styles.container}
+        >
+          <View style={styles.content}>
+            <View style={styles.header}>
+              <Text style={styles.title}>Edit Tags</Text>
+              <TouchableOpacity onPress={onClose}>
+                <Ionicons name="close" size={24} color={Colors.textSecondary} />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.sectionLabel}>Category</Text>
+            <View style={styles.chipRow}>
+              {[...categoryNames, DEFAULT_CATEGORY].map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[
+                    styles.chip,
+                    category === option && styles.chipActive,
+                    category === option && getLabelColor(option) && { backgroundColor: getLabelColor(option) },
+                  ]}
+                  onPress={() => setCategory(option)}
+                >
+                  <Text style={[styles.chipText, category === option && styles.chipTextActive]}>
+                    {option}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionLabel}>
+              Tags ({secondaryTags.length}/{MAX_SECONDARY_TAGS})
+            </Text>
+            <View style={styles.chipRow}>
+              {secondaryTags.map(tag => (
+                <View key={tag} style={[styles.chip, styles.tagChip]}>
+                  <Text style={styles.chipText}>{tag}</Text>
+                  <TouchableOpacity onPress={() => handleRemoveTag(tag)}>
+                    <Ionicons name="close-circle" size={16} color={Colors.textTertiary} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {secondaryTags.length === 0 && (
+                <Text style={styles.emptyText}>No tags yet</Text>
+              )}
+            </View>
+
+            {secondaryTags.length < MAX_SECONDARY_TAGS && (
+              <View style={styles.addRow}>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Add a tag, e.g. Fitness"
+                  placeholderTextColor={Colors.textTertiary}
+                  value={newTag}
+                  onChangeText={setNewTag}
+                  onSubmitEditing={() => handleAddTag()}
+                  maxLength={MAX_LABEL_LENGTH}
+                  returnKeyType="done"
+                />
+                <TouchableOpacity style={styles.addButton} onPress={() => handleAddTag()}>
+                  <Ionicons name="add" size={20} color={Colors.textPrimary} />
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {secondaryTags.length < MAX_SECONDARY_TAGS && suggestedTags.length > 0 && (
+              <View style={[styles.chipRow, styles.suggestionRow]}>
+                {suggestedTags.map(tag => (
+                  <TouchableOpacity
+                    key={tag}
+                    style={[styles.chip, styles.suggestionChip, { borderColor: getLabelColor(tag) || Colors.border }]}
+                    onPress={() => handleAddTag(tag)}
+                  >
+                    <Text style={styles.chipText}>+ {tag}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            <TouchableOpacity
+              style={styles.saveButton}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color={Colors.textPrimary} />
+              ) : (
+                <Text style={styles.saveButtonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </KeyboardAvoidingView>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  container: {
+    width: '90%',
+    maxWidth: 420,
+  },
+  content: {
+    backgroundColor: Colors.surface,
+    borderRadius: 16,
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    color: Colors.textPrimary,
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  sectionLabel: {
+    color: Colors.accent1,
+    fontSize: 13,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    backgroundColor: Colors.background,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 9999,
+  },
+  chipActive: {
+    backgroundColor: Colors.accent1,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  suggestionRow: {
+    marginTop: 12,
+  },
+  suggestionChip: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+  },
+  chipText: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: Colors.textPrimary,
+  },
+  emptyText: {
+    color: Colors.textTertiary,
+    fontSize: 14,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: Colors.background,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    color: Colors.textPrimary,
+    fontSize: 15,
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: Colors.accent1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  saveButton: {
+    backgroundColor: Colors.accent1,
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  saveButtonText: {
+    color: Colors.textPrimary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -20,12 +20,37 @@ import { Ionicons } from '@expo/vector-icons';
 import { Colors } from '../../constants/colors';
 import {
   getIdea,
+  subscribeToIdea,
   updateIdea,
+  saveCardVersion,
   createCanvas,
   updateCanvas,
   setCurrentCanvas,
-  migrateNotesToCanvas
+  subscribeToCanvases,
+  subscribeToCanvasNotes,
+  generateNoteId,
+  createNote,
+  updateNote,
+  deleteNote,
+  IDEA_SCHEMA_VERSION
 } from '../../services/firestore';
+import {
+  regenerateCard,
+  retryIdeaAnalysis,
+  previewCardRefinement,
+  upgradeIdeaSchema,
+  getQuotaErrorMessage
+} from '../../services/openai';
+import UsageQuota from '../../components/UsageQuota';
+import { CardStatus, getCardStatus, getIdeaCards } from '../../constants/cards';
+import { LOW_CONFIDENCE_THRESHOLD } from '../../constants/categories';
+import { useProfile } from '../../contexts/ProfileContext';
+import CardHistoryModal from './CardHistoryModal';
+import TagEditorModal from './TagEditorModal';
+import RevenueModelCalculator from './RevenueModelCalculator';
+import MarketSizingCalculator from './MarketSizingCalculator';
+import AssumptionsRegister from './AssumptionsRegister';
+import { formatCurrency } from '../../utils/revenueModel';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -47,6 +72,8 @@ const NOTE_CATEGORIES = [
   { id: 'todo', label: 'To-Do', color: '#A78BFA' },
 ];
 
+const EMPTY_COMPETITOR = { name: '', type: '', description: '', gap: '' };
+
 // Memoized NoteCard component to prevent unnecessary re-renders
 const NoteCard = React.memo(({ note, category, panResponder, pan, isDragging, resizePanResponder, isResizing }) => {
   const animatedTransform = [];
@@ -123,13 +150,26 @@ const NoteCard = React.memo(({ note, category, panResponder, pan, isDragging, re
 
 export default function WorkspaceScreen({ navigation, route }) {
   const { ideaId } = route.params || {};
+  const { rememberTags, getLabelColor } = useProfile();
   const [idea, setIdea] = useState(null);
   const [loading, setLoading] = useState(true);
   const [expandedCard, setExpandedCard] = useState(null);
   const [businessName, setBusinessName] = useState('');
-  const [mvpGuidance, setMvpGuidance] = useState([]);
   const [mvpSections, setMvpSections] = useState([]);
   const [notesVisible, setNotesVisible] = useState(false);
+  const [retryingCards, setRetryingCards] = useState({});
+  const [retryingAnalysis, setRetryingAnalysis] = useState(false);
+  const [usageRefreshKey, setUsageRefreshKey] = useState(0);
+  const [historyCard, setHistoryCard] = useState(null); // { type, label } of the card whose history is open
+  const [competitorModalVisible, setCompetitorModalVisible] = useState(false);
+  const [tagEditorVisible, setTagEditorVisible] = useState(false);
+  const [savingTags, setSavingTags] = useState(false);
+  const [competitorForm, setCompetitorForm] = useState(EMPTY_COMPETITOR);
+  const [refineCard, setRefineCard] = useState(null); // { type, label } of the card being refined
+  const [refinePrompt, setRefinePrompt] = useState('');
+  const [refinePreview, setRefinePreview] = useState(null);
+  const [refineLoading, setRefineLoading] = useState(false);
+  const [refineSaving, setRefineSaving] = useState(false);
   const slideAnim = useRef(new Animated.Value(0)).current;
 
   // Canvas state
@@ -140,6 +180,7 @@ export default function WorkspaceScreen({ navigation, route }) {
   const [renamingCanvasId, setRenamingCanvasId] = useState(null);
   const [newCanvasName, setNewCanvasName] = useState('');
   const [currentCarouselIndex, setCurrentCarouselIndex] = useState(0);
+  const [canvasNotes, setCanvasNotes] = useState({}); // Notes of the other canvases, for the carousel
   const canvasZoomAnim = useRef(new Animated.Value(1)).current;
   const canvasLabelScaleAnim = useRef(new Animated.Value(1)).current;
 
@@ -160,7 +201,13 @@ export default function WorkspaceScreen({ navigation, route }) {
   const notePanValues = useRef({}).current;
   const notePanResponders = useRef({}).current;
   const noteResizePanResponders = useRef({}).current;
-  const justFinishedDrag = useRef(false);
+  // Pan responders outlive renders, so they read the latest state through refs
+  const notesRef = useRef(notes);
+  notesRef.current = notes;
+  const currentCanvasIdRef = useRef(currentCanvasId);
+  currentCanvasIdRef.current = currentCanvasId;
+  const activeNoteIdRef = useRef(null);
+  activeNoteIdRef.current = draggingNoteId || resizingNoteId;
   const carouselScrollRef = useRef(null);
 
   const gridDots = useMemo(() => {
@@ -200,51 +247,21 @@ export default function WorkspaceScreen({ navigation, route }) {
       try {
         let ideaData = await getIdea(ideaId);
         if (ideaData) {
-          // Migrate to canvas structure if needed
-          await migrateNotesToCanvas(ideaId);
-
-          // Reload idea data after migration
-          ideaData = await getIdea(ideaId);
-
-          setIdea(ideaData);
-
-          // Mark analysis as reviewed if it hasn't been reviewed yet
-          if (ideaData.analyzing === false && ideaData.analysisReviewed === false) {
-            try {
-              await updateIdea(ideaId, { analysisReviewed: true });
-              console.log('✅ Marked idea as reviewed');
-            } catch (error) {
-              console.error('Error marking idea as reviewed:', error);
-            }
+          // The server brings ideas stored in an older shape up to date
+          if ((ideaData.schemaVersion || 0) < IDEA_SCHEMA_VERSION) {
+            await upgradeIdeaSchema(ideaId);
+            ideaData = await getIdea(ideaId);
           }
 
-          // Populate branding fields if they exist
-          if (ideaData.cards?.mvp) {
-            setBusinessName(ideaData.cards.mvp.name || '');
-            setMvpSections(ideaData.cards.mvp.sections || []);
-            setMvpGuidance(ideaData.cards.mvp.guidance || []); // Backward compatibility
-          } else if (ideaData.cards?.conceptBranding) {
-            // Fallback for old data structure
-            setBusinessName(ideaData.cards.conceptBranding.name || '');
-            setMvpSections([]);
-            setMvpGuidance([]);
+          // Every idea has at least one canvas
+          if (!ideaData.currentCanvasId) {
+            const canvas = await createCanvas(ideaId, 'Main Canvas');
+            ideaData = { ...ideaData, currentCanvasId: canvas.id };
           }
 
-          // Load canvases
-          if (ideaData.canvases && Array.isArray(ideaData.canvases)) {
-            console.log('📥 LOADING CANVASES FROM FIRESTORE:', ideaData.canvases);
-            setCanvases(ideaData.canvases);
-
-            // Set current canvas
-            const activeCanvasId = ideaData.currentCanvasId || ideaData.canvases[0]?.id;
-            setCurrentCanvasIdState(activeCanvasId);
-
-            // Load notes for current canvas
-            const activeCanvas = ideaData.canvases.find(c => c.id === activeCanvasId);
-            if (activeCanvas && activeCanvas.notes) {
-              setNotes(activeCanvas.notes);
-            }
-          }
+          setIdea(ideaData);
+          applyBrandingFields(ideaData);
+          setCurrentCanvasIdState(ideaData.currentCanvasId);
         } else {
           Alert.alert('Error', 'Idea not found');
           navigation.goBack();
@@ -261,42 +278,68 @@ export default function WorkspaceScreen({ navigation, route }) {
     loadIdea();
   }, [ideaId]);
 
-  // Save notes to current canvas whenever they change
+  // Keep cards live while analysis fills them in card by card
   useEffect(() => {
-    // Skip saving on initial mount and when idea hasn't loaded yet
-    if (!idea || !ideaId || !currentCanvasId) return;
+    if (!ideaId || loading) return;
 
-    // CRITICAL: Do NOT save during active drag to prevent re-renders and flickering
-    if (draggingNoteId !== null) {
-      console.log('⏸️ Skipping save - drag in progress');
-      return;
-    }
+    const unsubscribe = subscribeToIdea(ideaId, (ideaData) => {
+      setIdea(ideaData);
+      applyBrandingFields(ideaData);
 
-    const saveNotes = async () => {
-      try {
-        console.log('=== SAVING NOTES TO CANVAS ===');
-        console.log('Canvas ID:', currentCanvasId);
-        console.log('Notes being saved:', JSON.stringify(notes, null, 2));
-        await updateCanvas(ideaId, currentCanvasId, { notes });
-
-        // Update local canvases state to keep carousel in sync
-        setCanvases(prevCanvases => prevCanvases.map(c =>
-          c.id === currentCanvasId ? { ...c, notes } : c
-        ));
-
-        console.log('Notes saved successfully to canvas');
-        justFinishedDrag.current = false; // Reset flag after save
-      } catch (error) {
-        console.error('Error saving notes to canvas:', error);
-        // Optionally show error to user, but don't block UI
+      // Mark analysis as reviewed once it has finished
+      if (ideaData.analyzing === false && ideaData.analysisReviewed === false) {
+        updateIdea(ideaId, { analysisReviewed: true })
+          .then(() => console.log('✅ Marked idea as reviewed'))
+          .catch((error) => console.error('Error marking idea as reviewed:', error));
       }
-    };
+    });
+
+    return () => unsubscribe();
+  }, [ideaId, loading]);
+
+  const ideaLoaded = Boolean(idea);
+
+  // Canvases and their notes are separate documents, kept live
+  useEffect(() => {
+    if (!ideaLoaded || !ideaId) return undefined;
+
+    const unsubscribe = subscribeToCanvases(ideaId, setCanvases);
+    return () => unsubscribe();
+  }, [ideaId, ideaLoaded]);
+
+  useEffect(() => {
+    if (!ideaLoaded || !ideaId || !currentCanvasId) return undefined;
+
+    const unsubscribe = subscribeToCanvasNotes(ideaId, currentCanvasId, (remoteNotes) => {
+      // The note under the user's finger keeps its local position and size
+      const activeNote = notesRef.current.find(n => n.id === activeNoteIdRef.current);
+      setNotes(activeNote
+        ? remoteNotes.map(n => (n.id === activeNote.id ? activeNote : n))
+        : remoteNotes);
+    });
+    return () => unsubscribe();
+  }, [ideaId, ideaLoaded, currentCanvasId]);
 
-    // If we just finished a drag, save immediately; otherwise debounce
-    const delay = justFinishedDrag.current ? 0 : 500;
-    const timeoutId = setTimeout(saveNotes, delay);
-    return () => clearTimeout(timeoutId);
-  }, [notes, ideaId, idea, currentCanvasId, draggingNoteId]);
+  // The carousel previews every canvas, so follow the others while it is open
+  useEffect(() => {
+    if (!canvasPickerVisible || !ideaId) return undefined;
+
+    const unsubscribes = canvases
+      .filter(canvas => canvas.id !== currentCanvasId)
+      .map(canvas => subscribeToCanvasNotes(ideaId, canvas.id, (canvasNoteList) => {
+        setCanvasNotes(prev => ({ ...prev, [canvas.id]: canvasNoteList }));
+      }));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [canvasPickerVisible, ideaId, canvases, currentCanvasId]);
+
+  const getNotesForCanvas = (canvasId) =>
+    (canvasId === currentCanvasId ? notes : canvasNotes[canvasId] || []);
+
+  // Save one note's changed fields; the notes subscription confirms them
+  const persistNoteUpdate = (noteId, updates) => {
+    updateNote(ideaId, currentCanvasIdRef.current, noteId, updates)
+      .catch((error) => console.error('Error saving note:', error));
+  };
 
 
   // Format date for display
@@ -310,10 +353,282 @@ export default function WorkspaceScreen({ navigation, route }) {
     });
   };
 
+  // Populate branding fields if they exist
+  const applyBrandingFields = (ideaData) => {
+    if (ideaData.cards?.mvp) {
+      setBusinessName(ideaData.cards.mvp.name || '');
+      setMvpSections(ideaData.cards.mvp.sections || []);
+    }
+  };
+
   const toggleCard = (cardName) => {
     setExpandedCard(expandedCard === cardName ? null : cardName);
   };
 
+  // Quota errors get their own title and the server's message
+  const aiErrorAlert = (error, fallbackMessage) => {
+    const quotaMessage = getQuotaErrorMessage(error);
+    return quotaMessage ? ['AI Limit Reached', quotaMessage] : ['Error', fallbackMessage];
+  };
+
+  const handleRetryCard = async (cardType) => {
+    if (retryingCards[cardType]) return;
+
+    setRetryingCards(prev => ({ ...prev, [cardType]: true }));
+    try {
+      // Status and the new card arrive through the idea subscription
+      await regenerateCard(ideaId, cardType, idea.originalInput);
+    } catch (error) {
+      console.error('Error retrying card:', error);
+      Alert.alert(...aiErrorAlert(error, 'Failed to regenerate this card. Please try again.'));
+    } finally {
+      setRetryingCards(prev => ({ ...prev, [cardType]: false }));
+      setUsageRefreshKey(prev => prev + 1);
+    }
+  };
+
+  const handleSaveRevenueModel = async (revenueModel) => {
+    try {
+      // null clears the user's changes and falls back to the card's assumptions
+      await updateIdea(ideaId, { revenueModel });
+    } catch (error) {
+      console.error('Error saving revenue model:', error);
+      Alert.alert('Error', 'Failed to save revenue model');
+    }
+  };
+
+  const handleSaveMarketSizingOverrides = async (marketSizingOverrides) => {
+    try {
+      // null clears the user's numbers and falls back to the card's assumptions
+      await updateIdea(ideaId, { marketSizingOverrides });
+    } catch (error) {
+      console.error('Error saving market sizing:', error);
+      Alert.alert('Error', 'Failed to save market sizing');
+    }
+  };
+
+  const handleSaveTags = async ({ category, secondaryTags }) => {
+    setSavingTags(true);
+    try {
+      // source 'user' stops later analyses from reclassifying the idea
+      await updateIdea(ideaId, {
+        tags: [category, ...secondaryTags],
+        classification: {
+          ...(idea.classification || {}),
+          category,
+          secondaryTags,
+          source: 'user',
+        },
+      });
+      setTagEditorVisible(false);
+      await rememberTags(secondaryTags);
+    } catch (error) {
+      console.error('Error saving tags:', error);
+      Alert.alert('Error', 'Failed to save tags');
+    } finally {
+      setSavingTags(false);
+    }
+  };
+
+  const handleSaveCompetitor = async () => {
+    if (!competitorForm.name.trim()) return;
+
+    const competitor = {
+      id: Date.now().toString(),
+      name: competitorForm.name.trim(),
+      type: competitorForm.type.trim(),
+      description: competitorForm.description.trim(),
+      gap: competitorForm.gap.trim(),
+    };
+
+    try {
+      await updateIdea(ideaId, {
+        manualCompetitors: [...(idea.manualCompetitors || []), competitor],
+      });
+      setCompetitorModalVisible(false);
+      setCompetitorForm(EMPTY_COMPETITOR);
+    } catch (error) {
+      console.error('Error adding competitor:', error);
+      Alert.alert('Error', 'Failed to add competitor');
+    }
+  };
+
+  const handleDeleteCompetitor = (competitorId) => {
+    Alert.alert(
+      'Remove Competitor',
+      'Remove this competitor from the landscape?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await updateIdea(ideaId, {
+                manualCompetitors: (idea.manualCompetitors || []).filter(c => c.id !== competitorId),
+              });
+            } catch (error) {
+              console.error('Error removing competitor:', error);
+              Alert.alert('Error', 'Failed to remove competitor');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const openRefine = (cardType, label) => {
+    setRefineCard({ type: cardType, label });
+    setRefinePrompt('');
+    setRefinePreview(null);
+  };
+
+  const closeRefine = () => {
+    if (refineLoading || refineSaving) return;
+    setRefineCard(null);
+    setRefinePrompt('');
+    setRefinePreview(null);
+  };
+
+  const handleGenerateRefinement = async () => {
+    if (!refinePrompt.trim() || refineLoading) return;
+
+    setRefineLoading(true);
+    try {
+      const card = await previewCardRefinement(ideaId, refineCard.type, idea.originalInput, refinePrompt.trim());
+      setRefinePreview(card);
+    } catch (error) {
+      console.error('Error refining card:', error);
+      Alert.alert(...aiErrorAlert(error, 'Failed to refine this card. Please try again.'));
+    } finally {
+      setRefineLoading(false);
+      setUsageRefreshKey(prev => prev + 1);
+    }
+  };
+
+  const handleAcceptRefinement = async () => {
+    if (!refinePreview || refineSaving) return;
+
+    setRefineSaving(true);
+    try {
+      // The card it replaces stays in the version history
+      await saveCardVersion(ideaId, refineCard.type, refinePreview, 'regenerated', {
+        previousCard: idea.cards?.[refineCard.type],
+        refinementPrompt: refinePrompt.trim(),
+      });
+      setRefineCard(null);
+      setRefinePrompt('');
+      setRefinePreview(null);
+    } catch (error) {
+      console.error('Error saving refined card:', error);
+      Alert.alert('Error', 'Failed to save the refined card.');
+    } finally {
+      setRefineSaving(false);
+    }
+  };
+
+  const handleRetryAnalysis = async () => {
+    if (retryingAnalysis) return;
+
+    setRetryingAnalysis(true);
+    try {
+      await retryIdeaAnalysis(ideaId);
+    } catch (error) {
+      console.error('Error retrying analysis:', error);
+      Alert.alert(...aiErrorAlert(error, 'Failed to restart the analysis. Please try again.'));
+    } finally {
+      setRetryingAnalysis(false);
+      setUsageRefreshKey(prev => prev + 1);
+    }
+  };
+
+  const renderAnalysisFailedBanner = () => {
+    if (idea.analyzing || idea.analysisJob?.status !== 'failed') return null;
+
+    return (
+      <View style={styles.analysisFailedBanner}>
+        <Ionicons name="alert-circle" size={20} color={Colors.error} />
+        <Text style={styles.analysisFailedBannerText} numberOfLines={2}>
+          {idea.analysisJob.error || 'Analysis failed.'}
+        </Text>
+        <TouchableOpacity
+          style={styles.cardRetryButton}
+          onPress={handleRetryAnalysis}
+          disabled={retryingAnalysis}
+        >
+          {retryingAnalysis ? (
+            <ActivityIndicator size="small" color={Colors.error} />
+          ) : (
+            <>
+              <Ionicons name="refresh" size={14} color={Colors.error} />
+              <Text style={styles.cardRetryText}>Retry</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderCardStatus = (cardType) => {
+    const status = getCardStatus(idea, cardType);
+
+    if (status === CardStatus.PENDING || status === CardStatus.GENERATING || retryingCards[cardType]) {
+      return <ActivityIndicator size="small" color={Colors.accent1} style={styles.cardStatusIndicator} />;
+    }
+
+    if (status === CardStatus.FAILED) {
+      return (
+        <TouchableOpacity
+          style={styles.cardRetryButton}
+          onPress={() => handleRetryCard(cardType)}
+        >
+          <Ionicons name="refresh" size={14} color={Colors.error} />
+          <Text style={styles.cardRetryText}>Retry</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return null;
+  };
+
+  const renderCardHeader = (cardType, title) => (
+    <>
+      <TouchableOpacity
+        style={styles.cardHeader}
+        onPress={() => toggleCard(cardType)}
+      >
+        <Text style={styles.cardTitle}>{title}</Text>
+        <View style={styles.cardHeaderRight}>
+          {renderCardStatus(cardType)}
+          {idea.cards?.[cardType] && getCardStatus(idea, cardType) === CardStatus.READY && (
+            <TouchableOpacity
+              style={styles.cardHistoryButton}
+              onPress={() => openRefine(cardType, title)}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="sparkles-outline" size={18} color={Colors.textSecondary} />
+            </TouchableOpacity>
+          )}
+          {idea.cards?.[cardType] && (
+            <TouchableOpacity
+              style={styles.cardHistoryButton}
+              onPress={() => setHistoryCard({ type: cardType, label: title })}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="time-outline" size={18} color={Colors.textSecondary} />
+            </TouchableOpacity>
+          )}
+          <Text style={styles.expandIcon}>
+            {expandedCard === cardType ? '−' : '+'}
+          </Text>
+        </View>
+      </TouchableOpacity>
+      {getCardStatus(idea, cardType) === CardStatus.FAILED && idea.cardErrors?.[cardType] && !retryingCards[cardType] && (
+        <Text style={styles.cardErrorText}>{idea.cardErrors[cardType]}</Text>
+      )}
+    </>
+  );
+
   const toggleNotes = () => {
     const toValue = notesVisible ? 0 : -SCREEN_WIDTH;
     setNotesVisible(!notesVisible);
@@ -377,11 +692,8 @@ export default function WorkspaceScreen({ navigation, route }) {
   const handleCreateCanvas = async () => {
     try {
       const canvasNumber = canvases.length + 1;
+      // Creating a canvas also makes it the current one
       const newCanvas = await createCanvas(ideaId, `Canvas ${canvasNumber}`);
-      setCanvases([...canvases, newCanvas]);
-
-      // Switch to new canvas and close picker with animation
-      await setCurrentCanvas(ideaId, newCanvas.id);
       setCurrentCanvasIdState(newCanvas.id);
       setNotes([]); // New canvas is empty
 
@@ -416,20 +728,12 @@ export default function WorkspaceScreen({ navigation, route }) {
     }
 
     try {
-      // Save current canvas notes before switching
-      if (currentCanvasId) {
-        await updateCanvas(ideaId, currentCanvasId, { notes });
-      }
-
-      // Set new current canvas
+      // Notes are saved as they change, so there is nothing to flush first
       await setCurrentCanvas(ideaId, canvasId);
-      setCurrentCanvasIdState(canvasId);
 
-      // Load notes for new canvas
-      const canvas = canvases.find(c => c.id === canvasId);
-      if (canvas) {
-        setNotes(canvas.notes || []);
-      }
+      // Show the carousel's copy until the new canvas's subscription catches up
+      setNotes(canvasNotes[canvasId] || []);
+      setCurrentCanvasIdState(canvasId);
 
       // Close picker with zoom animation
       Animated.spring(canvasZoomAnim, {
@@ -458,10 +762,6 @@ export default function WorkspaceScreen({ navigation, route }) {
     if (newCanvasName && newCanvasName.trim()) {
       try {
         await updateCanvas(ideaId, renamingCanvasId, { name: newCanvasName.trim() });
-        // Update local state
-        setCanvases(canvases.map(c =>
-          c.id === renamingCanvasId ? { ...c, name: newCanvasName.trim() } : c
-        ));
         console.log('✅ Renamed canvas:', renamingCanvasId, 'to', newCanvasName);
         setRenameModalVisible(false);
         setRenamingCanvasId(null);
@@ -481,41 +781,14 @@ export default function WorkspaceScreen({ navigation, route }) {
   const handleSaveBusinessName = async () => {
     if (editBusinessNameValue !== undefined && editBusinessNameValue.trim()) {
       try {
-        // Update in Firestore - use mvp card, fallback to conceptBranding for legacy data
-        const updateData = idea.cards?.mvp
-          ? {
-              cards: {
-                ...idea.cards,
-                mvp: {
-                  ...idea.cards.mvp,
-                  name: editBusinessNameValue.trim(),
-                }
-              }
-            }
-          : {
-              cards: {
-                ...idea.cards,
-                conceptBranding: {
-                  ...idea.cards?.conceptBranding,
-                  name: editBusinessNameValue.trim(),
-                }
-              }
-            };
-
-        await updateIdea(ideaId, updateData);
+        // The name lives on the mvp card, so the edit is saved to its history
+        await saveCardVersion(ideaId, 'mvp', {
+          ...idea.cards.mvp,
+          name: editBusinessNameValue.trim(),
+        }, 'edit', { previousCard: idea.cards.mvp });
 
         // Update local state
         setBusinessName(editBusinessNameValue.trim());
-        setIdea({
-          ...idea,
-          cards: {
-            ...idea.cards,
-            conceptBranding: {
-              ...idea.cards?.conceptBranding,
-              name: editBusinessNameValue.trim(),
-            }
-          }
-        });
 
         console.log('✅ Updated business name to:', editBusinessNameValue);
         setEditBusinessNameModalVisible(false);
@@ -527,7 +800,7 @@ export default function WorkspaceScreen({ navigation, route }) {
     }
   };
 
-  const handleSaveNote = () => {
+  const handleSaveNote = async () => {
     if (!noteTitle.trim()) {
       Alert.alert('Error', 'Please enter a note title');
       return;
@@ -545,7 +818,7 @@ export default function WorkspaceScreen({ navigation, route }) {
     }
 
     const newNote = {
-      id: currentNote?.id || Date.now().toString(),
+      id: currentNote?.id || generateNoteId(),
       title: noteTitle,
       category: noteCategory,
       content: noteContent,
@@ -558,7 +831,8 @@ export default function WorkspaceScreen({ navigation, route }) {
       categoryData,
     };
 
-    if (currentNote) {
+    const editing = Boolean(currentNote);
+    if (editing) {
       // Edit existing note
       setNotes(notes.map(n => n.id === currentNote.id ? newNote : n));
     } else {
@@ -568,6 +842,52 @@ export default function WorkspaceScreen({ navigation, route }) {
 
     setModalVisible(false);
     resetNoteFields();
+
+    try {
+      if (editing) {
+        // Only the fields that changed, so edits made elsewhere to the rest are kept
+        const changes = {};
+        ['title', 'category', 'content', 'categoryData'].forEach((field) => {
+          if (JSON.stringify(newNote[field]) !== JSON.stringify(currentNote[field])) {
+            changes[field] = newNote[field];
+          }
+        });
+        if (Object.keys(changes).length > 0) {
+          await updateNote(ideaId, currentCanvasId, newNote.id, changes);
+        }
+      } else {
+        await createNote(ideaId, currentCanvasId, newNote);
+      }
+    } catch (error) {
+      console.error('Error saving note:', error);
+      Alert.alert('Error', 'Failed to save note');
+    }
+  };
+
+  const handleDeleteNote = () => {
+    const noteId = currentNote.id;
+    Alert.alert(
+      'Delete Note',
+      'Delete this note from the canvas?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setNotes(prevNotes => prevNotes.filter(n => n.id !== noteId));
+            setModalVisible(false);
+            resetNoteFields();
+            try {
+              await deleteNote(ideaId, currentCanvasId, noteId);
+            } catch (error) {
+              console.error('Error deleting note:', error);
+              Alert.alert('Error', 'Failed to delete note');
+            }
+          },
+        },
+      ]
+    );
   };
 
   const resetNoteFields = () => {
@@ -708,26 +1028,21 @@ export default function WorkspaceScreen({ navigation, route }) {
           if (isDragging) {
             isDragging = false;
             setDraggingNoteId(null);
-            justFinishedDrag.current = true; // Mark that we just finished dragging
 
             // Get the current animated values (these are the actual drag deltas)
             const dx = pan.x._value;
             const dy = pan.y._value;
 
-            // Update note position in state
             // IMPORTANT: Look up current note position from state, not from closure
-            setNotes(prevNotes => {
-              return prevNotes.map(n => {
-                if (n.id === note.id) {
-                  // Use current position from state, not stale closure variable
-                  const newX = n.position.x + dx;
-                  const newY = n.position.y + dy;
-
-                  return { ...n, position: { x: newX, y: newY } };
-                }
-                return n;
-              });
-            });
+            const draggedNote = notesRef.current.find(n => n.id === note.id);
+            if (draggedNote) {
+              const moved = {
+                position: { x: draggedNote.position.x + dx, y: draggedNote.position.y + dy },
+                zIndex: draggedNote.zIndex,
+              };
+              setNotes(prevNotes => prevNotes.map(n => (n.id === note.id ? { ...n, ...moved } : n)));
+              persistNoteUpdate(note.id, moved);
+            }
 
             // Reset pan value AFTER state update completes and React re-renders
             // This prevents the visual "pop" where the note jumps back then forward
@@ -789,6 +1104,7 @@ export default function WorkspaceScreen({ navigation, route }) {
 
     let initialWidth = 0;
     let initialHeight = 0;
+    let resizedDimensions = null;
 
     noteResizePanResponders[note.id] = PanResponder.create({
       onStartShouldSetPanResponder: () => true,
@@ -797,6 +1113,7 @@ export default function WorkspaceScreen({ navigation, route }) {
       onMoveShouldSetPanResponderCapture: () => true,
 
       onPanResponderGrant: () => {
+        resizedDimensions = null;
         setResizingNoteId(note.id);
         // Get current dimensions from state, not stale closure
         setNotes(prevNotes => {
@@ -811,6 +1128,7 @@ export default function WorkspaceScreen({ navigation, route }) {
         // Calculate new dimensions based on drag delta from initial size
         const newWidth = Math.max(NOTE_CARD_MIN_WIDTH, Math.min(NOTE_CARD_MAX_WIDTH, initialWidth + gestureState.dx));
         const newHeight = Math.max(NOTE_CARD_MIN_HEIGHT, Math.min(NOTE_CARD_MAX_HEIGHT, initialHeight + gestureState.dy));
+        resizedDimensions = { width: newWidth, height: newHeight };
 
         // Update note dimensions in real-time
         setNotes(prevNotes => prevNotes.map(n => {
@@ -829,7 +1147,9 @@ export default function WorkspaceScreen({ navigation, route }) {
 
       onPanResponderRelease: () => {
         setResizingNoteId(null);
-        justFinishedDrag.current = true; // Trigger save
+        if (resizedDimensions) {
+          persistNoteUpdate(note.id, { dimensions: resizedDimensions });
+        }
       },
 
       onPanResponderTerminate: () => {
@@ -840,270 +1160,463 @@ export default function WorkspaceScreen({ navigation, route }) {
     return noteResizePanResponders[note.id];
   };
 
-  const renderSummaryCard = () => (
-    <View style={styles.card}>
-      <TouchableOpacity
-        style={styles.cardHeader}
-        onPress={() => toggleCard('summary')}
-      >
-        <Text style={styles.cardTitle}>Summary</Text>
-        <Text style={styles.expandIcon}>
-          {expandedCard === 'summary' ? '−' : '+'}
-        </Text>
-      </TouchableOpacity>
+  // Card bodies render from a card object so refinement previews can reuse them
+  const renderSummaryContent = (summary) => (
+    <>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Problem</Text>
+        <Text style={styles.sectionText}>{summary.problem}</Text>
+      </View>
 
-      {expandedCard === 'summary' && idea?.cards?.summary && (
-        <View style={styles.cardContent}>
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Problem</Text>
-            <Text style={styles.sectionText}>{idea.cards.summary.problem}</Text>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Target Audience</Text>
+        <Text style={styles.sectionText}>{summary.audience}</Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Core Features</Text>
+        {summary.features.map((feature, index) => (
+          <Text key={index} style={styles.bulletText}>
+            • {feature}
+          </Text>
+        ))}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Value Proposition</Text>
+        <Text style={styles.sectionText}>{summary.valueProp}</Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Reality Check</Text>
+        {summary.realityCheck.map((check, index) => (
+          <Text key={index} style={styles.bulletText}>
+            • {check}
+          </Text>
+        ))}
+      </View>
+    </>
+  );
+
+  const renderActionableInsightsContent = (actionableInsights) => (
+    <>
+      <Text style={styles.stepsHeader}>Strategic advice to develop your idea:</Text>
+      {actionableInsights.insights.map((insight, index) => (
+        <View key={index} style={styles.section}>
+          <View style={styles.highlightBox}>
+            <View style={styles.insightHeader}>
+              <Text style={styles.sectionTitle}>{insight.title}</Text>
+              <View style={styles.categoryBadge}>
+                <Text style={styles.categoryText}>{insight.category}</Text>
+              </View>
+            </View>
+            <Text style={styles.sectionText}>{insight.advice}</Text>
           </View>
+        </View>
+      ))}
+    </>
+  );
 
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Target Audience</Text>
-            <Text style={styles.sectionText}>{idea.cards.summary.audience}</Text>
+  const renderCompetitor = (competitor, index, isManual = false) => (
+    <View key={competitor.id || index} style={styles.highlightBox}>
+      <View style={styles.insightHeader}>
+        <Text style={styles.altModelName}>{competitor.name}</Text>
+        <View style={styles.competitorBadges}>
+          {competitor.type ? (
+            <View style={styles.categoryBadge}>
+              <Text style={styles.categoryText}>{competitor.type}</Text>
+            </View>
+          ) : null}
+          {isManual && (
+            <TouchableOpacity
+              onPress={() => handleDeleteCompetitor(competitor.id)}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Ionicons name="trash-outline" size={16} color={Colors.textTertiary} />
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+      {competitor.description ? (
+        <Text style={styles.sectionText}>{competitor.description}</Text>
+      ) : null}
+      {competitor.gap ? (
+        <View style={styles.scenarioSection}>
+          <Text style={styles.scenarioLabel}>Gap:</Text>
+          <Text style={styles.sectionText}>{competitor.gap}</Text>
+        </View>
+      ) : null}
+    </View>
+  );
+
+  const renderSimilarConceptsContent = (similarConcepts) => (
+    <>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Similar Concepts</Text>
+        {similarConcepts.concepts.map((concept, index) => renderCompetitor(concept, index))}
+      </View>
+
+      {similarConcepts.differentiation ? (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Your Differentiation</Text>
+          <View style={styles.highlightBox}>
+            <Text style={styles.sectionText}>{similarConcepts.differentiation}</Text>
           </View>
+        </View>
+      ) : null}
+    </>
+  );
 
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Core Features</Text>
-            {idea.cards.summary.features.map((feature, index) => (
-              <Text key={index} style={styles.bulletText}>
+  const renderUserScenariosContent = (userScenarios) => (
+    <>
+      {userScenarios.scenarios.map((scenario, index) => (
+        <View key={index} style={styles.scenarioItem}>
+          <Text style={styles.personaText}>{scenario.persona}</Text>
+          <View style={styles.highlightBox}>
+            <View style={styles.scenarioSection}>
+              <Text style={styles.scenarioLabel}>Context:</Text>
+              <Text style={styles.sectionText}>{scenario.context}</Text>
+            </View>
+            <View style={styles.scenarioSection}>
+              <Text style={styles.scenarioLabel}>Journey:</Text>
+              <Text style={styles.sectionText}>{scenario.journey}</Text>
+            </View>
+            <View style={styles.scenarioSection}>
+              <Text style={styles.scenarioLabel}>Outcome:</Text>
+              <Text style={styles.outcomeText}>{scenario.outcome}</Text>
+            </View>
+          </View>
+          {index < userScenarios.scenarios.length - 1 && (
+            <View style={styles.divider} />
+          )}
+        </View>
+      ))}
+    </>
+  );
+
+  const renderMonetizationContent = (monetization) => (
+    <>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Primary Revenue Model</Text>
+        <View style={styles.highlightBox}>
+          <Text style={styles.monetizationModel}>{monetization.primaryModel}</Text>
+          <Text style={styles.sectionText}>{monetization.modelRationale}</Text>
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Pricing Tiers</Text>
+        {monetization.pricingTiers.map((tier, index) => (
+          <View key={index} style={styles.pricingTier}>
+            <View style={styles.tierHeader}>
+              <Text style={styles.tierName}>{tier.name}</Text>
+              <Text style={styles.tierPrice}>{tier.price}</Text>
+            </View>
+            {tier.features.map((feature, fIndex) => (
+              <Text key={fIndex} style={styles.tierFeature}>
                 • {feature}
               </Text>
             ))}
           </View>
+        ))}
+      </View>
 
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Value Proposition</Text>
-            <Text style={styles.sectionText}>{idea.cards.summary.valueProp}</Text>
-          </View>
+      {monetization.alternativeModels && monetization.alternativeModels.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Alternative Approaches</Text>
+          {monetization.alternativeModels.map((alt, index) => (
+            <View key={index} style={styles.highlightBox}>
+              <Text style={styles.altModelName}>{alt.name}</Text>
+              <Text style={styles.sectionText}>{alt.description}</Text>
+            </View>
+          ))}
+        </View>
+      )}
 
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Reality Check</Text>
-            {idea.cards.summary.realityCheck.map((check, index) => (
-              <Text key={index} style={styles.bulletText}>
-                • {check}
-              </Text>
-            ))}
+      {/* Cards with structured assumptions get projections from RevenueModelCalculator */}
+      {monetization.projections && !monetization.assumptions && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Revenue Projections</Text>
+          <View style={styles.highlightBox}>
+            <Text style={styles.projectionText}>100 users: {monetization.projections.users100}</Text>
+            <Text style={styles.projectionText}>500 users: {monetization.projections.users500}</Text>
+            <Text style={styles.projectionText}>1000 users: {monetization.projections.users1000}</Text>
           </View>
         </View>
       )}
-    </View>
+    </>
   );
 
-  const renderActionableInsightsCard = () => (
-    <View style={styles.card}>
-      <TouchableOpacity
-        style={styles.cardHeader}
-        onPress={() => toggleCard('actionableInsights')}
-      >
-        <Text style={styles.cardTitle}>Actionable Insights</Text>
-        <Text style={styles.expandIcon}>
-          {expandedCard === 'actionableInsights' ? '−' : '+'}
-        </Text>
-      </TouchableOpacity>
+  const renderMvpContent = (mvp) => {
+    const sections = mvp.sections || [];
+
+    if (sections.length > 0) {
+      return sections.map((section, index) => (
+        <View key={index} style={styles.section}>
+          <View style={styles.highlightBox}>
+            <Text style={styles.sectionTitle}>{section.title}</Text>
+            {section.description && (
+              <Text style={styles.sectionText}>{section.description}</Text>
+            )}
+            {section.points && section.points.length > 0 && (
+              <View style={{ marginTop: 8 }}>
+                {section.points.map((point, pIndex) => (
+                  <Text key={pIndex} style={styles.bulletText}>
+                    • {point}
+                  </Text>
+                ))}
+              </View>
+            )}
+          </View>
+        </View>
+      ));
+    }
 
-      {expandedCard === 'actionableInsights' && idea?.cards?.actionableInsights && (
-        <View style={styles.cardContent}>
-          <Text style={styles.stepsHeader}>Strategic advice to develop your idea:</Text>
-          {idea.cards.actionableInsights.insights.map((insight, index) => (
-            <View key={index} style={styles.section}>
-              <View style={styles.highlightBox}>
-                <View style={styles.insightHeader}>
-                  <Text style={styles.sectionTitle}>{insight.title}</Text>
-                  <View style={styles.categoryBadge}>
-                    <Text style={styles.categoryText}>{insight.category}</Text>
-                  </View>
-                </View>
-                <Text style={styles.sectionText}>{insight.advice}</Text>
+    return null;
+  };
+
+  const renderManufacturingContent = (manufacturing) => {
+    const currency = manufacturing.currency || 'USD';
+    const unitCost = manufacturing.billOfMaterials.reduce((total, item) => total + (item.unitCost || 0), 0);
+
+    return (
+      <>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Bill of Materials</Text>
+          {manufacturing.billOfMaterials.map((item, index) => (
+            <View key={index} style={styles.pricingTier}>
+              <View style={styles.tierHeader}>
+                <Text style={styles.tierName}>{item.part}</Text>
+                <Text style={styles.tierPrice}>{formatCurrency(item.unitCost, currency)}</Text>
+              </View>
+              <Text style={styles.sectionText}>{item.specification}</Text>
+              <View style={styles.scenarioSection}>
+                <Text style={styles.scenarioLabel}>Sourcing:</Text>
+                <Text style={styles.sectionText}>{item.sourcing}</Text>
               </View>
             </View>
           ))}
+          <View style={styles.tierHeader}>
+            <Text style={styles.tierName}>Estimated cost per unit</Text>
+            <Text style={styles.tierPrice}>{formatCurrency(unitCost, currency)}</Text>
+          </View>
         </View>
-      )}
-    </View>
-  );
 
-  const renderUserScenariosCard = () => (
-    <View style={styles.card}>
-      <TouchableOpacity
-        style={styles.cardHeader}
-        onPress={() => toggleCard('userScenarios')}
-      >
-        <Text style={styles.cardTitle}>User Scenarios</Text>
-        <Text style={styles.expandIcon}>
-          {expandedCard === 'userScenarios' ? '−' : '+'}
-        </Text>
-      </TouchableOpacity>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Path to Production</Text>
+          {manufacturing.productionSteps.map((step, index) => (
+            <Text key={index} style={styles.bulletText}>
+              {index + 1}. {step}
+            </Text>
+          ))}
+        </View>
 
-      {expandedCard === 'userScenarios' && (
-        <View style={styles.cardContent}>
-          {idea?.cards?.userScenarios ? (
-            <>
-              {idea.cards.userScenarios.scenarios.map((scenario, index) => (
-                <View key={index} style={styles.scenarioItem}>
-                  <Text style={styles.personaText}>{scenario.persona}</Text>
-                  <View style={styles.highlightBox}>
-                    <View style={styles.scenarioSection}>
-                      <Text style={styles.scenarioLabel}>Context:</Text>
-                      <Text style={styles.sectionText}>{scenario.context}</Text>
-                    </View>
-                    <View style={styles.scenarioSection}>
-                      <Text style={styles.scenarioLabel}>Journey:</Text>
-                      <Text style={styles.sectionText}>{scenario.journey}</Text>
-                    </View>
-                    <View style={styles.scenarioSection}>
-                      <Text style={styles.scenarioLabel}>Outcome:</Text>
-                      <Text style={styles.outcomeText}>{scenario.outcome}</Text>
-                    </View>
-                  </View>
-                  {index < idea.cards.userScenarios.scenarios.length - 1 && (
-                    <View style={styles.divider} />
-                  )}
-                </View>
-              ))}
-            </>
-          ) : (
-            <View style={styles.placeholderContainer}>
-              <Text style={styles.placeholderText}>User scenarios will be generated by AI</Text>
+        {manufacturing.considerations?.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Watch Out For</Text>
+            {manufacturing.considerations.map((item, index) => (
+              <Text key={index} style={styles.bulletText}>
+                • {item}
+              </Text>
+            ))}
+          </View>
+        )}
+      </>
+    );
+  };
+
+  const renderServiceBlueprintContent = (serviceBlueprint) => (
+    <>
+      {serviceBlueprint.stages.map((stage, index) => (
+        <View key={index} style={styles.scenarioItem}>
+          <Text style={styles.personaText}>{index + 1}. {stage.name}</Text>
+          <View style={styles.highlightBox}>
+            <View style={styles.scenarioSection}>
+              <Text style={styles.scenarioLabel}>Customer:</Text>
+              <Text style={styles.sectionText}>{stage.customerActions}</Text>
             </View>
-          )}
+            <View style={styles.scenarioSection}>
+              <Text style={styles.scenarioLabel}>Frontstage:</Text>
+              <Text style={styles.sectionText}>{stage.frontstage}</Text>
+            </View>
+            <View style={styles.scenarioSection}>
+              <Text style={styles.scenarioLabel}>Backstage:</Text>
+              <Text style={styles.sectionText}>{stage.backstage}</Text>
+            </View>
+          </View>
+        </View>
+      ))}
+
+      {serviceBlueprint.failPoints?.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Fail Points</Text>
+          {serviceBlueprint.failPoints.map((point, index) => (
+            <Text key={index} style={styles.bulletText}>
+              • {point}
+            </Text>
+          ))}
         </View>
       )}
-    </View>
+    </>
   );
 
-  const renderMonetizationCard = () => (
-    <View style={styles.card}>
-      <TouchableOpacity
-        style={styles.cardHeader}
-        onPress={() => toggleCard('monetization')}
-      >
-        <Text style={styles.cardTitle}>Monetization</Text>
-        <Text style={styles.expandIcon}>
-          {expandedCard === 'monetization' ? '−' : '+'}
-        </Text>
-      </TouchableOpacity>
+  const renderTechArchitectureContent = (techArchitecture) => {
+    const lists = [
+      { title: 'Data Stores', items: techArchitecture.dataStores },
+      { title: 'Integrations', items: techArchitecture.integrations },
+      { title: 'Technical Risks', items: techArchitecture.risks },
+    ];
 
-      {expandedCard === 'monetization' && (
-        <View style={styles.cardContent}>
-          {idea?.cards?.monetization ? (
-            <>
-              <View style={styles.section}>
-                <Text style={styles.sectionTitle}>Primary Revenue Model</Text>
-                <View style={styles.highlightBox}>
-                  <Text style={styles.monetizationModel}>{idea.cards.monetization.primaryModel}</Text>
-                  <Text style={styles.sectionText}>{idea.cards.monetization.modelRationale}</Text>
+    return (
+      <>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Components</Text>
+          {techArchitecture.components.map((component, index) => (
+            <View key={index} style={styles.highlightBox}>
+              <View style={styles.insightHeader}>
+                <Text style={styles.altModelName}>{component.name}</Text>
+                <View style={styles.categoryBadge}>
+                  <Text style={styles.categoryText}>{component.technology}</Text>
                 </View>
               </View>
+              <Text style={styles.sectionText}>{component.responsibility}</Text>
+            </View>
+          ))}
+        </View>
 
-              <View style={styles.section}>
-                <Text style={styles.sectionTitle}>Pricing Tiers</Text>
-                {idea.cards.monetization.pricingTiers.map((tier, index) => (
-                  <View key={index} style={styles.pricingTier}>
-                    <View style={styles.tierHeader}>
-                      <Text style={styles.tierName}>{tier.name}</Text>
-                      <Text style={styles.tierPrice}>{tier.price}</Text>
-                    </View>
-                    {tier.features.map((feature, fIndex) => (
-                      <Text key={fIndex} style={styles.tierFeature}>
-                        • {feature}
-                      </Text>
-                    ))}
-                  </View>
-                ))}
-              </View>
+        {lists.filter(({ items }) => items?.length > 0).map(({ title, items }) => (
+          <View key={title} style={styles.section}>
+            <Text style={styles.sectionTitle}>{title}</Text>
+            {items.map((item, index) => (
+              <Text key={index} style={styles.bulletText}>
+                • {item}
+              </Text>
+            ))}
+          </View>
+        ))}
+      </>
+    );
+  };
 
-              {idea.cards.monetization.alternativeModels && idea.cards.monetization.alternativeModels.length > 0 && (
-                <View style={styles.section}>
-                  <Text style={styles.sectionTitle}>Alternative Approaches</Text>
-                  {idea.cards.monetization.alternativeModels.map((alt, index) => (
-                    <View key={index} style={styles.highlightBox}>
-                      <Text style={styles.altModelName}>{alt.name}</Text>
-                      <Text style={styles.sectionText}>{alt.description}</Text>
-                    </View>
-                  ))}
-                </View>
-              )}
+  const CARD_CONTENT_RENDERERS = {
+    summary: renderSummaryContent,
+    actionableInsights: renderActionableInsightsContent,
+    similarConcepts: renderSimilarConceptsContent,
+    userScenarios: renderUserScenariosContent,
+    monetization: renderMonetizationContent,
+    // Read-only here: refinement previews show the AI's numbers
+    marketSizing: (marketSizing) => <MarketSizingCalculator card={marketSizing} />,
+    mvp: renderMvpContent,
+    manufacturing: renderManufacturingContent,
+    serviceBlueprint: renderServiceBlueprintContent,
+    techArchitecture: renderTechArchitectureContent,
+  };
 
-              {idea.cards.monetization.projections && (
-                <View style={styles.section}>
-                  <Text style={styles.sectionTitle}>Revenue Projections</Text>
-                  <View style={styles.highlightBox}>
-                    <Text style={styles.projectionText}>100 users: {idea.cards.monetization.projections.users100}</Text>
-                    <Text style={styles.projectionText}>500 users: {idea.cards.monetization.projections.users500}</Text>
-                    <Text style={styles.projectionText}>1000 users: {idea.cards.monetization.projections.users1000}</Text>
-                  </View>
-                </View>
-              )}
-            </>
-          ) : (
-            <View style={styles.placeholderContainer}>
-              <Text style={styles.placeholderText}>Monetization strategy will be generated by AI</Text>
-            </View>
-          )}
-        </View>
+  // Cards added to the pack after the idea was analyzed (e.g. its category
+  // changed) have no status yet and can be generated on their own
+  const renderCardPlaceholder = ({ type, placeholder }) => (
+    <View style={styles.placeholderContainer}>
+      <Text style={styles.placeholderText}>{placeholder}</Text>
+      {!getCardStatus(idea, type) && !idea.analyzing && Object.keys(idea.cards || {}).length > 0 && (
+        <TouchableOpacity
+          style={styles.generateCardButton}
+          onPress={() => handleRetryCard(type)}
+          disabled={retryingCards[type]}
+        >
+          <Ionicons name="sparkles-outline" size={18} color={Colors.accent1} />
+          <Text style={styles.generateCardText}>Generate</Text>
+        </TouchableOpacity>
       )}
     </View>
   );
 
-  const renderMinimumViableProductCard = () => (
-    <View style={styles.card}>
-      <TouchableOpacity
-        style={styles.cardHeader}
-        onPress={() => toggleCard('mvp')}
-      >
-        <Text style={styles.cardTitle}>Core Concept</Text>
-        <Text style={styles.expandIcon}>
-          {expandedCard === 'mvp' ? '−' : '+'}
-        </Text>
-      </TouchableOpacity>
+  const renderCardBody = (cardInfo) => {
+    const card = idea.cards?.[cardInfo.type];
+    return card ? CARD_CONTENT_RENDERERS[cardInfo.type](card) : renderCardPlaceholder(cardInfo);
+  };
 
-      {expandedCard === 'mvp' && (
-        <View style={styles.cardContent}>
-          {mvpSections && mvpSections.length > 0 ? (
-            // New structured format
-            mvpSections.map((section, index) => (
-              <View key={index} style={styles.section}>
-                <View style={styles.highlightBox}>
-                  <Text style={styles.sectionTitle}>{section.title}</Text>
-                  {section.description && (
-                    <Text style={styles.sectionText}>{section.description}</Text>
-                  )}
-                  {section.points && section.points.length > 0 && (
-                    <View style={{ marginTop: 8 }}>
-                      {section.points.map((point, pIndex) => (
-                        <Text key={pIndex} style={styles.bulletText}>
-                          • {point}
-                        </Text>
-                      ))}
-                    </View>
-                  )}
-                </View>
-              </View>
-            ))
-          ) : mvpGuidance && mvpGuidance.length > 0 ? (
-            // Old format (backward compatibility)
-            <View style={styles.section}>
-              <Text style={styles.sectionTitle}>Getting Started</Text>
-              {mvpGuidance.map((item, index) => (
-                <Text key={index} style={styles.bulletText}>
-                  • {item}
-                </Text>
-              ))}
-            </View>
+  const renderCompetitiveLandscapeBody = (cardInfo) => {
+    const manualCompetitors = idea?.manualCompetitors || [];
+
+    return (
+      <>
+        {renderCardBody(cardInfo)}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Competitors You Added</Text>
+          {manualCompetitors.length > 0 ? (
+            manualCompetitors.map((competitor, index) => renderCompetitor(competitor, index, true))
           ) : (
-            <View style={styles.placeholderContainer}>
-              <Text style={styles.placeholderText}>
-                Core Concept blueprint will be generated by AI with tactical guidance specific to your idea
-              </Text>
-            </View>
+            <Text style={styles.emptyCompetitorsText}>
+              Know a competitor the AI missed? Add it here.
+            </Text>
           )}
+          <TouchableOpacity
+            style={styles.addCompetitorButton}
+            onPress={() => setCompetitorModalVisible(true)}
+          >
+            <Ionicons name="add" size={18} color={Colors.accent1} />
+            <Text style={styles.addCompetitorText}>Add Competitor</Text>
+          </TouchableOpacity>
         </View>
-      )}
-    </View>
+      </>
+    );
+  };
+
+  const renderMonetizationBody = (cardInfo) => (
+    idea.cards?.monetization ? (
+      <>
+        {renderMonetizationContent(idea.cards.monetization)}
+        <RevenueModelCalculator
+          card={idea.cards.monetization}
+          savedModel={idea.revenueModel}
+          onSave={handleSaveRevenueModel}
+        />
+      </>
+    ) : (
+      renderCardPlaceholder(cardInfo)
+    )
   );
 
+  const renderMarketSizingBody = (cardInfo) => (
+    idea.cards?.marketSizing ? (
+      <MarketSizingCalculator
+        card={idea.cards.marketSizing}
+        overrides={idea.marketSizingOverrides}
+        onSave={handleSaveMarketSizingOverrides}
+      />
+    ) : (
+      renderCardPlaceholder(cardInfo)
+    )
+  );
+
+  const renderMvpBody = (cardInfo) =>
+    renderMvpContent({ sections: mvpSections }) || renderCardPlaceholder(cardInfo);
+
+  // Cards whose body adds more than the card's content; the rest use renderCardBody
+  const CARD_BODY_RENDERERS = {
+    similarConcepts: renderCompetitiveLandscapeBody,
+    monetization: renderMonetizationBody,
+    marketSizing: renderMarketSizingBody,
+    mvp: renderMvpBody,
+  };
+
+  const renderAnalysisCard = (cardInfo) => {
+    const renderBody = CARD_BODY_RENDERERS[cardInfo.type] || renderCardBody;
+
+    return (
+      <View key={cardInfo.type} style={styles.card}>
+        {renderCardHeader(cardInfo.type, cardInfo.label)}
+
+        {expandedCard === cardInfo.type && (
+          <View style={styles.cardContent}>
+            {renderBody(cardInfo)}
+          </View>
+        )}
+      </View>
+    );
+  };
+
   if (loading) {
     return (
       <View style={styles.loadingContainer}>
@@ -1121,14 +1634,8 @@ export default function WorkspaceScreen({ navigation, route }) {
     );
   }
 
-  const hasCards = idea.cards && (
-    idea.cards.summary ||
-    idea.cards.actionableInsights ||
-    idea.cards.userScenarios ||
-    idea.cards.monetization ||
-    idea.cards.mvp ||
-    idea.cards.conceptBranding
-  );
+  const ideaCards = getIdeaCards(idea);
+  const hasCards = idea.cards && ideaCards.some(({ type }) => idea.cards[type]);
 
   return (
     <KeyboardAvoidingView
@@ -1148,21 +1655,33 @@ export default function WorkspaceScreen({ navigation, route }) {
           <Text style={styles.ideaTitle}>{idea.title}</Text>
           <View style={styles.metadata}>
             <View style={styles.tagsRow}>
-              <View style={styles.tags}>
+              <TouchableOpacity
+                style={styles.tags}
+                onPress={() => setTagEditorVisible(true)}
+                activeOpacity={0.7}
+              >
                 {idea.tags && idea.tags.map((tag, index) => (
                   <View key={index} style={styles.tag}>
-                    <Text style={styles.tagText}>{tag}</Text>
+                    <Text style={[styles.tagText, getLabelColor(tag) && { color: getLabelColor(tag) }]}>{tag}</Text>
                   </View>
                 ))}
-              </View>
-              {(idea.cards?.mvp?.name || idea.cards?.conceptBranding?.name) && (
+                {idea.classification?.source === 'ai' && typeof idea.classification.confidence === 'number' && (
+                  <View style={[styles.tag, styles.confidenceTag]}>
+                    <Text style={styles.confidenceText}>
+                      AI {Math.round(idea.classification.confidence * 100)}%
+                    </Text>
+                  </View>
+                )}
+                <Ionicons name="pricetag-outline" size={14} color={Colors.textTertiary} style={styles.editIcon} />
+              </TouchableOpacity>
+              {idea.cards?.mvp?.name && (
                 <TouchableOpacity
                   style={styles.businessNameContainer}
                   onPress={handleEditBusinessName}
                   activeOpacity={0.7}
                 >
                   <Text style={styles.businessName}>
-                    {idea.cards?.mvp?.name || idea.cards?.conceptBranding?.name}
+                    {idea.cards?.mvp?.name}
                   </Text>
                   <Ionicons name="pencil" size={14} color="#fff" style={styles.editIcon} />
                 </TouchableOpacity>
@@ -1170,14 +1689,29 @@ export default function WorkspaceScreen({ navigation, route }) {
             </View>
             <Text style={styles.date}>{formatDate(idea.createdAt)}</Text>
           </View>
+          {idea.classification?.source === 'ai' && idea.classification.confidence < LOW_CONFIDENCE_THRESHOLD && (
+            <TouchableOpacity onPress={() => setTagEditorVisible(true)}>
+              <Text style={styles.lowConfidenceHint}>
+                Not sure this is {idea.classification.category === 'App' ? 'an' : 'a'} {idea.classification.category}. Tap to check the tags.
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
 
-        {/* Cards - Always show, with placeholders if no data */}
-        {renderSummaryCard()}
-        {renderActionableInsightsCard()}
-        {renderUserScenariosCard()}
-        {renderMonetizationCard()}
-        {renderMinimumViableProductCard()}
+        <UsageQuota refreshKey={usageRefreshKey} style={styles.usageQuota} />
+
+        {renderAnalysisFailedBanner()}
+
+        {/* Cards from the idea's card pack - always shown, with placeholders if no data */}
+        {ideaCards.map(renderAnalysisCard)}
+
+        {hasCards && (
+          <AssumptionsRegister
+            ideaId={ideaId}
+            canExtract={!idea.analyzing}
+            onAiUsage={() => setUsageRefreshKey(prev => prev + 1)}
+          />
+        )}
 
         {/* Show empty state only if no cards at all */}
         {!hasCards && (
@@ -1227,7 +1761,7 @@ export default function WorkspaceScreen({ navigation, route }) {
                 {currentCarouselIndex < canvases.length ? canvases[currentCarouselIndex]?.name : 'New Canvas'}
               </Text>
               <Text style={styles.carouselNoteCount}>
-                {currentCarouselIndex < canvases.length ? `${canvases[currentCarouselIndex]?.notes?.length || 0} notes` : ''}
+                {currentCarouselIndex < canvases.length ? `${getNotesForCanvas(canvases[currentCarouselIndex]?.id).length} notes` : ''}
               </Text>
             </Animated.View>
 
@@ -1273,7 +1807,7 @@ export default function WorkspaceScreen({ navigation, route }) {
                       </View>
 
                       {/* Render notes for this canvas */}
-                      {canvas.notes && canvas.notes.map(note => {
+                      {getNotesForCanvas(canvas.id).map(note => {
                         const category = NOTE_CATEGORIES.find(c => c.id === note.category);
                         return (
                           <View
@@ -1608,6 +2142,11 @@ export default function WorkspaceScreen({ navigation, route }) {
 
               {/* Action Buttons */}
               <View style={styles.modalActions}>
+                {currentNote && (
+                  <TouchableOpacity style={styles.modalDeleteButton} onPress={handleDeleteNote}>
+                    <Ionicons name="trash-outline" size={20} color={Colors.error} />
+                  </TouchableOpacity>
+                )}
                 <TouchableOpacity
                   style={[styles.modalButton, styles.modalCancelButton]}
                   onPress={() => setModalVisible(false)}
@@ -1673,6 +2212,180 @@ export default function WorkspaceScreen({ navigation, route }) {
         </View>
       </Modal>
 
+      <CardHistoryModal
+        visible={Boolean(historyCard)}
+        onClose={() => setHistoryCard(null)}
+        ideaId={ideaId}
+        cardType={historyCard?.type}
+        cardLabel={historyCard?.label}
+      />
+
+      <TagEditorModal
+        visible={tagEditorVisible}
+        idea={idea}
+        onClose={() => setTagEditorVisible(false)}
+        onSave={handleSaveTags}
+        saving={savingTags}
+      />
+
+      {/* Add Competitor Modal */}
+      <Modal
+        visible={competitorModalVisible}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setCompetitorModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.modalContainer}
+          >
+            <View style={styles.modalContent}>
+              <Text style={styles.modalTitle}>Add Competitor</Text>
+
+              <TextInput
+                style={styles.modalInput}
+                placeholder="Name"
+                placeholderTextColor={Colors.textTertiary}
+                value={competitorForm.name}
+                onChangeText={(name) => setCompetitorForm({ ...competitorForm, name })}
+                autoFocus
+              />
+              <TextInput
+                style={styles.modalInput}
+                placeholder="Type (App, Business, Product...)"
+                placeholderTextColor={Colors.textTertiary}
+                value={competitorForm.type}
+                onChangeText={(type) => setCompetitorForm({ ...competitorForm, type })}
+              />
+              <TextInput
+                style={[styles.modalInput, styles.modalTextArea]}
+                placeholder="What do they do?"
+                placeholderTextColor={Colors.textTertiary}
+                value={competitorForm.description}
+                onChangeText={(description) => setCompetitorForm({ ...competitorForm, description })}
+                multiline
+              />
+              <TextInput
+                style={[styles.modalInput, styles.modalTextArea]}
+                placeholder="What gap do they leave open?"
+                placeholderTextColor={Colors.textTertiary}
+                value={competitorForm.gap}
+                onChangeText={(gap) => setCompetitorForm({ ...competitorForm, gap })}
+                multiline
+              />
+
+              <View style={styles.modalActions}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.modalCancelButton]}
+                  onPress={() => {
+                    setCompetitorModalVisible(false);
+                    setCompetitorForm(EMPTY_COMPETITOR);
+                  }}
+                >
+                  <Text style={styles.modalCancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.modalSaveButton]}
+                  onPress={handleSaveCompetitor}
+                  disabled={!competitorForm.name.trim()}
+                >
+                  <Text style={styles.modalSaveText}>Add</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </KeyboardAvoidingView>
+        </View>
+      </Modal>
+
+      {/* Refine Card Modal */}
+      <Modal
+        visible={Boolean(refineCard)}
+        transparent
+        animationType="fade"
+        onRequestClose={closeRefine}
+      >
+        <View style={styles.modalOverlay}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={[styles.modalContainer, refinePreview && styles.refineModalContainer]}
+          >
+            <View style={styles.modalContent}>
+              <Text style={styles.modalTitle}>Refine {refineCard?.label}</Text>
+
+              <TextInput
+                style={[styles.modalInput, styles.refineInput]}
+                placeholder='e.g. "Assume B2B only"'
+                placeholderTextColor={Colors.textTertiary}
+                value={refinePrompt}
+                onChangeText={setRefinePrompt}
+                editable={!refineLoading && !refineSaving}
+                multiline
+                autoFocus
+              />
+
+              {refineLoading && (
+                <View style={styles.refineLoading}>
+                  <ActivityIndicator size="small" color={Colors.accent1} />
+                  <Text style={styles.refineLoadingText}>Generating preview...</Text>
+                </View>
+              )}
+
+              {refinePreview && refineCard && !refineLoading && (
+                <>
+                  <Text style={styles.modalLabel}>Preview</Text>
+                  <ScrollView style={styles.refinePreview}>
+                    {CARD_CONTENT_RENDERERS[refineCard.type](refinePreview)}
+                  </ScrollView>
+                </>
+              )}
+
+              <View style={styles.modalActions}>
+                {refinePreview ? (
+                  <>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.modalCancelButton]}
+                      onPress={() => setRefinePreview(null)}
+                      disabled={refineSaving}
+                    >
+                      <Text style={styles.modalCancelText}>Discard</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.modalSaveButton]}
+                      onPress={handleAcceptRefinement}
+                      disabled={refineSaving}
+                    >
+                      {refineSaving ? (
+                        <ActivityIndicator size="small" color={Colors.textPrimary} />
+                      ) : (
+                        <Text style={styles.modalSaveText}>Accept</Text>
+                      )}
+                    </TouchableOpacity>
+                  </>
+                ) : (
+                  <>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.modalCancelButton]}
+                      onPress={closeRefine}
+                      disabled={refineLoading}
+                    >
+                      <Text style={styles.modalCancelText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.modalButton, styles.modalSaveButton]}
+                      onPress={handleGenerateRefinement}
+                      disabled={refineLoading || !refinePrompt.trim()}
+                    >
+                      <Text style={styles.modalSaveText}>Preview</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+              </View>
+            </View>
+          </KeyboardAvoidingView>
+        </View>
+      </Modal>
+
       {/* Edit Business Name Modal */}
       <Modal
         visible={editBusinessNameModalVisible}
@@ -1787,6 +2500,7 @@ const styles = StyleSheet.create({
   },
   tags: {
     flexDirection: 'row',
+    alignItems: 'center',
   },
   tag: {
     backgroundColor: Colors.surface,
@@ -1800,6 +2514,22 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
+  confidenceTag: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: Colors.border,
+  },
+  confidenceText: {
+    color: Colors.textTertiary,
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  lowConfidenceHint: {
+    color: Colors.textSecondary,
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 8,
+  },
   businessNameContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1819,6 +2549,9 @@ const styles = StyleSheet.create({
     color: Colors.textTertiary,
     fontSize: 14,
   },
+  usageQuota: {
+    marginTop: 8,
+  },
   card: {
     margin: 16,
     backgroundColor: Colors.surface,
@@ -1838,6 +2571,54 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
+  cardHeaderRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  cardStatusIndicator: {
+    marginRight: 4,
+  },
+  cardRetryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: Colors.error,
+  },
+  cardErrorText: {
+    color: Colors.error,
+    fontSize: 13,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  cardHistoryButton: {
+    padding: 2,
+  },
+  cardRetryText: {
+    color: Colors.error,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  analysisFailedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    backgroundColor: Colors.surface,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: Colors.error,
+    padding: 12,
+    marginBottom: 16,
+  },
+  analysisFailedBannerText: {
+    flex: 1,
+    color: Colors.textSecondary,
+    fontSize: 14,
+  },
   expandIcon: {
     color: Colors.textSecondary,
     fontSize: 20,
@@ -1927,6 +2708,17 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontStyle: 'italic',
   },
+  generateCardButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 12,
+  },
+  generateCardText: {
+    color: Colors.accent1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
   inputWithButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -2254,6 +3046,29 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 12,
   },
+  refineModalContainer: {
+    maxWidth: 520,
+  },
+  refineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  refineLoading: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginVertical: 8,
+  },
+  refineLoadingText: {
+    color: Colors.textSecondary,
+    fontSize: 14,
+  },
+  refinePreview: {
+    maxHeight: 360,
+    backgroundColor: Colors.background,
+    borderRadius: 12,
+    padding: 12,
+  },
   modalTextArea: {
     minHeight: 100,
     textAlignVertical: 'top',
@@ -2382,6 +3197,11 @@ const styles = StyleSheet.create({
   modalSaveButton: {
     backgroundColor: Colors.accent1,
   },
+  modalDeleteButton: {
+    marginRight: 'auto',
+    justifyContent: 'center',
+    paddingHorizontal: 4,
+  },
   modalCancelText: {
     color: Colors.textSecondary,
     fontSize: 16,
@@ -2411,6 +3231,30 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textTransform: 'capitalize',
   },
+  // Competitive Landscape styles
+  competitorBadges: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  emptyCompetitorsText: {
+    color: Colors.textTertiary,
+    fontSize: 14,
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  addCompetitorButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    paddingVertical: 8,
+  },
+  addCompetitorText: {
+    color: Colors.accent1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
   // User Scenarios styles
   scenarioItem: {
     marginBottom: 24,
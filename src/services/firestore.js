@@ -1,7 +1,8 @@
 /**
  * Firestore Service
  *
- * Handles all database operations for ideas, cards, and chat history
+ * Handles all database operations for ideas, cards, chat history, and the
+ * user profile
  */
 
 import {
@@ -12,13 +13,31 @@ import {
   deleteDoc,
   getDoc,
   getDocs,
+  setDoc,
   query,
   where,
   orderBy,
   Timestamp,
-  onSnapshot
+  onSnapshot,
+  limit,
+  writeBatch,
+  deleteField
 } from 'firebase/firestore';
 import { db } from '../config/firebase';
+import { replaceIdeaLabel } from '../constants/categories';
+import { resolveNote, observeClock, nextClock, buildNoteEdits } from '../utils/noteMerge';
+import { getDeviceId } from '../utils/deviceId';
+
+// Firestore allows 500 writes per batch
+const MAX_BATCH_WRITES = 450;
+
+// Current idea schema, mirrored from the Cloud Functions (migrations.js).
+// Ideas stored in an older one are upgraded by the server.
+export const IDEA_SCHEMA_VERSION = 4;
+
+// Days an idea stays in the Trash before it is deleted for good, mirrored
+// from the Cloud Functions (purgeTrashedIdeas)
+export const TRASH_RETENTION_DAYS = 30;
 
 /**
  * Create a new idea in Firestore
@@ -32,6 +51,7 @@ export const createIdea = async (userId, ideaData) => {
     const newIdea = {
       userId,
       ...ideaData,
+      schemaVersion: IDEA_SCHEMA_VERSION,
       createdAt: Timestamp.now(),
       updatedAt: Timestamp.now(),
       status: 'active',
@@ -45,7 +65,7 @@ export const createIdea = async (userId, ideaData) => {
 };
 
 /**
- * Get all ideas for a user
+ * Get a user's active ideas, leaving out archived and trashed ones
  * @param {string} userId - User ID
  * @returns {Promise<Array>} - Array of idea objects with IDs
  */
@@ -55,8 +75,7 @@ export const getUserIdeas = async (userId) => {
     const q = query(
       ideasRef,
       where('userId', '==', userId),
-      where('status', '!=', 'deleted'),
-      orderBy('status'),
+      where('status', '==', 'active'),
       orderBy('createdAt', 'desc')
     );
     const querySnapshot = await getDocs(q);
@@ -71,19 +90,19 @@ export const getUserIdeas = async (userId) => {
 };
 
 /**
- * Subscribe to real-time updates for user's ideas
+ * Subscribe to real-time updates for user's active ideas
  * @param {string} userId - User ID
  * @param {Function} callback - Callback function to handle updates
+ * @param {Function} onError - Called if the subscription fails, e.g. while an index builds
  * @returns {Function} - Unsubscribe function
  */
-export const subscribeToUserIdeas = (userId, callback) => {
+export const subscribeToUserIdeas = (userId, callback, onError) => {
   try {
     const ideasRef = collection(db, 'ideas');
     const q = query(
       ideasRef,
       where('userId', '==', userId),
-      where('status', '!=', 'deleted'),
-      orderBy('status'),
+      where('status', '==', 'active'),
       orderBy('createdAt', 'desc')
     );
 
@@ -93,6 +112,9 @@ export const subscribeToUserIdeas = (userId, callback) => {
         ...doc.data()
       }));
       callback(ideas);
+    }, (error) => {
+      console.error('Error in ideas subscription:', error);
+      onError?.(error);
     });
   } catch (error) {
     console.error('Error subscribing to ideas:', error);
@@ -100,6 +122,39 @@ export const subscribeToUserIdeas = (userId, callback) => {
   }
 };
 
+/**
+ * Subscribe to a user's archived or trashed ideas, most recently put away first
+ * @param {string} userId - User ID
+ * @param {string} status - 'archived' or 'deleted'
+ * @param {Function} callback - Callback function to handle updates
+ * @param {Function} onError - Called if the subscription fails, e.g. while an index builds
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToIdeasByStatus = (userId, status, callback, onError) => {
+  try {
+    const ideasRef = collection(db, 'ideas');
+    const q = query(
+      ideasRef,
+      where('userId', '==', userId),
+      where('status', '==', status),
+      orderBy('updatedAt', 'desc')
+    );
+
+    return onSnapshot(q, (querySnapshot) => {
+      callback(querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      })));
+    }, (error) => {
+      console.error('Error in ideas by status subscription:', error);
+      onError?.(error);
+    });
+  } catch (error) {
+    console.error('Error subscribing to ideas by status:', error);
+    throw error;
+  }
+};
+
 /**
  * Get a single idea by ID
  * @param {string} ideaId - Idea document ID
@@ -119,6 +174,27 @@ export const getIdea = async (ideaId) => {
   }
 };
 
+/**
+ * Subscribe to real-time updates for a single idea
+ * @param {string} ideaId - Idea document ID
+ * @param {Function} callback - Callback function to handle updates
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToIdea = (ideaId, callback) => {
+  try {
+    const ideaRef = doc(db, 'ideas', ideaId);
+
+    return onSnapshot(ideaRef, (ideaDoc) => {
+      if (ideaDoc.exists()) {
+        callback({ id: ideaDoc.id, ...ideaDoc.data() });
+      }
+    });
+  } catch (error) {
+    console.error('Error subscribing to idea:', error);
+    throw error;
+  }
+};
+
 /**
  * Update an idea
  * @param {string} ideaId - Idea document ID
@@ -158,13 +234,132 @@ export const updateIdeaCards = async (ideaId, cards) => {
 };
 
 /**
- * Archive an idea (soft delete)
+ * Subscribe to an idea's card version history, newest first
+ * @param {string} ideaId - Idea document ID
+ * @param {Function} callback - Called with the list of versions
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToCardVersions = (ideaId, callback) => {
+  try {
+    const versionsRef = collection(db, 'ideas', ideaId, 'cardVersions');
+    const q = query(versionsRef, orderBy('createdAt', 'desc'));
+
+    return onSnapshot(q, (querySnapshot) => {
+      const versions = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      callback(versions);
+    });
+  } catch (error) {
+    console.error('Error subscribing to card versions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a card and record it in the idea's version history
+ * @param {string} ideaId - Idea document ID
+ * @param {string} cardType - Card key in idea.cards
+ * @param {Object} card - Full card contents to save
+ * @param {string} source - 'regenerated', 'edit' or 'restore'
+ * @param {Object} options - { previousCard, restoredFrom, refinementPrompt }
+ * @returns {Promise<void>}
+ */
+export const saveCardVersion = async (ideaId, cardType, card, source, options = {}) => {
+  try {
+    const ideaRef = doc(db, 'ideas', ideaId);
+    const versionsRef = collection(db, 'ideas', ideaId, 'cardVersions');
+    const batch = writeBatch(db);
+
+    // Cards generated before version history existed get the old card saved first
+    if (options.previousCard) {
+      const existing = await getDocs(query(versionsRef, where('cardType', '==', cardType), limit(1)));
+      if (existing.empty) {
+        batch.set(doc(versionsRef), {
+          cardType,
+          card: options.previousCard,
+          source: 'generated',
+          baseline: true,
+          refinementPrompt: null,
+          restoredFrom: null,
+          createdAt: Timestamp.fromMillis(Date.now() - 1)
+        });
+      }
+    }
+
+    batch.update(ideaRef, {
+      [`cards.${cardType}`]: card,
+      updatedAt: Timestamp.now()
+    });
+    batch.set(doc(versionsRef), {
+      cardType,
+      card,
+      source,
+      baseline: false,
+      refinementPrompt: options.refinementPrompt || null,
+      restoredFrom: options.restoredFrom || null,
+      createdAt: Timestamp.now()
+    });
+
+    await batch.commit();
+  } catch (error) {
+    console.error('Error saving card version:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore an earlier card version. The restore is itself recorded as a new version.
+ * @param {string} ideaId - Idea document ID
+ * @param {Object} version - Version to restore ({ id, cardType, card })
+ * @returns {Promise<void>}
+ */
+export const restoreCardVersion = async (ideaId, version) => {
+  await saveCardVersion(ideaId, version.cardType, version.card, 'restore', {
+    restoredFrom: version.id
+  });
+};
+
+// Fields written when an idea moves between the Dashboard, Archive and Trash
+const ideaStatusUpdates = (status) => {
+  switch (status) {
+    case 'archived':
+      return { status, archivedAt: Timestamp.now(), deletedAt: deleteField() };
+    case 'deleted':
+      return { status, deletedAt: Timestamp.now() };
+    default:
+      return { status: 'active', archivedAt: deleteField(), deletedAt: deleteField() };
+  }
+};
+
+/**
+ * Move several ideas to the Dashboard, Archive or Trash at once
+ * @param {Array<string>} ideaIds - Idea document IDs
+ * @param {string} status - 'active', 'archived' or 'deleted'
+ * @returns {Promise<void>}
+ */
+const setIdeasStatus = async (ideaIds, status) => {
+  for (let start = 0; start < ideaIds.length; start += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    ideaIds.slice(start, start + MAX_BATCH_WRITES).forEach((ideaId) => {
+      batch.update(doc(db, 'ideas', ideaId), {
+        ...ideaStatusUpdates(status),
+        updatedAt: Timestamp.now()
+      });
+    });
+    await batch.commit();
+  }
+};
+
+/**
+ * Archive an idea, hiding it from the Dashboard until it is restored
  * @param {string} ideaId - Idea document ID
  * @returns {Promise<void>}
  */
 export const archiveIdea = async (ideaId) => {
   try {
-    await updateIdea(ideaId, { status: 'archived' });
+    await updateIdea(ideaId, ideaStatusUpdates('archived'));
   } catch (error) {
     console.error('Error archiving idea:', error);
     throw error;
@@ -172,25 +367,55 @@ export const archiveIdea = async (ideaId) => {
 };
 
 /**
- * Delete an idea (soft delete)
+ * Move an idea to the Trash (soft delete). It is deleted for good after
+ * TRASH_RETENTION_DAYS unless restored.
  * @param {string} ideaId - Idea document ID
  * @returns {Promise<void>}
  */
 export const deleteIdea = async (ideaId) => {
   try {
-    await updateIdea(ideaId, { status: 'deleted' });
+    await updateIdea(ideaId, ideaStatusUpdates('deleted'));
   } catch (error) {
     console.error('Error deleting idea:', error);
     throw error;
   }
 };
 
+/**
+ * Move several ideas to the Trash
+ * @param {Array<string>} ideaIds - Idea document IDs
+ * @returns {Promise<void>}
+ */
+export const deleteIdeas = async (ideaIds) => {
+  try {
+    await setIdeasStatus(ideaIds, 'deleted');
+  } catch (error) {
+    console.error('Error deleting ideas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Bring archived or trashed ideas back to the Dashboard
+ * @param {Array<string>} ideaIds - Idea document IDs
+ * @returns {Promise<void>}
+ */
+export const restoreIdeas = async (ideaIds) => {
+  try {
+    await setIdeasStatus(ideaIds, 'active');
+  } catch (error) {
+    console.error('Error restoring ideas:', error);
+    throw error;
+  }
+};
+
 /**
  * Add a message to chat history
  * @param {string} ideaId - Idea document ID
  * @param {string} role - 'user' or 'assistant'
  * @param {string} content - Message content
  * @param {boolean} isContinuation - Whether this is a continuation chat message
+ * @param {Object} extraFields - Extra fields, e.g. { notice: true } for status lines the AI never sees
  * @returns {Promise<string>} - Message document ID
  */
 export const addChatMessage = async (
@@ -261,8 +486,120 @@ export const subscribeToChatHistory = (ideaId, callback) => {
   }
 };
 
+/**
+ * Ask the Cloud Function streaming an assistant reply to stop early.
+ * Whatever has arrived so far is kept.
+ * @param {string} ideaId - Idea document ID
+ * @param {string} messageId - Draft assistant message ID
+ * @returns {Promise<void>}
+ */
+export const cancelChatReply = async (ideaId, messageId) => {
+  try {
+    const messageRef = doc(db, 'ideas', ideaId, 'chatHistory', messageId);
+    await updateDoc(messageRef, { cancelRequested: true });
+  } catch (error) {
+    console.error('Error cancelling chat reply:', error);
+    throw error;
+  }
+};
+
+/**
+ * Assumptions Register Functions
+ */
+
+/**
+ * Subscribe to an idea's assumptions register, oldest first
+ * @param {string} ideaId - Idea document ID
+ * @param {Function} callback - Called with the list of assumptions
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToAssumptions = (ideaId, callback) => {
+  try {
+    const assumptionsRef = collection(db, 'ideas', ideaId, 'assumptions');
+    const q = query(assumptionsRef, orderBy('createdAt', 'asc'));
+
+    return onSnapshot(q, (querySnapshot) => {
+      const assumptions = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      callback(assumptions);
+    });
+  } catch (error) {
+    console.error('Error subscribing to assumptions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add an assumption the user wrote themselves
+ * @param {string} ideaId - Idea document ID
+ * @param {Object} assumption - { statement, risk, validationMethod, status, evidence }
+ * @returns {Promise<string>} - Assumption document ID
+ */
+export const addAssumption = async (ideaId, { statement, risk, validationMethod, status, evidence }) => {
+  try {
+    const assumptionsRef = collection(db, 'ideas', ideaId, 'assumptions');
+    const docRef = await addDoc(assumptionsRef, {
+      statement,
+      risk,
+      validationMethod: validationMethod || '',
+      status: status || 'untested',
+      evidence: evidence || '',
+      source: 'user',
+      sourceCard: null,
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error adding assumption:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an assumption, e.g. its status and evidence after testing it
+ * @param {string} ideaId - Idea document ID
+ * @param {string} assumptionId - Assumption document ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ */
+export const updateAssumption = async (ideaId, assumptionId, updates) => {
+  try {
+    const assumptionRef = doc(db, 'ideas', ideaId, 'assumptions', assumptionId);
+    await updateDoc(assumptionRef, {
+      ...updates,
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error updating assumption:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove an assumption from the register
+ * @param {string} ideaId - Idea document ID
+ * @param {string} assumptionId - Assumption document ID
+ * @returns {Promise<void>}
+ */
+export const deleteAssumption = async (ideaId, assumptionId) => {
+  try {
+    await deleteDoc(doc(db, 'ideas', ideaId, 'assumptions', assumptionId));
+  } catch (error) {
+    console.error('Error deleting assumption:', error);
+    throw error;
+  }
+};
+
 /**
  * Canvas Management Functions
+ *
+ * Canvases live in the idea's `canvases` subcollection and each note is its
+ * own document under its canvas, so edits to different notes never overwrite
+ * each other and a canvas can grow past the idea document's size limit.
+ * Edits to the same note are merged field by field (see utils/noteMerge.js).
  */
 
 /**
@@ -274,36 +611,62 @@ const generateCanvasId = () => {
 };
 
 /**
- * Create a new canvas for an idea
+ * Generate a unique note ID
+ * @returns {string} - Unique note ID
+ */
+export const generateNoteId = () => {
+  return `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+const canvasesCollection = (ideaId) => collection(db, 'ideas', ideaId, 'canvases');
+const notesCollection = (ideaId, canvasId) => collection(db, 'ideas', ideaId, 'canvases', canvasId, 'notes');
+
+/**
+ * Subscribe to an idea's canvases, oldest first
+ * @param {string} ideaId - Idea document ID
+ * @param {Function} callback - Called with the list of canvases ({ id, name, createdAt, updatedAt })
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToCanvases = (ideaId, callback) => {
+  try {
+    const q = query(canvasesCollection(ideaId), orderBy('createdAt', 'asc'));
+
+    return onSnapshot(q, (querySnapshot) => {
+      const canvases = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+      callback(canvases);
+    });
+  } catch (error) {
+    console.error('Error subscribing to canvases:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a new canvas for an idea and make it the current one
  * @param {string} ideaId - Idea document ID
  * @param {string} canvasName - Name for the new canvas
  * @returns {Promise<Object>} - The created canvas object
  */
 export const createCanvas = async (ideaId, canvasName = 'New Canvas') => {
   try {
-    const ideaRef = doc(db, 'ideas', ideaId);
-    const ideaDoc = await getDoc(ideaRef);
-
-    if (!ideaDoc.exists()) {
-      throw new Error('Idea not found');
-    }
-
-    const ideaData = ideaDoc.data();
-    const canvases = ideaData.canvases || [];
-
     const newCanvas = {
       id: generateCanvasId(),
       name: canvasName,
-      notes: [],
       createdAt: Timestamp.now(),
       updatedAt: Timestamp.now()
     };
 
-    await updateDoc(ideaRef, {
-      canvases: [...canvases, newCanvas],
-      currentCanvasId: newCanvas.id,
+    const batch = writeBatch(db);
+    const { id, ...canvasData } = newCanvas;
+    batch.set(doc(canvasesCollection(ideaId), id), canvasData);
+    batch.update(doc(db, 'ideas', ideaId), {
+      currentCanvasId: id,
       updatedAt: Timestamp.now()
     });
+    await batch.commit();
 
     return newCanvas;
   } catch (error) {
@@ -313,37 +676,16 @@ export const createCanvas = async (ideaId, canvasName = 'New Canvas') => {
 };
 
 /**
- * Update a canvas (notes or name)
+ * Update a canvas, e.g. its name
  * @param {string} ideaId - Idea document ID
  * @param {string} canvasId - Canvas ID to update
- * @param {Object} updates - Fields to update (notes, name)
+ * @param {Object} updates - Fields to update (name)
  * @returns {Promise<void>}
  */
 export const updateCanvas = async (ideaId, canvasId, updates) => {
   try {
-    const ideaRef = doc(db, 'ideas', ideaId);
-    const ideaDoc = await getDoc(ideaRef);
-
-    if (!ideaDoc.exists()) {
-      throw new Error('Idea not found');
-    }
-
-    const ideaData = ideaDoc.data();
-    const canvases = ideaData.canvases || [];
-
-    const updatedCanvases = canvases.map(canvas => {
-      if (canvas.id === canvasId) {
-        return {
-          ...canvas,
-          ...updates,
-          updatedAt: Timestamp.now()
-        };
-      }
-      return canvas;
-    });
-
-    await updateDoc(ideaRef, {
-      canvases: updatedCanvases,
+    await updateDoc(doc(canvasesCollection(ideaId), canvasId), {
+      ...updates,
       updatedAt: Timestamp.now()
     });
   } catch (error) {
@@ -353,7 +695,7 @@ export const updateCanvas = async (ideaId, canvasId, updates) => {
 };
 
 /**
- * Delete a canvas
+ * Delete a canvas and its notes
  * @param {string} ideaId - Idea document ID
  * @param {string} canvasId - Canvas ID to delete
  * @returns {Promise<void>}
@@ -367,27 +709,35 @@ export const deleteCanvas = async (ideaId, canvasId) => {
       throw new Error('Idea not found');
     }
 
-    const ideaData = ideaDoc.data();
-    const canvases = ideaData.canvases || [];
+    const canvasesSnapshot = await getDocs(query(canvasesCollection(ideaId), orderBy('createdAt', 'asc')));
 
     // Don't allow deleting the last canvas
-    if (canvases.length <= 1) {
+    if (canvasesSnapshot.docs.length <= 1) {
       throw new Error('Cannot delete the last canvas');
     }
 
-    const updatedCanvases = canvases.filter(canvas => canvas.id !== canvasId);
+    const notesSnapshot = await getDocs(notesCollection(ideaId, canvasId));
+    for (let start = 0; start < notesSnapshot.docs.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      notesSnapshot.docs.slice(start, start + MAX_BATCH_WRITES).forEach((noteDoc) => {
+        batch.delete(noteDoc.ref);
+      });
+      await batch.commit();
+    }
 
-    // If deleting current canvas, switch to first canvas
-    let currentCanvasId = ideaData.currentCanvasId;
+    // If deleting current canvas, switch to first remaining canvas
+    let currentCanvasId = ideaDoc.data().currentCanvasId;
     if (currentCanvasId === canvasId) {
-      currentCanvasId = updatedCanvases[0].id;
+      currentCanvasId = canvasesSnapshot.docs.find(canvasDoc => canvasDoc.id !== canvasId).id;
     }
 
-    await updateDoc(ideaRef, {
-      canvases: updatedCanvases,
+    const batch = writeBatch(db);
+    batch.delete(doc(canvasesCollection(ideaId), canvasId));
+    batch.update(ideaRef, {
       currentCanvasId,
       updatedAt: Timestamp.now()
     });
+    await batch.commit();
   } catch (error) {
     console.error('Error deleting canvas:', error);
     throw error;
@@ -414,59 +764,169 @@ export const setCurrentCanvas = async (ideaId, canvasId) => {
 };
 
 /**
- * Migrate legacy notes to canvas structure
- * Creates a default canvas with existing notes if canvases don't exist
+ * Subscribe to the notes on a canvas, merged and without deleted ones. Local
+ * writes are reported straight away, so the canvas reflects its own edits
+ * before they reach the server.
+ * @param {string} ideaId - Idea document ID
+ * @param {string} canvasId - Canvas ID
+ * @param {Function} callback - Called with the list of notes
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToCanvasNotes = (ideaId, canvasId, callback) => {
+  try {
+    return onSnapshot(notesCollection(ideaId, canvasId), (querySnapshot) => {
+      const notes = querySnapshot.docs.map(doc => resolveNote(doc.id, doc.data()));
+      notes.forEach(note => observeClock(note.clock));
+      callback(notes.filter(note => !note.deleted));
+    });
+  } catch (error) {
+    console.error('Error subscribing to canvas notes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a note to a canvas
  * @param {string} ideaId - Idea document ID
+ * @param {string} canvasId - Canvas ID
+ * @param {Object} note - Note with an id from generateNoteId
  * @returns {Promise<void>}
  */
-export const migrateNotesToCanvas = async (ideaId) => {
+export const createNote = async (ideaId, canvasId, note) => {
   try {
-    const ideaRef = doc(db, 'ideas', ideaId);
-    const ideaDoc = await getDoc(ideaRef);
+    const { id, ...noteData } = note;
+    const deviceId = await getDeviceId();
+    await setDoc(doc(notesCollection(ideaId, canvasId), id), {
+      ...noteData,
+      clock: nextClock(deviceId),
+      edits: {},
+      createdAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error creating note:', error);
+    throw error;
+  }
+};
 
-    if (!ideaDoc.exists()) {
-      throw new Error('Idea not found');
-    }
+/**
+ * Update some fields of a note, leaving the rest as they are. The change is
+ * written to this device's slot, so concurrent edits on other devices are
+ * merged rather than overwritten.
+ * @param {string} ideaId - Idea document ID
+ * @param {string} canvasId - Canvas ID
+ * @param {string} noteId - Note ID
+ * @param {Object} updates - Fields to update, e.g. { position }
+ * @returns {Promise<void>}
+ */
+export const updateNote = async (ideaId, canvasId, noteId, updates) => {
+  try {
+    const deviceId = await getDeviceId();
+    await updateDoc(doc(notesCollection(ideaId, canvasId), noteId), {
+      ...buildNoteEdits(deviceId, updates),
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error updating note:', error);
+    throw error;
+  }
+};
 
-    const ideaData = ideaDoc.data();
+/**
+ * Delete a note. The document is kept as a tombstone so an edit made on
+ * another device at the same time cannot bring the note back.
+ * @param {string} ideaId - Idea document ID
+ * @param {string} canvasId - Canvas ID
+ * @param {string} noteId - Note ID
+ * @returns {Promise<void>}
+ */
+export const deleteNote = async (ideaId, canvasId, noteId) => {
+  try {
+    const deviceId = await getDeviceId();
+    await updateDoc(doc(notesCollection(ideaId, canvasId), noteId), {
+      ...buildNoteEdits(deviceId, { deleted: true }),
+      updatedAt: Timestamp.now()
+    });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    throw error;
+  }
+};
 
-    // Only migrate if canvases don't exist and notes do
-    if (!ideaData.canvases && ideaData.notes && ideaData.notes.length > 0) {
-      const defaultCanvas = {
-        id: generateCanvasId(),
-        name: 'Main Canvas',
-        notes: ideaData.notes,
-        createdAt: Timestamp.now(),
-        updatedAt: Timestamp.now()
-      };
+/**
+ * User Profile Functions
+ */
 
-      await updateDoc(ideaRef, {
-        canvases: [defaultCanvas],
-        currentCanvasId: defaultCanvas.id,
-        updatedAt: Timestamp.now()
-      });
+/**
+ * Subscribe to a user's profile document (categories and tags)
+ * @param {string} userId - User ID
+ * @param {Function} callback - Called with the profile data, or {} if none exists yet
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToUserProfile = (userId, callback) => {
+  try {
+    const userRef = doc(db, 'users', userId);
 
-      console.log('📦 Migrated legacy notes to canvas structure');
-    } else if (!ideaData.canvases) {
-      // Create empty default canvas if no canvases or notes exist
-      const defaultCanvas = {
-        id: generateCanvasId(),
-        name: 'Main Canvas',
-        notes: [],
-        createdAt: Timestamp.now(),
-        updatedAt: Timestamp.now()
-      };
+    return onSnapshot(userRef, (userDoc) => {
+      callback(userDoc.exists() ? userDoc.data() : {});
+    });
+  } catch (error) {
+    console.error('Error subscribing to user profile:', error);
+    throw error;
+  }
+};
 
-      await updateDoc(ideaRef, {
-        canvases: [defaultCanvas],
-        currentCanvasId: defaultCanvas.id,
-        updatedAt: Timestamp.now()
-      });
+/**
+ * Update fields on a user's profile, creating it if needed
+ * @param {string} userId - User ID
+ * @param {Object} updates - Fields to set, e.g. { categories, tags }
+ * @returns {Promise<void>}
+ */
+export const updateUserProfile = async (userId, updates) => {
+  try {
+    const userRef = doc(db, 'users', userId);
+    await setDoc(userRef, {
+      ...updates,
+      updatedAt: Timestamp.now()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error updating user profile:', error);
+    throw error;
+  }
+};
 
-      console.log('📦 Created default canvas');
+/**
+ * Rename or remove a category or tag on every idea that uses it.
+ * Ideas store label names, so this keeps them in step with the profile.
+ * @param {string} userId - User ID
+ * @param {string} oldName - Name to replace
+ * @param {string|null} newName - Replacement, or null to remove the tag
+ * @returns {Promise<number>} - Number of ideas updated
+ */
+export const replaceIdeaTag = async (userId, oldName, newName = null) => {
+  try {
+    const ideasRef = collection(db, 'ideas');
+    const q = query(
+      ideasRef,
+      where('userId', '==', userId),
+      where('tags', 'array-contains', oldName)
+    );
+    const querySnapshot = await getDocs(q);
+
+    for (let start = 0; start < querySnapshot.docs.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      querySnapshot.docs.slice(start, start + MAX_BATCH_WRITES).forEach((ideaDoc) => {
+        batch.update(ideaDoc.ref, {
+          ...replaceIdeaLabel(ideaDoc.data(), oldName, newName),
+          updatedAt: Timestamp.now(),
+        });
+      });
+      await batch.commit();
     }
+
+    return querySnapshot.docs.length;
   } catch (error) {
-    console.error('Error migrating notes to canvas:', error);
+    console.error('Error replacing idea tag:', error);
     throw error;
   }
 };
@@ -9,17 +9,18 @@ import { httpsCallable } from 'firebase/functions';
 import { functions } from '../config/firebase';
 
 /**
- * Generate all analysis cards for an idea
+ * Queue server-side analysis for an idea
+ * The analysis keeps running even if the app is closed; progress is written to the idea document.
  * @param {string} ideaId - The Firestore document ID of the idea
  * @param {string} ideaText - The user's raw idea input
  * @param {string} conversationTranscript - Full conversation transcript (optional)
  * @param {string} category - Detected or selected category (optional)
- * @returns {Promise<Object>} - Object containing title and cards
+ * @returns {Promise<Object>} - Object containing the queued jobId
  */
-export const generateIdeaCards = async (ideaId, ideaText, conversationTranscript = null, category = null) => {
+export const requestIdeaAnalysis = async (ideaId, ideaText, conversationTranscript = null, category = null) => {
   try {
-    const generateCards = httpsCallable(functions, 'generateIdeaCards');
-    const result = await generateCards({
+    const requestAnalysis = httpsCallable(functions, 'requestIdeaAnalysis');
+    const result = await requestAnalysis({
       ideaId,
       ideaText,
       conversationTranscript,
@@ -27,7 +28,23 @@ export const generateIdeaCards = async (ideaId, ideaText, conversationTranscript
     });
     return result.data;
   } catch (error) {
-    console.error('Error generating idea cards:', error);
+    console.error('Error requesting idea analysis:', error);
+    throw error;
+  }
+};
+
+/**
+ * Retry a failed analysis job using the input from the original request
+ * @param {string} ideaId - The Firestore document ID of the idea
+ * @returns {Promise<Object>} - Object containing the queued jobId
+ */
+export const retryIdeaAnalysis = async (ideaId) => {
+  try {
+    const requestAnalysis = httpsCallable(functions, 'requestIdeaAnalysis');
+    const result = await requestAnalysis({ ideaId });
+    return result.data;
+  } catch (error) {
+    console.error('Error retrying idea analysis:', error);
     throw error;
   }
 };
@@ -35,7 +52,7 @@ export const generateIdeaCards = async (ideaId, ideaText, conversationTranscript
 /**
  * Regenerate a specific card with optional refinement prompt
  * @param {string} ideaId - The Firestore document ID of the idea
- * @param {string} cardType - 'summary', 'actionableInsights', 'userScenarios', 'monetization', or 'conceptBranding'
+ * @param {string} cardType - A card in the idea's card pack, e.g. 'summary' or 'manufacturing'
  * @param {string} ideaText - The original idea text
  * @param {string} refinementPrompt - Optional prompt to refine the regeneration
  * @returns {Promise<Object>} - The regenerated card data
@@ -51,6 +68,98 @@ export const regenerateCard = async (ideaId, cardType, ideaText, refinementPromp
   }
 };
 
+/**
+ * Generate a refined version of a card without saving it
+ * Use saveCardVersion to keep the preview once the user accepts it.
+ * @param {string} ideaId - The Firestore document ID of the idea
+ * @param {string} cardType - Card key in idea.cards
+ * @param {string} ideaText - The original idea text
+ * @param {string} refinementPrompt - Direction for the new version, e.g. "assume B2B only"
+ * @returns {Promise<Object>} - The previewed card data
+ */
+export const previewCardRefinement = async (ideaId, cardType, ideaText, refinementPrompt) => {
+  try {
+    const regenerate = httpsCallable(functions, 'regenerateCard');
+    const result = await regenerate({ ideaId, cardType, ideaText, refinementPrompt, preview: true });
+    return result.data.card;
+  } catch (error) {
+    console.error('Error previewing card refinement:', error);
+    throw error;
+  }
+};
+
+/**
+ * Have the AI add assumptions from the idea's cards and chat to its register.
+ * Existing assumptions, with their status and evidence, are kept.
+ * @param {string} ideaId - The Firestore document ID of the idea
+ * @returns {Promise<number>} - How many assumptions were added
+ */
+export const extractAssumptions = async (ideaId) => {
+  try {
+    const extract = httpsCallable(functions, 'extractAssumptions');
+    const result = await extract({ ideaId });
+    return result.data.added;
+  } catch (error) {
+    console.error('Error extracting assumptions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upgrade an idea stored in an older schema to the current one
+ * @param {string} ideaId - The Firestore document ID of the idea
+ * @returns {Promise<number>} - The idea's schema version after the upgrade
+ */
+export const upgradeIdeaSchema = async (ideaId) => {
+  try {
+    const upgrade = httpsCallable(functions, 'upgradeIdeaSchema');
+    const result = await upgrade({ ideaId });
+    return result.data.schemaVersion;
+  } catch (error) {
+    console.error('Error upgrading idea schema:', error);
+    throw error;
+  }
+};
+
+// Most ideas the deleteIdeasPermanently function takes per call
+const MAX_PERMANENT_DELETES = 100;
+
+/**
+ * Delete trashed ideas for good, with their chat history and canvases
+ * @param {Array<string>} ideaIds - Document IDs of ideas in the Trash
+ * @returns {Promise<number>} - How many ideas were deleted
+ */
+export const deleteIdeasPermanently = async (ideaIds) => {
+  try {
+    const deletePermanently = httpsCallable(functions, 'deleteIdeasPermanently');
+    let deletedCount = 0;
+    for (let start = 0; start < ideaIds.length; start += MAX_PERMANENT_DELETES) {
+      const result = await deletePermanently({ ideaIds: ideaIds.slice(start, start + MAX_PERMANENT_DELETES) });
+      deletedCount += result.data.deletedCount;
+    }
+    return deletedCount;
+  } catch (error) {
+    console.error('Error deleting ideas permanently:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ask the server to delete the signed-in user's account and all their data.
+ * The user must have signed in within the last few minutes.
+ * @returns {Promise<string>} - The deletion job's status
+ */
+export const requestAccountDeletion = async () => {
+  try {
+    const deleteAccount = httpsCallable(functions, 'deleteAccount');
+    const result = await deleteAccount();
+    return result.data.status;
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    throw error;
+  }
+};
+
 /**
  * Regenerate just the business name in Concept Branding
  * @param {string} ideaId - The Firestore document ID of the idea
@@ -69,24 +178,16 @@ export const regenerateBusinessName = async (ideaId, ideaText) => {
 };
 
 /**
- * Continue chat conversation with AI
+ * Continue chat conversation with AI. The conversation so far and the idea's
+ * cards are loaded by the Cloud Function, so only the new message is sent.
  * @param {string} ideaId - The ID of the idea being discussed
- * @param {Array} chatHistory - Previous chat messages
  * @param {string} userMessage - New message from user
- * @param {boolean} isContinuation - Whether this is continuing an analyzed idea
- * @param {Object} ideaContext - Context about the idea (title, category, summary)
  * @returns {Promise<string>} - AI response
  */
-export const continueChat = async (ideaId, chatHistory, userMessage, isContinuation = false, ideaContext = null) => {
+export const continueChat = async (ideaId, userMessage) => {
   try {
     const chat = httpsCallable(functions, 'continueChat');
-    const result = await chat({
-      ideaId,
-      chatHistory,
-      userMessage,
-      isContinuation,
-      ideaContext
-    });
+    const result = await chat({ ideaId, userMessage });
     return result.data.response;
   } catch (error) {
     console.error('Error in chat:', error);
@@ -95,14 +196,40 @@ export const continueChat = async (ideaId, chatHistory, userMessage, isContinuat
 };
 
 /**
- * Transcribe voice input to text using Whisper API
- * @param {string} audioUri - URI of the audio file
+ * Get the signed-in user's AI usage against their daily and monthly quota
+ * @returns {Promise<Object>} - { daily, monthly } each with used, limit, remaining, resetsAt
+ */
+export const getUsageQuota = async () => {
+  try {
+    const getQuota = httpsCallable(functions, 'getUsageQuota');
+    const result = await getQuota();
+    return result.data;
+  } catch (error) {
+    console.error('Error getting usage quota:', error);
+    throw error;
+  }
+};
+
+/**
+ * User-facing message for a rate limit or exhausted quota
+ * @param {Error} error - Error thrown by a callable
+ * @returns {string|null} - Message to show, or null for any other error
+ */
+export const getQuotaErrorMessage = (error) => {
+  if (error?.code !== 'functions/resource-exhausted') return null;
+  return error.message;
+};
+
+/**
+ * Transcribe an uploaded voice note
+ * @param {string} storagePath - Path returned by uploadVoiceNote
+ * @param {string|null} ideaId - The idea being chatted about, for the usage ledger
  * @returns {Promise<string>} - Transcribed text
  */
-export const transcribeAudio = async (audioUri) => {
+export const transcribeAudio = async (storagePath, ideaId = null) => {
   try {
     const transcribe = httpsCallable(functions, 'transcribeAudio');
-    const result = await transcribe({ audioUri });
+    const result = await transcribe({ storagePath, ideaId });
     return result.data.text;
   } catch (error) {
     console.error('Error transcribing audio:', error);
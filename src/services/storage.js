@@ -0,0 +1,32 @@
+/**
+ * Storage Service
+ *
+ * Handles uploads to Cloud Storage
+ */
+
+import { ref, uploadBytes } from 'firebase/storage';
+import { storage } from '../config/firebase';
+
+/**
+ * Upload a recorded voice note for transcription
+ * @param {string} userId - User ID
+ * @param {string} audioUri - Local file URI from the recorder
+ * @returns {Promise<string>} - Storage path of the uploaded file
+ */
+export const uploadVoiceNote = async (userId, audioUri) => {
+  try {
+    const response = await fetch(audioUri);
+    const blob = await response.blob();
+    const extension = audioUri.split('.').pop() || 'm4a';
+    const storagePath = `voiceNotes/${userId}/${Date.now()}.${extension}`;
+
+    await uploadBytes(ref(storage, storagePath), blob, {
+      contentType: blob.type?.startsWith('audio/') ? blob.type : `audio/${extension}`,
+    });
+
+    return storagePath;
+  } catch (error) {
+    console.error('Error uploading voice note:', error);
+    throw error;
+  }
+};
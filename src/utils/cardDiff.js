@@ -0,0 +1,120 @@
+/**
+ * Card Diff
+ *
+ * Field-level comparison of two versions of an analysis card
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten a card into leaf fields keyed by path, e.g.
+ * { pricingTiers: [{ price: '$9' }] } -> { 'pricingTiers[0].price': '$9' }
+ * @param {*} value - Card or nested value
+ * @param {string} prefix - Path of the value within the card
+ * @param {Object} fields - Accumulator
+ * @returns {Object} - Map of path to leaf value
+ */
+export const flattenCard = (value, prefix = '', fields = {}) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0 && prefix) {
+      fields[prefix] = [];
+    }
+    value.forEach((item, index) => flattenCard(item, `${prefix}[${index}]`, fields));
+    return fields;
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) {
+      fields[prefix] = {};
+    }
+    keys.forEach((key) => flattenCard(value[key], prefix ? `${prefix}.${key}` : key, fields));
+    return fields;
+  }
+
+  if (prefix) {
+    fields[prefix] = value;
+  }
+  return fields;
+};
+
+const humanizeKey = (key) =>
+  key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/^./, (char) => char.toUpperCase());
+
+/**
+ * Turn a field path into a readable label, e.g.
+ * 'pricingTiers[1].price' -> 'Pricing Tiers 2 › Price'
+ * @param {string} path - Field path from flattenCard
+ * @returns {string}
+ */
+export const formatFieldPath = (path) =>
+  path
+    .split('.')
+    .map((segment) => {
+      const [key, ...indexes] = segment.split('[');
+      const label = humanizeKey(key);
+      const positions = indexes.map((index) => Number(index.replace(']', '')) + 1);
+      return [label, ...positions].join(' ');
+    })
+    .join(' › ');
+
+/**
+ * Format a leaf value for display in a diff row
+ * @param {*} value - Leaf value
+ * @returns {string}
+ */
+export const formatFieldValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.length === 0 ? '(empty list)' : JSON.stringify(value);
+  if (isPlainObject(value)) return '(empty)';
+  return String(value);
+};
+
+/**
+ * Compare two versions of a card field by field
+ * @param {Object} before - Older card contents
+ * @param {Object} after - Newer card contents
+ * @returns {Array<Object>} - Changes as { path, label, kind, before, after },
+ *   where kind is 'added', 'removed' or 'changed'
+ */
+export const diffCards = (before, after) => {
+  const beforeFields = flattenCard(before || {});
+  const afterFields = flattenCard(after || {});
+  // Keep the newer card's field order, with removed fields at the end
+  const order = [...Object.keys(afterFields)];
+  Object.keys(beforeFields).forEach((path) => {
+    if (!order.includes(path)) order.push(path);
+  });
+
+  const changes = [];
+  order.forEach((path) => {
+    const inBefore = Object.prototype.hasOwnProperty.call(beforeFields, path);
+    const inAfter = Object.prototype.hasOwnProperty.call(afterFields, path);
+    const oldValue = beforeFields[path];
+    const newValue = afterFields[path];
+
+    let kind = null;
+    if (!inBefore) {
+      kind = 'added';
+    } else if (!inAfter) {
+      kind = 'removed';
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      kind = 'changed';
+    }
+
+    if (kind) {
+      changes.push({
+        path,
+        label: formatFieldPath(path),
+        kind,
+        before: oldValue,
+        after: newValue,
+      });
+    }
+  });
+
+  return changes;
+};
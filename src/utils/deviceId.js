@@ -0,0 +1,40 @@
+/**
+ * Device ID
+ *
+ * A random ID for this install, kept across launches, that tells this
+ * device's edits apart from other devices' (see noteMerge.js)
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const DEVICE_ID_KEY = 'ideaspot.deviceId';
+
+let deviceIdPromise = null;
+
+// Letters and digits only, since the ID is used in Firestore field paths
+const generateDeviceId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * This install's device ID, created on first use
+ * @returns {Promise<string>}
+ */
+export const getDeviceId = () => {
+  if (!deviceIdPromise) {
+    deviceIdPromise = (async () => {
+      try {
+        const storedId = await AsyncStorage.getItem(DEVICE_ID_KEY);
+        if (storedId) return storedId;
+
+        const deviceId = generateDeviceId();
+        await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+        return deviceId;
+      } catch (error) {
+        // Still usable for this session, just not remembered
+        console.error('Error loading device ID:', error);
+        return generateDeviceId();
+      }
+    })();
+  }
+  return deviceIdPromise;
+};
@@ -0,0 +1,92 @@
+/**
+ * Market Sizing
+ *
+ * Works out TAM, SAM and SOM from the market sizing card's assumptions,
+ * with the user's overrides taking precedence. Mirrored from the Cloud Functions.
+ */
+
+// Assumptions in the order the funnel applies them
+export const MARKET_ASSUMPTIONS = [
+  { key: 'population', label: 'Potential customers', kind: 'count' },
+  { key: 'annualPrice', label: 'Spend per customer / year', kind: 'currency' },
+  { key: 'serviceableShare', label: 'Share you can reach', kind: 'share' },
+  { key: 'penetration', label: 'Share you can win', kind: 'share' },
+];
+
+// Where an assumption's value came from
+export const ASSUMPTION_SOURCE = {
+  AI: 'ai',
+  USER: 'user',
+};
+
+// Models sometimes write a value as text, e.g. "24,000,000" or "$120"
+const toNumber = (value) => {
+  const number = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+};
+
+const isShare = (key) => MARKET_ASSUMPTIONS.some(field => field.key === key && field.kind === 'share');
+
+/**
+ * Clamp an assumption to its range; a share of 12 almost always means 12%
+ * @param {string} key - Assumption key
+ * @param {number|string} value - Raw value
+ * @returns {number}
+ */
+export const normalizeAssumptionValue = (key, value) => {
+  const number = Math.max(0, toNumber(value));
+  if (!isShare(key)) return number;
+  return Math.min(number > 1 ? number / 100 : number, 1);
+};
+
+/**
+ * Assumptions to size the market with, each marked with where it came from
+ * @param {Object} card - Market sizing card
+ * @param {Object} overrides - The idea's marketSizingOverrides, if any
+ * @returns {Object} - { [key]: { value, aiValue, rationale, source } }
+ */
+export const getMarketAssumptions = (card = {}, overrides = {}) => {
+  const assumptions = {};
+  MARKET_ASSUMPTIONS.forEach(({ key }) => {
+    const aiValue = normalizeAssumptionValue(key, card.assumptions?.[key]?.value);
+    const isOverridden = typeof overrides?.[key] === 'number';
+    assumptions[key] = {
+      value: isOverridden ? normalizeAssumptionValue(key, overrides[key]) : aiValue,
+      aiValue,
+      rationale: card.assumptions?.[key]?.rationale || '',
+      source: isOverridden ? ASSUMPTION_SOURCE.USER : ASSUMPTION_SOURCE.AI,
+    };
+  });
+  return assumptions;
+};
+
+/**
+ * Yearly market size at each level of the funnel
+ * @param {Object} assumptions - From getMarketAssumptions
+ * @returns {Object} - { tam, sam, som }
+ */
+export const computeMarketSize = (assumptions) => {
+  const tam = assumptions.population.value * assumptions.annualPrice.value;
+  const sam = tam * assumptions.serviceableShare.value;
+  const som = sam * assumptions.penetration.value;
+  return { tam, sam, som };
+};
+
+/**
+ * Format a head count, e.g. 24000000 -> "24M"
+ * @param {number} count - Number of people or businesses
+ * @returns {string}
+ */
+export const formatCount = (count) => {
+  if (count >= 1000000000) return `${Number((count / 1000000000).toFixed(1))}B`;
+  if (count >= 1000000) return `${Number((count / 1000000).toFixed(1))}M`;
+  if (count >= 1000) return `${Number((count / 1000).toFixed(1))}k`;
+  return String(Math.round(count));
+};
+
+/**
+ * Format a share from 0 to 1 as a percentage, e.g. 0.025 -> "2.5%"
+ * @param {number} share - Share from 0 to 1
+ * @returns {string}
+ */
+export const formatShare = (share) => `${Number((share * 100).toFixed(1))}%`;
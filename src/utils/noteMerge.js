@@ -0,0 +1,112 @@
+/**
+ * Note Merge
+ *
+ * A canvas can be open on several devices at once. Each device writes its
+ * changes to a note into its own slot (`edits.<deviceId>.<field>`), stamped
+ * with a hybrid logical clock, so no device's write replaces another's. Each
+ * field resolves to the value with the latest clock, ties going to the higher
+ * device ID, so every device ends up with the same note whatever order the
+ * writes arrived in. A delete is a tombstone and wins over concurrent edits.
+ * Mirrored in the Cloud Functions.
+ */
+
+// Fields that merge independently, so a move on one device and an edit on
+// another both survive
+export const NOTE_FIELDS = ['title', 'category', 'content', 'categoryData', 'position', 'dimensions', 'zIndex'];
+
+// The latest clock this device has issued or seen
+let lastMillis = 0;
+let lastCounter = 0;
+
+// Zero-padded so clocks compare correctly as strings
+const encodeClock = (millis, counter, deviceId) =>
+  `${String(millis).padStart(15, '0')}-${String(counter).padStart(6, '0')}-${deviceId}`;
+
+const decodeClock = (clock) => {
+  const [millis, counter] = String(clock).split('-');
+  return { millis: Number(millis) || 0, counter: Number(counter) || 0 };
+};
+
+/**
+ * Clock for a change made on this device, later than every clock issued or
+ * seen so far even if this device's time is behind
+ * @param {string} deviceId - From getDeviceId
+ * @returns {string}
+ */
+export const nextClock = (deviceId) => {
+  const now = Date.now();
+  if (now > lastMillis) {
+    lastMillis = now;
+    lastCounter = 0;
+  } else {
+    lastCounter += 1;
+  }
+  return encodeClock(lastMillis, lastCounter, deviceId);
+};
+
+/**
+ * Take note of a clock from another device, so changes made after seeing it
+ * win over it
+ * @param {string} clock - A clock from a synced note
+ */
+export const observeClock = (clock) => {
+  if (!clock) return;
+  const { millis, counter } = decodeClock(clock);
+  if (millis > lastMillis || (millis === lastMillis && counter > lastCounter)) {
+    lastMillis = millis;
+    lastCounter = counter;
+  }
+};
+
+/**
+ * Merge a note document into the note every device agrees on
+ * @param {string} id - Note document ID
+ * @param {Object} data - Note document data: the fields it was created with,
+ *   its creation `clock` and the `edits` of every device
+ * @returns {Object} - The note, with `deleted` and the latest `clock` in it
+ */
+export const resolveNote = (id, data) => {
+  const note = { id };
+  const clocks = {};
+  let latestClock = data.clock || '';
+  let deleted = false;
+
+  NOTE_FIELDS.forEach(field => {
+    note[field] = data[field];
+    clocks[field] = data.clock || '';
+  });
+
+  Object.values(data.edits || {}).forEach(deviceEdits => {
+    NOTE_FIELDS.forEach(field => {
+      const edit = deviceEdits[field];
+      if (edit && edit.clock > clocks[field]) {
+        note[field] = edit.value;
+        clocks[field] = edit.clock;
+      }
+      if (edit && edit.clock > latestClock) latestClock = edit.clock;
+    });
+    if (deviceEdits.deleted?.value) {
+      deleted = true;
+      if (deviceEdits.deleted.clock > latestClock) latestClock = deviceEdits.deleted.clock;
+    }
+  });
+
+  return { ...note, deleted, clock: latestClock };
+};
+
+/**
+ * Field updates to write a device's changes into its own slot on a note
+ * @param {string} deviceId - From getDeviceId
+ * @param {Object} changes - Changed note fields, e.g. { position }
+ * @returns {Object} - Firestore field paths to update
+ */
+export const buildNoteEdits = (deviceId, changes) => {
+  const clock = nextClock(deviceId);
+  const edits = {};
+  Object.entries(changes).forEach(([field, value]) => {
+    if (field === 'deleted' || NOTE_FIELDS.includes(field)) {
+      edits[`edits.${deviceId}.${field}`] = { value, clock };
+    }
+  });
+  return edits;
+};
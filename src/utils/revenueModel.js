@@ -0,0 +1,165 @@
+/**
+ * Revenue Model
+ *
+ * Turns the monetization card's numeric assumptions into projections
+ */
+
+export const DEFAULT_CHURN_RATE = 0.05;
+export const DEFAULT_CAC = 0;
+export const DEFAULT_NEW_CUSTOMERS_PER_MONTH = 50;
+export const PROJECTION_MONTHS = 12;
+export const CUSTOMER_MILESTONES = [100, 500, 1000];
+
+const toNumber = (value, fallback = 0) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Pull a number out of a free-text price like "$4.99/mo" or "€1,200"
+ * @param {string|number} price - Price as written on a pricing tier
+ * @returns {number}
+ */
+export const parsePrice = (price) => {
+  if (typeof price === 'number') return price;
+  const match = String(price || '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : 0;
+};
+
+/**
+ * Clean up assumptions so every field is a usable number and tier mix sums to 1
+ * @param {Object} assumptions - Raw assumptions from the card or the user
+ * @returns {Object} - { currency, tiers: [{ name, monthlyPrice, mix }], monthlyChurnRate, cac }
+ */
+export const normalizeAssumptions = (assumptions = {}) => {
+  const tiers = (assumptions.tiers || []).map((tier, index) => ({
+    name: tier.name || `Tier ${index + 1}`,
+    monthlyPrice: Math.max(0, toNumber(tier.monthlyPrice)),
+    mix: Math.max(0, toNumber(tier.mix)),
+  }));
+
+  const totalMix = tiers.reduce((total, tier) => total + tier.mix, 0);
+  const normalizedTiers = tiers.map(tier => ({
+    ...tier,
+    mix: totalMix > 0 ? tier.mix / totalMix : 1 / tiers.length,
+  }));
+
+  return {
+    currency: assumptions.currency || 'USD',
+    tiers: normalizedTiers,
+    monthlyChurnRate: clamp(toNumber(assumptions.monthlyChurnRate, DEFAULT_CHURN_RATE), 0, 1),
+    cac: Math.max(0, toNumber(assumptions.cac, DEFAULT_CAC)),
+  };
+};
+
+/**
+ * Get assumptions for a monetization card. Cards generated before structured
+ * assumptions existed get them derived from their pricing tiers.
+ * @param {Object} card - Monetization card
+ * @returns {Object} - Normalized assumptions
+ */
+export const getCardAssumptions = (card = {}) => {
+  if (card.assumptions?.tiers?.length) {
+    return normalizeAssumptions(card.assumptions);
+  }
+
+  return normalizeAssumptions({
+    tiers: (card.pricingTiers || []).map(tier => ({
+      name: tier.name,
+      monthlyPrice: parsePrice(tier.price),
+      mix: 1,
+    })),
+  });
+};
+
+/**
+ * Average monthly revenue per customer across the tier mix
+ * @param {Object} assumptions - Normalized assumptions
+ * @returns {number}
+ */
+export const getBlendedArpu = (assumptions) =>
+  assumptions.tiers.reduce((total, tier) => total + tier.monthlyPrice * tier.mix, 0);
+
+/**
+ * Lifetime value of a customer; null when nobody ever churns
+ * @param {Object} assumptions - Normalized assumptions
+ * @returns {number|null}
+ */
+export const getLifetimeValue = (assumptions) => {
+  if (assumptions.monthlyChurnRate <= 0) return null;
+  return getBlendedArpu(assumptions) / assumptions.monthlyChurnRate;
+};
+
+/**
+ * Monthly economics at a fixed customer count
+ * @param {Object} assumptions - Normalized assumptions
+ * @param {number} customers - Number of paying customers
+ * @returns {Object} - { customers, revenue, replacementCost, net }
+ */
+export const projectAtCustomerCount = (assumptions, customers) => {
+  const revenue = customers * getBlendedArpu(assumptions);
+  // Spend needed to replace churned customers and hold the base steady
+  const replacementCost = customers * assumptions.monthlyChurnRate * assumptions.cac;
+
+  return {
+    customers,
+    revenue,
+    replacementCost,
+    net: revenue - replacementCost,
+  };
+};
+
+/**
+ * Month-by-month growth starting from zero customers
+ * @param {Object} assumptions - Normalized assumptions
+ * @param {number} newCustomersPerMonth - Customers acquired each month
+ * @param {number} months - Number of months to project
+ * @returns {Array<Object>} - [{ month, customers, revenue, acquisitionCost }]
+ */
+export const projectGrowth = (assumptions, newCustomersPerMonth, months = PROJECTION_MONTHS) => {
+  const arpu = getBlendedArpu(assumptions);
+  const projection = [];
+  let customers = 0;
+
+  for (let month = 1; month <= months; month += 1) {
+    customers = customers * (1 - assumptions.monthlyChurnRate) + newCustomersPerMonth;
+    projection.push({
+      month,
+      customers: Math.round(customers),
+      revenue: customers * arpu,
+      acquisitionCost: newCustomersPerMonth * assumptions.cac,
+    });
+  }
+
+  return projection;
+};
+
+/**
+ * Format an amount for display, e.g. 1530 -> "$1,530" or "$1.5k" when compact
+ * @param {number} amount - Amount in currency units
+ * @param {string} currency - ISO currency code
+ * @param {boolean} compact - Abbreviate thousands, millions and billions
+ * @returns {string}
+ */
+export const formatCurrency = (amount, currency = 'USD', compact = false) => {
+  const format = (value, fractionDigits) => {
+    try {
+      return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits,
+      }).format(value);
+    } catch (error) {
+      // Unknown currency codes from the model fall back to a plain number
+      return `${currency} ${value.toFixed(fractionDigits)}`;
+    }
+  };
+
+  if (compact && Math.abs(amount) >= 1000000000) return `${format(amount / 1000000000, 1)}B`;
+  if (compact && Math.abs(amount) >= 1000000) return `${format(amount / 1000000, 1)}M`;
+  if (compact && Math.abs(amount) >= 1000) return `${format(amount / 1000, 1)}k`;
+  return format(amount, Math.abs(amount) >= 100 || Number.isInteger(amount) ? 0 : 2);
+};